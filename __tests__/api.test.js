@@ -0,0 +1,149 @@
+// Tests for API token scopes (on /api/v1 and the admin routes that accept tokens) and the API's JSON errors.
+// They run against the app without listening and use the database in data/, like the development server;
+// the tokens and the category they create are removed again afterwards.
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'focal-point-test-secret';
+
+const request = require('supertest');
+const utils = require('../utils');
+
+// Spied on before the app is loaded, as routes/api.js keeps its own reference to the helper
+const getCategoriesWithImages = jest.spyOn(utils, 'getCategoriesWithImages');
+
+const app = require('../server');
+const { getDb, ready } = require('../db');
+const { createApiToken, revokeApiToken } = require('../utils/apiTokens');
+
+const category = `api-test-${Date.now()}`;
+const tokenIds = [];
+let adminId;
+let readToken;
+let writeToken;
+let revokedToken;
+
+async function newToken(scopes) {
+    const { id, token } = await createApiToken(adminId, 'jest', scopes);
+    tokenIds.push(id);
+    return { id, token };
+}
+
+beforeAll(async () => {
+    await ready;
+    await app.testAdminReady;
+    adminId = (await utils.getAdmin()).id;
+    readToken = (await newToken(['portfolio:read'])).token;
+    writeToken = (await newToken(['portfolio:read', 'portfolio:write'])).token;
+    const revoked = await newToken(['portfolio:read']);
+    await revokeApiToken(adminId, revoked.id);
+    revokedToken = revoked.token;
+    await request(app).post('/api/v1/categories').set('Authorization', `Bearer ${writeToken}`)
+        .send({ name: category }).expect(201);
+});
+
+afterAll(async () => {
+    await request(app).delete(`/api/v1/categories/${category}`).set('Authorization', `Bearer ${writeToken}`);
+    const deleteToken = getDb().prepare('DELETE FROM api_tokens WHERE id = ?');
+    tokenIds.forEach(id => deleteToken.run(id));
+});
+
+describe('API authentication', () => {
+    test('answers 401 in JSON without a token', async () => {
+        const res = await request(app).get('/api/v1/categories').expect(401);
+        expect(res.body).toEqual({ error: 'Authentication required' });
+    });
+
+    test('answers 401 for an unknown or revoked token', async () => {
+        await request(app).get('/api/v1/categories').set('Authorization', 'Bearer fp_not-a-real-token').expect(401);
+        const res = await request(app).get('/api/v1/categories').set('Authorization', `Bearer ${revokedToken}`).expect(401);
+        expect(res.body).toEqual({ error: 'Invalid or revoked API token' });
+    });
+});
+
+describe('portfolio:read token', () => {
+    const asReader = req => req.set('Authorization', `Bearer ${readToken}`);
+
+    test('can list categories and their images', async () => {
+        const res = await asReader(request(app).get('/api/v1/categories')).expect(200);
+        expect(res.body.categories.map(cat => cat.name)).toContain(category);
+        await asReader(request(app).get(`/api/v1/categories/${category}/images`)).expect(200);
+    });
+
+    test.each([
+        ['post', '/api/v1/categories'],
+        ['put', '/api/v1/categories/order'],
+        ['patch', `/api/v1/categories/${category}`],
+        ['delete', `/api/v1/categories/${category}`],
+        ['post', `/api/v1/categories/${category}/images`],
+        ['patch', '/api/v1/images/1'],
+        ['delete', '/api/v1/images/1']
+    ])('cannot %s %s', async (method, url) => {
+        const res = await asReader(request(app)[method](url)).send({ name: 'renamed' }).expect(403);
+        expect(res.body).toEqual({ error: 'API token is missing the "portfolio:write" scope' });
+    });
+
+    test.each([
+        ['post', '/admin/create-category'],
+        ['post', '/admin/rename-category'],
+        ['post', '/admin/delete-category']
+    ])('cannot %s %s', async (method, url) => {
+        const res = await asReader(request(app)[method](url)).expect(403);
+        expect(res.body).toEqual({ error: 'API token is missing the "portfolio:write" scope' });
+    });
+
+    test.each([
+        ['get', '/admin/users'],
+        ['post', '/admin/users/create'],
+        ['post', '/admin/users/tokens/create']
+    ])('cannot %s %s, which needs a login session', async (method, url) => {
+        const res = await asReader(request(app)[method](url)).expect(403);
+        expect(res.body).toEqual({ error: 'This route requires a login session' });
+    });
+
+    test.each([
+        ['get', '/admin/clients', 'clients:read'],
+        ['get', '/admin/clients/1/upload', 'clients:read'],
+        ['post', '/admin/clients/create', 'clients:write'],
+        ['post', '/admin/clients/1/delete', 'clients:write'],
+        ['get', '/admin/settings', 'site:read'],
+        ['post', '/admin/settings', 'site:write'],
+        ['get', '/admin/backup', 'site:read']
+    ])('cannot %s %s without %s', async (method, url, scope) => {
+        const res = await asReader(request(app)[method](url)).expect(403);
+        expect(res.body).toEqual({ error: `API token is missing the "${scope}" scope` });
+    });
+});
+
+describe('API errors', () => {
+    const asWriter = req => req.set('Authorization', `Bearer ${writeToken}`);
+
+    test('answers 404 in JSON for an unknown category or image', async () => {
+        const res = await asWriter(request(app).get('/api/v1/categories/no-such-category/images')).expect(404);
+        expect(res.body).toEqual({ error: 'Category not found' });
+        await asWriter(request(app).get('/api/v1/images/999999999')).expect(404);
+    });
+
+    test('answers 400 in JSON for a file that is not an image', async () => {
+        const res = await asWriter(request(app).post(`/api/v1/categories/${category}/images`))
+            .attach('images', Buffer.from('not an image'), { filename: 'notes.txt', contentType: 'text/plain' })
+            .expect(400);
+        expect(res.body).toEqual({ error: 'Only image files are allowed!' });
+    });
+
+    test('answers 400 in JSON for multer errors', async () => {
+        const res = await asWriter(request(app).post(`/api/v1/categories/${category}/images`))
+            .attach('photo', Buffer.from('not an image'), { filename: 'a.jpg', contentType: 'image/jpeg' })
+            .expect(400);
+        expect(res.body).toEqual({ error: 'Unexpected field' });
+    });
+
+    test('answers 500 in JSON without details when a route throws', async () => {
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => { });
+        getCategoriesWithImages.mockRejectedValueOnce(new Error('SQLITE_BUSY: database is locked'));
+        try {
+            const res = await asWriter(request(app).get('/api/v1/categories')).expect(500);
+            expect(res.body).toEqual({ error: 'Internal Server Error' });
+            expect(consoleError).toHaveBeenCalledWith('API error:', expect.any(Error));
+        } finally {
+            consoleError.mockRestore();
+        }
+    });
+});
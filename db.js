@@ -6,13 +6,70 @@ const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 
+const DB_PATH = path.join(__dirname, 'data', 'gallery.db');
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
 let db;
 let ready;
 
+function openDatabase() {
+  const database = new Database(DB_PATH);
+  // Enable foreign keys
+  database.pragma('foreign_keys = ON');
+  return database;
+}
+
+// Names of all migration files, in the order they run
+function listMigrations() {
+  try {
+    return fsSync.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.js')).sort();
+  } catch {
+    return [];
+  }
+}
+
+// Custom storage for Umzug using better-sqlite3
+class BetterSqlite3Storage {
+  constructor({ db, tableName = 'migrations' }) {
+    this.db = db;
+    this.tableName = tableName;
+  }
+  async logMigration({ name }) {
+    this.db.prepare(`INSERT OR IGNORE INTO ${this.tableName} (name) VALUES (?)`).run(name);
+  }
+  async unlogMigration({ name }) {
+    this.db.prepare(`DELETE FROM ${this.tableName} WHERE name = ?`).run(name);
+  }
+  async executed() {
+    return this.db.prepare(`SELECT name FROM ${this.tableName}`).all().map(row => row.name);
+  }
+}
+
+// Run all pending migrations on a connection: the live database at startup, or a restored copy
+// before it replaces the live one (see utils/restore.js)
+function runMigrations(database) {
+  database.prepare('CREATE TABLE IF NOT EXISTS migrations (name TEXT PRIMARY KEY)').run();
+  // Load migration files for Umzug
+  const migrations = listMigrations().map(filename => ({
+    name: filename,
+    up: require(path.join(MIGRATIONS_DIR, filename)).up,
+    down: require(path.join(MIGRATIONS_DIR, filename)).down,
+  }));
+  const umzug = new Umzug({
+    migrations,
+    context: database,
+    logger: null,
+    storage: new BetterSqlite3Storage({ db: database, tableName: 'migrations' }),
+  });
+  return umzug.up();
+}
+
 // Use a plain object for exports
 const exportsObj = {};
 
-(async () => {
+// Assigned synchronously, so modules that destructure `ready` when they load get this promise rather than
+// undefined; it resolves once the data directory exists and every migration has run
+ready = (async () => {
   // Ensure data directory exists
   const dataDir = path.join(__dirname, 'data');
   try {
@@ -23,25 +80,7 @@ const exportsObj = {};
   }
 
   // Create database connection
-  db = new Database(path.join(dataDir, 'gallery.db'));
-
-  // Enable foreign keys
-  db.pragma('foreign_keys = ON');
-
-  const migrationsDir = path.join(__dirname, 'migrations');
-  let migrationFiles = [];
-  try {
-    migrationFiles = (await fs.readdir(migrationsDir)).filter(f => f.endsWith('.js')).sort();
-  } catch {
-    migrationFiles = [];
-  }
-
-  // Load migration files for Umzug
-  const migrations = migrationFiles.map(filename => ({
-    name: filename,
-    up: require(path.join(migrationsDir, filename)).up,
-    down: require(path.join(migrationsDir, filename)).down,
-  }));
+  db = openDatabase();
 
   // Ensure the migrations table exists before querying it
   db.prepare('CREATE TABLE IF NOT EXISTS migrations (name TEXT PRIMARY KEY)').run();
@@ -64,34 +103,8 @@ const exportsObj = {};
     await fs.unlink(umzugJsonPath);
   }
 
-  // Custom storage for Umzug using better-sqlite3
-  class BetterSqlite3Storage {
-    constructor({ db, tableName = 'migrations' }) {
-      this.db = db;
-      this.tableName = tableName;
-    }
-    async logMigration({ name }) {
-      this.db.prepare(`INSERT OR IGNORE INTO ${this.tableName} (name) VALUES (?)`).run(name);
-    }
-    async unlogMigration({ name }) {
-      this.db.prepare(`DELETE FROM ${this.tableName} WHERE name = ?`).run(name);
-    }
-    async executed() {
-      return this.db.prepare(`SELECT name FROM ${this.tableName}`).all().map(row => row.name);
-    }
-  }
-
-  const umzug = new Umzug({
-    migrations,
-    context: db,
-    logger: null,
-    storage: new BetterSqlite3Storage({ db, tableName: 'migrations' }),
-  });
-
   // Run all pending migrations on startup
-  ready = umzug.up();
-  await ready;
-  // No direct assignment to exportsObj.db/ready here
+  await runMigrations(db);
 })();
 
 // Export property getters for db and ready
@@ -108,6 +121,38 @@ exportsObj.getDb = function getDb() {
   return db;
 };
 
+exportsObj.DB_PATH = DB_PATH;
+exportsObj.listMigrations = listMigrations;
+exportsObj.runMigrations = runMigrations;
+
+// Swap the database file for newPath (a complete, migrated SQLite file) and reopen the connection.
+// The current file is moved to previousPath, so revertDatabase can put it back. Everything happens
+// synchronously, so no request can run against a closed connection in between.
+exportsObj.replaceDatabase = function replaceDatabase(newPath, previousPath) {
+  db.close();
+  let moved = false;
+  try {
+    fsSync.renameSync(DB_PATH, previousPath);
+    moved = true;
+    fsSync.renameSync(newPath, DB_PATH);
+    db = openDatabase();
+  } catch (err) {
+    if (moved) fsSync.renameSync(previousPath, DB_PATH);
+    db = openDatabase();
+    throw err;
+  }
+};
+
+// Put back the database file that replaceDatabase moved to previousPath
+exportsObj.revertDatabase = function revertDatabase(previousPath) {
+  db.close();
+  try {
+    fsSync.renameSync(previousPath, DB_PATH);
+  } finally {
+    db = openDatabase();
+  }
+};
+
 module.exports = exportsObj;
 
 // Re-export the database instance as the default export for backward compatibility
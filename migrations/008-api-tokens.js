@@ -0,0 +1,26 @@
+// Migration 008: Add API tokens table
+// Stores hashed personal access tokens that admins use to call admin and API routes from scripts.
+module.exports = {
+    up: async ({ context: db }) => {
+        // Create api_tokens table; only a SHA-256 hash of each token is stored
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS api_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                admin_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                token_prefix TEXT NOT NULL,
+                scopes TEXT NOT NULL DEFAULT '',
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_used_at DATETIME,
+                revoked_at DATETIME,
+                FOREIGN KEY (admin_id) REFERENCES admin (id) ON DELETE CASCADE
+            );
+        `);
+        console.log("008-api-tokens migration completed");
+    },
+    down: async ({ context: db }) => {
+        // Drop api_tokens table for rollback
+        db.exec(`DROP TABLE IF EXISTS api_tokens;`);
+    }
+};
@@ -0,0 +1,30 @@
+// Migration 009: Add image renditions table
+// Records the resized/re-encoded copies generated at upload time for portfolio and client images.
+module.exports = {
+    up: async ({ context: db }) => {
+        // Each rendition belongs to either a portfolio image or a client image
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS image_renditions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                image_id INTEGER,
+                client_image_id INTEGER,
+                variant TEXT NOT NULL,
+                format TEXT NOT NULL,
+                width INTEGER NOT NULL,
+                height INTEGER NOT NULL,
+                path TEXT NOT NULL,
+                file_size INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (image_id) REFERENCES images (id) ON DELETE CASCADE,
+                FOREIGN KEY (client_image_id) REFERENCES client_images (id) ON DELETE CASCADE
+            );
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_image_renditions_image ON image_renditions (image_id);');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_image_renditions_client_image ON image_renditions (client_image_id);');
+        console.log("009-image-renditions migration completed");
+    },
+    down: async ({ context: db }) => {
+        // Drop image_renditions table for rollback
+        db.exec(`DROP TABLE IF EXISTS image_renditions;`);
+    }
+};
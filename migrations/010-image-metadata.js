@@ -0,0 +1,29 @@
+// Migration 010: Add image metadata table
+// Stores camera information extracted from EXIF when portfolio images are uploaded.
+module.exports = {
+    up: async ({ context: db }) => {
+        // One row per portfolio image; every EXIF field is optional
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS image_metadata (
+                image_id INTEGER PRIMARY KEY,
+                camera_make TEXT,
+                camera_model TEXT,
+                lens TEXT,
+                focal_length REAL,
+                aperture REAL,
+                exposure_time REAL,
+                iso INTEGER,
+                captured_at TEXT,
+                width INTEGER,
+                height INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (image_id) REFERENCES images (id) ON DELETE CASCADE
+            );
+        `);
+        console.log("010-image-metadata migration completed");
+    },
+    down: async ({ context: db }) => {
+        // Drop image_metadata table for rollback
+        db.exec(`DROP TABLE IF EXISTS image_metadata;`);
+    }
+};
@@ -0,0 +1,22 @@
+// Migration 011: Add watermark flags
+// Adds per-category and per-client watermark switches and a "final" flag for client galleries.
+// No-op for down due to SQLite limitations.
+module.exports = {
+    up: async ({ context: db }) => {
+        const addColumn = (table, column, definition) => {
+            const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+            if (!columns.some(col => col.name === column)) {
+                db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+            }
+        };
+        addColumn('categories', 'watermark', 'INTEGER DEFAULT 0');
+        addColumn('clients', 'watermark', 'INTEGER DEFAULT 0');
+        // Final galleries release unwatermarked originals to the client
+        addColumn('clients', 'is_final', 'INTEGER DEFAULT 0');
+        console.log("011-watermarks migration completed");
+    },
+    down: async ({ context: db }) => {
+        // SQLite does not support DROP COLUMN, so this is a no-op
+        console.log("Down migration for watermark columns is a no-op (SQLite limitation).");
+    }
+};
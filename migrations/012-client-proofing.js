@@ -0,0 +1,54 @@
+// Migration 012: Add client proofing tables
+// Stores client favourites/comments per image and submitted selections, plus an optional
+// per-client selection limit.
+module.exports = {
+    up: async ({ context: db }) => {
+        const columns = db.prepare('PRAGMA table_info(clients)').all();
+        if (!columns.some(col => col.name === 'selection_limit')) {
+            // NULL means the client may pick any number of images
+            db.exec('ALTER TABLE clients ADD COLUMN selection_limit INTEGER;');
+        }
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS client_image_feedback (
+                client_image_id INTEGER PRIMARY KEY,
+                client_id INTEGER NOT NULL,
+                is_favourite INTEGER NOT NULL DEFAULT 0,
+                comment TEXT,
+                favourited_at DATETIME,
+                commented_at DATETIME,
+                FOREIGN KEY (client_image_id) REFERENCES client_images(id) ON DELETE CASCADE,
+                FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_client_image_feedback_client ON client_image_feedback(client_id);
+
+            CREATE TABLE IF NOT EXISTS client_selections (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                client_id INTEGER NOT NULL,
+                note TEXT,
+                image_count INTEGER NOT NULL,
+                submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reopened_at DATETIME,
+                FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_client_selections_client ON client_selections(client_id);
+
+            CREATE TABLE IF NOT EXISTS client_selection_images (
+                selection_id INTEGER NOT NULL,
+                client_image_id INTEGER NOT NULL,
+                PRIMARY KEY (selection_id, client_image_id),
+                FOREIGN KEY (selection_id) REFERENCES client_selections(id) ON DELETE CASCADE,
+                FOREIGN KEY (client_image_id) REFERENCES client_images(id) ON DELETE CASCADE
+            );
+        `);
+        console.log("012-client-proofing migration completed");
+    },
+    down: async ({ context: db }) => {
+        db.exec(`
+            DROP TABLE IF EXISTS client_selection_images;
+            DROP TABLE IF EXISTS client_selections;
+            DROP TABLE IF EXISTS client_image_feedback;
+        `);
+        // SQLite does not support DROP COLUMN, so clients.selection_limit is left in place
+        console.log("012-client-proofing migration rolled back");
+    }
+};
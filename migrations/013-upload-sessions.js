@@ -0,0 +1,26 @@
+// Migration 013: Add upload sessions table
+// Tracks resumable chunked uploads so they can continue after a page reload or a dropped connection.
+module.exports = {
+    up: async ({ context: db }) => {
+        // target is 'portfolio' (target_key = category name) or 'client' (target_key = client ID)
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS upload_sessions (
+                id TEXT PRIMARY KEY,
+                target TEXT NOT NULL,
+                target_key TEXT NOT NULL,
+                original_filename TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                bytes_received INTEGER NOT NULL DEFAULT 0,
+                fingerprint TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        db.exec('CREATE INDEX IF NOT EXISTS idx_upload_sessions_target ON upload_sessions (target, target_key);');
+        console.log("013-upload-sessions migration completed");
+    },
+    down: async ({ context: db }) => {
+        // Drop upload_sessions table for rollback
+        db.exec(`DROP TABLE IF EXISTS upload_sessions;`);
+    }
+};
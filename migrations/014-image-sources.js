@@ -0,0 +1,17 @@
+// Migration 014: Keep original uploads of converted images
+// HEIC/HEIF, TIFF and WebP client uploads are served as a converted JPEG; source_filename names the
+// untouched original (in the same folder) that clients download instead.
+// No-op for down due to SQLite limitations.
+module.exports = {
+    up: async ({ context: db }) => {
+        const columns = db.prepare('PRAGMA table_info(client_images)').all();
+        if (!columns.some(col => col.name === 'source_filename')) {
+            db.exec('ALTER TABLE client_images ADD COLUMN source_filename TEXT;');
+        }
+        console.log("014-image-sources migration completed");
+    },
+    down: async ({ context: db }) => {
+        // SQLite does not support DROP COLUMN, so this is a no-op
+        console.log("Down migration for client_images.source_filename is a no-op (SQLite limitation).");
+    }
+};
@@ -0,0 +1,38 @@
+// Migration 015: Add client gallery sections
+// Named sections (e.g. Ceremony, Portraits, Reception) group a client's images, each with its own order.
+// Images without a section are shown after the named sections.
+module.exports = {
+    up: async ({ context: db }) => {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS client_sections (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                client_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                position INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (client_id) REFERENCES clients (id) ON DELETE CASCADE
+            );
+        `);
+        const addColumn = (table, column, definition) => {
+            const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+            if (!columns.some(col => col.name === column)) {
+                db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+                return true;
+            }
+            return false;
+        };
+        addColumn('client_images', 'section_id', 'INTEGER REFERENCES client_sections (id) ON DELETE SET NULL');
+        // Existing images keep their upload order
+        if (addColumn('client_images', 'position', 'INTEGER DEFAULT 0')) {
+            db.exec('UPDATE client_images SET position = id;');
+        }
+        // Uploads can be sent straight into a section
+        addColumn('upload_sessions', 'section_id', 'INTEGER');
+        db.exec('CREATE INDEX IF NOT EXISTS idx_client_sections_client ON client_sections (client_id);');
+        console.log("015-client-sections migration completed");
+    },
+    down: async ({ context: db }) => {
+        // Drop client_sections table for rollback; the added columns stay (SQLite limitation)
+        db.exec(`DROP TABLE IF EXISTS client_sections;`);
+    }
+};
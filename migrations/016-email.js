@@ -0,0 +1,33 @@
+// Migration 016: Add outbound email
+// Clients get an optional email address for notifications, and every message sent (or attempted) is
+// recorded in email_log.
+module.exports = {
+    up: async ({ context: db }) => {
+        const columns = db.prepare('PRAGMA table_info(clients)').all();
+        if (!columns.some(col => col.name === 'email')) {
+            db.exec('ALTER TABLE clients ADD COLUMN email TEXT;');
+        }
+        // status is 'sent' or 'failed'; client_id is kept as NULL once the client is deleted
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS email_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                template TEXT NOT NULL,
+                recipient TEXT NOT NULL,
+                subject TEXT NOT NULL,
+                client_id INTEGER,
+                status TEXT NOT NULL,
+                error TEXT,
+                message_id TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE SET NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_email_log_created ON email_log(created_at);
+        `);
+        console.log("016-email migration completed");
+    },
+    down: async ({ context: db }) => {
+        db.exec('DROP TABLE IF EXISTS email_log;');
+        // SQLite does not support DROP COLUMN, so clients.email is left in place
+        console.log("016-email migration rolled back");
+    }
+};
@@ -0,0 +1,25 @@
+// Migration 017: Track gallery expiry reminders and archiving
+// archived_at is set when a gallery expires; it is deleted once the grace period has passed.
+// expiry_reminder_sent_at is cleared whenever the expiry date is extended.
+// No-op for down due to SQLite limitations.
+module.exports = {
+    up: async ({ context: db }) => {
+        const addColumn = (table, column, definition) => {
+            const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+            if (!columns.some(col => col.name === column)) {
+                db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+            }
+        };
+        addColumn('clients', 'archived_at', 'DATETIME');
+        addColumn('clients', 'expiry_reminder_sent_at', 'DATETIME');
+        // Galleries that had already expired start their grace period now rather than being deleted at once
+        db.prepare(`
+            UPDATE clients SET archived_at = CURRENT_TIMESTAMP WHERE archived_at IS NULL AND expires_at < ?
+        `).run(new Date().toISOString());
+        console.log("017-client-expiry migration completed");
+    },
+    down: async ({ context: db }) => {
+        // SQLite does not support DROP COLUMN, so this is a no-op
+        console.log("Down migration for client expiry columns is a no-op (SQLite limitation).");
+    }
+};
@@ -0,0 +1,28 @@
+// Migration 018: Add client share links
+// Signed links that open a client gallery without the access code. kind is 'client' (full access) or
+// 'guest' (view only); password_hash is set when the link also asks for a password.
+module.exports = {
+    up: async ({ context: db }) => {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS client_share_links (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                client_id INTEGER NOT NULL,
+                kind TEXT NOT NULL,
+                nonce TEXT NOT NULL,
+                label TEXT,
+                password_hash TEXT,
+                expires_at DATETIME,
+                revoked_at DATETIME,
+                last_used_at DATETIME,
+                use_count INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_client_share_links_client ON client_share_links(client_id);
+        `);
+        console.log("018-share-links migration completed");
+    },
+    down: async ({ context: db }) => {
+        db.exec('DROP TABLE IF EXISTS client_share_links;');
+    }
+};
@@ -0,0 +1,17 @@
+// Migration 019: Add per-client download policy
+// download_policy is 'full', 'web', 'favourites' or 'disabled' (see utils/downloadPolicy.js); existing
+// galleries keep full-resolution downloads.
+// No-op for down due to SQLite limitations.
+module.exports = {
+    up: async ({ context: db }) => {
+        const columns = db.prepare('PRAGMA table_info(clients)').all();
+        if (!columns.some(col => col.name === 'download_policy')) {
+            db.exec("ALTER TABLE clients ADD COLUMN download_policy TEXT NOT NULL DEFAULT 'full';");
+        }
+        console.log("019-client-download-policy migration completed");
+    },
+    down: async ({ context: db }) => {
+        // SQLite does not support DROP COLUMN, so this is a no-op
+        console.log("Down migration for the download policy column is a no-op (SQLite limitation).");
+    }
+};
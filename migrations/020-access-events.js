@@ -0,0 +1,34 @@
+// Migration 020: Add access events
+// One row per gallery open, photo view and download by a client (client_id set), and per portfolio
+// category or photo view (category set), with the device type, for the access dashboard.
+module.exports = {
+    up: async ({ context: db }) => {
+        // event is a key of ACCESS_EVENTS in utils/accessEvents.js; device is 'desktop', 'mobile' or 'tablet'.
+        // client_image_id and share_link_id are kept as NULL once the photo or link is deleted.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS access_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                event TEXT NOT NULL,
+                client_id INTEGER,
+                client_image_id INTEGER,
+                share_link_id INTEGER,
+                category TEXT,
+                filename TEXT,
+                detail TEXT,
+                device TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE,
+                FOREIGN KEY (client_image_id) REFERENCES client_images(id) ON DELETE SET NULL,
+                FOREIGN KEY (share_link_id) REFERENCES client_share_links(id) ON DELETE SET NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_access_events_client ON access_events(client_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_access_events_category ON access_events(category, created_at);
+            CREATE INDEX IF NOT EXISTS idx_access_events_created ON access_events(created_at);
+        `);
+        console.log("020-access-events migration completed");
+    },
+    down: async ({ context: db }) => {
+        db.exec('DROP TABLE IF EXISTS access_events;');
+        console.log("020-access-events migration rolled back");
+    }
+};
@@ -0,0 +1,37 @@
+// Migration 021: Add first-party visitor analytics for the public site
+// site_daily_stats keeps one counter per day, metric and key (see utils/siteAnalytics.js); no visitor
+// data is stored. Portfolio views recorded as access events so far are rolled up into it.
+module.exports = {
+    up: async ({ context: db }) => {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS site_daily_stats (
+                day TEXT NOT NULL,
+                metric TEXT NOT NULL,
+                key TEXT NOT NULL,
+                count INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (day, metric, key)
+            );
+            CREATE INDEX IF NOT EXISTS idx_site_daily_stats_metric ON site_daily_stats(metric, day);
+        `);
+        db.transaction(() => {
+            const rollUp = (metric, key, where) => db.exec(`
+                INSERT INTO site_daily_stats (day, metric, key, count)
+                SELECT date(created_at), '${metric}', ${key}, COUNT(*) FROM access_events
+                WHERE client_id IS NULL AND ${where}
+                GROUP BY date(created_at), ${key}
+                ON CONFLICT (day, metric, key) DO UPDATE SET count = count + excluded.count;
+            `);
+            rollUp('pageview', "'total'", "event = 'category_view'");
+            rollUp('page', "'/gallery/' || category", "event = 'category_view'");
+            rollUp('category', 'category', "event = 'category_view'");
+            rollUp('image', "category || '/' || filename", "event = 'image_view'");
+            rollUp('device', 'device', "event = 'category_view'");
+            db.exec('DELETE FROM access_events WHERE client_id IS NULL;');
+        })();
+        console.log("021-site-analytics migration completed");
+    },
+    down: async ({ context: db }) => {
+        db.exec('DROP TABLE IF EXISTS site_daily_stats;');
+        console.log("021-site-analytics migration rolled back");
+    }
+};
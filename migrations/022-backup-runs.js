@@ -0,0 +1,27 @@
+// Migration 022: Add the backup run log
+// One row per manual or scheduled backup with its outcome, for the backup status panel.
+module.exports = {
+    up: async ({ context: db }) => {
+        // trigger is 'manual' or 'scheduled'; status is 'running', 'success' or 'failed'.
+        // pruned is the number of older scheduled backups removed by the retention policy afterwards.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS backup_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trigger TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'running',
+                filename TEXT,
+                size INTEGER,
+                pruned INTEGER NOT NULL DEFAULT 0,
+                error TEXT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME
+            );
+            CREATE INDEX IF NOT EXISTS idx_backup_runs_status ON backup_runs(status, id);
+        `);
+        console.log("022-backup-runs migration completed");
+    },
+    down: async ({ context: db }) => {
+        db.exec('DROP TABLE IF EXISTS backup_runs;');
+        console.log("022-backup-runs migration rolled back");
+    }
+};
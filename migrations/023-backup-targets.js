@@ -0,0 +1,41 @@
+// Migration 023: Add off-site backup targets and their upload log
+// A target is a place backups are copied to after they are taken (a mounted folder, S3-compatible
+// storage or an SFTP server); every upload to one is logged for the status shown in settings.
+module.exports = {
+    up: async ({ context: db }) => {
+        // type is 'local', 's3' or 'sftp'; config is JSON with the type's connection settings.
+        // keep is the number of backups kept on the target; older ones are deleted from it after an upload.
+        // In backup_uploads, status is 'running', 'success' or 'failed'; files and bytes count what was
+        // sent (files already on the target are skipped) and removed the backups retention deleted.
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS backup_targets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL,
+                config TEXT NOT NULL DEFAULT '{}',
+                keep INTEGER NOT NULL DEFAULT 14,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+            CREATE TABLE IF NOT EXISTS backup_uploads (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                target_id INTEGER NOT NULL,
+                filename TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'running',
+                files INTEGER NOT NULL DEFAULT 0,
+                bytes INTEGER NOT NULL DEFAULT 0,
+                removed INTEGER NOT NULL DEFAULT 0,
+                error TEXT,
+                started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                finished_at DATETIME,
+                FOREIGN KEY (target_id) REFERENCES backup_targets(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_backup_uploads_target ON backup_uploads(target_id, id);
+        `);
+        console.log("023-backup-targets migration completed");
+    },
+    down: async ({ context: db }) => {
+        db.exec('DROP TABLE IF EXISTS backup_uploads; DROP TABLE IF EXISTS backup_targets;');
+        console.log("023-backup-targets migration rolled back");
+    }
+};
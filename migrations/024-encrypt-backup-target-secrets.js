@@ -0,0 +1,32 @@
+// Migration 024: Encrypt the secret keys and passwords of off-site backup targets
+// They were stored as plain text in the target's config JSON; see utils/secrets.js.
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+const SECRET_FIELDS = { s3: ['secretAccessKey'], sftp: ['password', 'privateKey'] };
+
+function convertSecrets(db, fn) {
+    const update = db.prepare('UPDATE backup_targets SET config = ? WHERE id = ?');
+    for (const row of db.prepare('SELECT id, type, config FROM backup_targets').all()) {
+        let config;
+        try {
+            config = JSON.parse(row.config);
+        } catch {
+            continue;
+        }
+        for (const field of SECRET_FIELDS[row.type] || []) {
+            if (config[field]) config[field] = fn(config[field]);
+        }
+        update.run(JSON.stringify(config), row.id);
+    }
+}
+
+module.exports = {
+    up: async ({ context: db }) => {
+        convertSecrets(db, encryptSecret);
+        console.log("024-encrypt-backup-target-secrets migration completed");
+    },
+    down: async ({ context: db }) => {
+        convertSecrets(db, decryptSecret);
+        console.log("024-encrypt-backup-target-secrets migration rolled back");
+    }
+};
@@ -0,0 +1,19 @@
+// Migration 025: Encrypt the saved SMTP password
+// It was stored as plain text in the settings table; see utils/secrets.js.
+const { encryptSecret, decryptSecret } = require('../utils/secrets');
+
+function convertPassword(db, fn) {
+    const row = db.prepare("SELECT value FROM settings WHERE key = 'smtpPass'").get();
+    if (row && row.value) db.prepare("UPDATE settings SET value = ? WHERE key = 'smtpPass'").run(fn(row.value));
+}
+
+module.exports = {
+    up: async ({ context: db }) => {
+        convertPassword(db, encryptSecret);
+        console.log("025-encrypt-smtp-password migration completed");
+    },
+    down: async ({ context: db }) => {
+        convertPassword(db, decryptSecret);
+        console.log("025-encrypt-smtp-password migration rolled back");
+    }
+};
@@ -55,6 +55,24 @@ document.addEventListener('DOMContentLoaded', function () {
             }
         });
     }
+    // Upload in resumable chunks instead of one multipart request
+    var uploadForm = document.getElementById('uploadForm');
+    if (uploadForm && fileInput && window.attachResumableUpload) {
+        attachResumableUpload(uploadForm, {
+            fileInput: fileInput,
+            progress: document.getElementById('uploadProgress'),
+            fields: function () {
+                return { target: 'portfolio', category: document.getElementById('category').value };
+            },
+            onDone: function (result) {
+                if (result.failed.length === 0) {
+                    window.location.href = '/admin/manage?msg=' + encodeURIComponent('Upload successful!');
+                } else {
+                    showToast(result.uploaded + ' uploaded, ' + result.failed.length + ' failed. Reload the page to see the new images.', 6000);
+                }
+            }
+        });
+    }
     // --- SortableJS for image reordering ---
     if (!window.Sortable) {
         console.error('Sortable is NOT defined!');
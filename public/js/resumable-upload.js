@@ -0,0 +1,170 @@
+// Resumable chunked uploads for the admin upload forms (/admin/manage and client photo uploads).
+// Files are sent one at a time in 5MB chunks to /admin/uploads. A failed chunk is retried with
+// exponential backoff after asking the server how many bytes it already has, and selecting the same
+// file again after a reload picks up where the interrupted upload stopped.
+// Usage: attachResumableUpload(form, { fileInput, progress, fields: () => ({ target, ... }), onDone })
+
+(function () {
+    const CHUNK_SIZE = 5 * 1024 * 1024;
+    const MAX_RETRIES = 5;
+
+    // An error that retrying will not fix (rejected file, missing category, ...)
+    function fatal(message) {
+        const err = new Error(message);
+        err.fatal = true;
+        return err;
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async function readError(res, fallback) {
+        const data = await res.json().catch(() => ({}));
+        return data.error || fallback;
+    }
+
+    async function createSession(file, fields) {
+        const res = await fetch('/admin/uploads', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.assign({
+                filename: file.name,
+                size: file.size,
+                lastModified: file.lastModified
+            }, fields))
+        });
+        if (res.status >= 500) throw new Error('Server error');
+        if (!res.ok) throw fatal(await readError(res, 'Upload was rejected'));
+        return res.json();
+    }
+
+    // Bytes the server has stored for this upload
+    async function fetchOffset(id) {
+        const res = await fetch(`/admin/uploads/${id}`, { method: 'HEAD', cache: 'no-store' });
+        if (res.status === 404) throw fatal('Upload expired, select the file again');
+        if (!res.ok) throw new Error('Server error');
+        return Number(res.headers.get('Upload-Offset'));
+    }
+
+    async function uploadFile(file, fields, onProgress) {
+        let session = null;
+        let offset = 0;
+        let retries = 0;
+        for (;;) {
+            try {
+                if (!session) {
+                    session = await createSession(file, fields);
+                    offset = session.offset;
+                    onProgress(offset / file.size);
+                }
+                const res = await fetch(`/admin/uploads/${session.id}`, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/offset+octet-stream',
+                        'Upload-Offset': String(offset)
+                    },
+                    body: file.slice(offset, Math.min(offset + CHUNK_SIZE, file.size))
+                });
+                // 409: a previous attempt is still being received or the offsets disagree; resync and retry
+                if (res.status === 409 || res.status >= 500) throw new Error(await readError(res, 'Server error'));
+                if (!res.ok) throw fatal(await readError(res, 'Upload failed'));
+                const data = await res.json();
+                offset = data.offset;
+                retries = 0;
+                onProgress(offset / file.size);
+                if (data.complete) return data;
+            } catch (err) {
+                if (err.fatal || ++retries > MAX_RETRIES) throw err;
+                onProgress(offset / file.size, `Retrying (${retries}/${MAX_RETRIES})…`);
+                await sleep(1000 * 2 ** (retries - 1));
+                if (session) {
+                    try {
+                        offset = await fetchOffset(session.id);
+                    } catch (syncErr) {
+                        if (syncErr.fatal) throw syncErr;
+                    }
+                }
+            }
+        }
+    }
+
+    function progressRow(container, file) {
+        const row = document.createElement('div');
+        row.className = 'upload-progress-item';
+        const name = document.createElement('span');
+        name.className = 'upload-progress-name';
+        name.textContent = file.name;
+        const bar = document.createElement('progress');
+        bar.max = 100;
+        bar.value = 0;
+        const status = document.createElement('span');
+        status.className = 'upload-progress-status';
+        status.textContent = 'Waiting';
+        row.append(name, bar, status);
+        container.appendChild(row);
+        return {
+            update(fraction, text) {
+                bar.value = Math.round(fraction * 100);
+                status.textContent = text || `${bar.value}%`;
+            },
+            finish(ok, text) {
+                row.classList.add(ok ? 'upload-done' : 'upload-failed');
+                if (ok) bar.value = 100;
+                status.textContent = text;
+            }
+        };
+    }
+
+    window.attachResumableUpload = function (form, options) {
+        if (!form || !window.fetch || !window.Blob || !Blob.prototype.slice) return;
+        const submitBtn = form.querySelector('[type="submit"]');
+        let uploading = false;
+
+        window.addEventListener('beforeunload', function (e) {
+            if (uploading) e.preventDefault();
+        });
+
+        form.addEventListener('submit', async function (e) {
+            e.preventDefault();
+            const files = Array.from(options.fileInput.files || []);
+            if (uploading || files.length === 0) return;
+            uploading = true;
+            if (submitBtn) submitBtn.disabled = true;
+            options.progress.innerHTML = '';
+            const fields = options.fields();
+            const rows = files.map(file => progressRow(options.progress, file));
+            let uploaded = 0;
+            const failed = [];
+            for (let i = 0; i < files.length; i++) {
+                rows[i].update(0, 'Starting…');
+                try {
+                    await uploadFile(files[i], fields, (fraction, text) => rows[i].update(fraction, text));
+                    rows[i].finish(true, 'Done');
+                    uploaded++;
+                } catch (err) {
+                    rows[i].finish(false, err.message);
+                    failed.push(files[i].name);
+                }
+            }
+            uploading = false;
+            if (submitBtn) submitBtn.disabled = false;
+            options.onDone({ uploaded, failed });
+        });
+    };
+
+    // "Discard" buttons on the interrupted uploads list
+    document.addEventListener('click', function (e) {
+        const btn = e.target.closest('[data-discard-upload]');
+        if (!btn) return;
+        fetch(`/admin/uploads/${btn.dataset.discardUpload}`, { method: 'DELETE' })
+            .then(res => {
+                if (!res.ok && res.status !== 404) return Promise.reject();
+                const item = btn.closest('li');
+                const list = item.closest('.pending-uploads');
+                item.remove();
+                if (list && !list.querySelector('li')) list.remove();
+            })
+            .catch(() => showToast('Could not discard the upload'));
+    });
+})();
@@ -12,11 +12,27 @@ const sharp = require('sharp');
 const Database = require('better-sqlite3');
 const bcrypt = require('bcryptjs');
 const backupUtils = require('../utils/backup');
+const { previewRestore, restoreBackup } = require('../utils/restore');
+const {
+    BACKUP_SCHEDULE_PRESETS,
+    getBackupScheduleSettings,
+    saveBackupScheduleSettings,
+    runBackup,
+    getBackupStatus
+} = require('../utils/backupSchedule');
+const {
+    BACKUP_TARGET_TYPES,
+    DEFAULT_TARGET_KEEP,
+    listBackupTargets,
+    saveBackupTarget,
+    deleteBackupTarget,
+    testBackupTarget,
+    uploadBackupToTarget
+} = require('../utils/backupTargets');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const validator = require('validator');
 const _ = require('lodash');
-const { fileTypeFromFile } = require('file-type');
 const {
     getCategoriesWithImages,
     adminExists,
@@ -35,9 +51,14 @@ const {
     categoryExists,
     createCategory,
     deleteCategory,
+    renameCategory,
+    setCategoryWatermark,
     deleteImage,
     addImage,
-    getMaxImagePosition
+    getMaxImagePosition,
+    moveImage,
+    getOrderedImages,
+    IMAGES_DIR
 } = require('../utils');
 const {
     getAllClients,
@@ -46,21 +67,142 @@ const {
     addClientImage,
     deleteClientImage,
     deleteClient,
+    setClientEmail,
+    checkClientPassword,
     toggleClientStatus,
+    toggleClientWatermark,
+    toggleClientFinal,
     incrementDownloadCount,
     createZipArchive,
+    createSidecarArchive,
     CLIENT_UPLOADS_DIR,
     createClient
 } = require('../utils/clients');
 const { getAbout, updateAbout, updateAboutImage, deleteAboutImage } = require('../utils/about');
+const { ingestPortfolioImage, ingestClientImage } = require('../utils/ingest');
+const {
+    sendImage,
+    getResizePresets,
+    parseResizePresets,
+    formatResizePresets,
+    DEFAULT_RESIZE_PRESETS
+} = require('../utils/imageDelivery');
+const { getImageCacheStats, clearImageCache, DEFAULT_CACHE_MAX_MB } = require('../utils/imageCache');
+const { backfillImageMetadata } = require('../utils/metadata');
+const { METADATA_POLICIES, getMetadataPolicy } = require('../utils/metadataPolicy');
+const { WATERMARK_POSITIONS, getWatermarkSettings, renderWatermarkPreview } = require('../utils/watermark');
+const {
+    getSelectionState,
+    getSelectedImages,
+    getCommentedImages,
+    reopenSelection,
+    setSelectionLimit
+} = require('../utils/proofing');
+const { toLightroomFilter, toSelectionCsv, toXmpSidecars } = require('../utils/selectionExport');
+const {
+    getClientSections,
+    getClientSection,
+    createClientSection,
+    renameClientSection,
+    deleteClientSection,
+    saveClientSectionOrder,
+    saveClientImageLayout,
+    moveClientImagesToSection,
+    groupImagesBySection
+} = require('../utils/clientSections');
+const { UPLOAD_ACCEPT, hasUploadExtension, isAcceptedUploadFile, detectFileType, prepareUploadedImage } = require('../utils/imageFormats');
+const {
+    UPLOAD_TARGETS,
+    createUploadSession,
+    getUploadSession,
+    listPendingUploads,
+    writeChunk,
+    completeUpload,
+    deleteUploadSession
+} = require('../utils/resumableUploads');
+const {
+    DEFAULT_ARCHIVE_PART_MB,
+    queueArchiveBuild,
+    scheduleArchiveRefresh,
+    getClientArchiveStatus
+} = require('../utils/clientArchives');
+const {
+    SMTP_SECURITY_MODES,
+    getEmailSettings,
+    saveEmailSettings,
+    sendEmail,
+    sendClientEmail,
+    getSiteUrl,
+    getEmailLog
+} = require('../utils/email');
+const { EMAIL_TEMPLATES } = require('../utils/emailTemplates');
+const { getExpirySettings, extendClientExpiry } = require('../utils/clientExpiry');
+const {
+    SHARE_LINK_KINDS,
+    createShareLink,
+    listShareLinks,
+    revokeShareLink
+} = require('../utils/shareLinks');
+const { DOWNLOAD_POLICIES, WEB_SIZE_MAX_EDGE, setClientDownloadPolicy } = require('../utils/downloadPolicy');
+const {
+    ACCESS_EVENTS,
+    ACCESS_REPORT_PERIODS,
+    getClientAccessOverview,
+    getDailyAccessCounts,
+    getDeviceBreakdown,
+    getTopClientImages,
+    getRecentAccessEvents
+} = require('../utils/accessEvents');
+const {
+    ANALYTICS_REPORT_PERIODS,
+    getAnalyticsSettings,
+    saveAnalyticsSettings,
+    getSiteAnalyticsReport
+} = require('../utils/siteAnalytics');
+const {
+    API_TOKEN_SCOPES,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    verifyApiToken,
+    getBearerToken,
+    tokenHasScope
+} = require('../utils/apiTokens');
+
+// Maps an admin request to the API token scope it needs.
+// Returns null for routes that are only available to a logged-in session (e.g. account and token management).
+function scopeForRequest(req) {
+    const access = req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+    if (req.path.startsWith('/users')) return null;
+    if (req.path.startsWith('/clients') || req.path.startsWith('/client-images')) return `clients:${access}`;
+    if (/^\/(settings|backup|restore|about)/.test(req.path)) return `site:${access}`;
+    return `portfolio:${access}`;
+}
 
 // Middleware to protect admin routes (moved from server.js)
-// Ensures the user is logged in as admin
-function requireLogin(req, res, next) {
+// Ensures the user is logged in as admin, or presents a Bearer API token with the required scope
+async function requireLogin(req, res, next) {
     if (req.session && req.session.loggedIn) {
+        return next();
+    }
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.redirect('/login');
+    }
+    try {
+        const apiToken = await verifyApiToken(token);
+        if (!apiToken) {
+            return res.status(401).json({ error: 'Invalid or revoked API token' });
+        }
+        const scope = scopeForRequest(req);
+        if (!tokenHasScope(apiToken, scope)) {
+            return res.status(403).json({ error: scope ? `API token is missing the "${scope}" scope` : 'This route requires a login session' });
+        }
+        req.apiToken = apiToken;
+        req.adminId = apiToken.adminId;
         next();
-    } else {
-        res.redirect('/login');
+    } catch (err) {
+        next(err);
     }
 }
 
@@ -100,13 +242,6 @@ const uploadsDir = path.join(__dirname, '../public/uploads');
 const brandingDir = path.join(__dirname, '../data');
 fs.mkdirSync(brandingDir, { recursive: true });
 
-// Helper to validate uploaded file is a real image
-async function isRealImage(filePath) {
-    const type = await fileTypeFromFile(filePath);
-    if (!type) return false;
-    return ['image/png', 'image/jpeg', 'image/gif'].includes(type.mime);
-}
-
 router.get('/login', async (req, res) => {
     const settings = await getSettingsWithDefaults();
     res.render('login', { error: null, settings, showAdminNav: req.session && req.session.loggedIn });
@@ -240,18 +375,252 @@ router.post('/settings', requireLogin, settingsUpload.fields([
 // Admin settings page (GET)
 router.get('/settings', requireLogin, async (req, res) => {
     const settings = await getSettingsWithDefaults();
-    const backups = await backupUtils.listBackups();
+    const backups = await Promise.all((await backupUtils.listBackups()).map(async b => ({
+        ...b,
+        manifest: await backupUtils.readBackupManifest(b.path).catch(() => null)
+    })));
     res.render('admin-settings', {
         req,
         settings,
         serverBackups: backups,
-        backupLimit: backupUtils.BACKUP_LIMIT_BYTES,
+        backupComponents: backupUtils.BACKUP_COMPONENTS,
+        backupStore: await backupUtils.getBackupStoreStats(),
+        backupSchedule: await getBackupScheduleSettings(),
+        backupSchedulePresets: BACKUP_SCHEDULE_PRESETS,
+        backupStatus: await getBackupStatus(),
+        backupTargets: await listBackupTargets(),
+        backupTargetTypes: BACKUP_TARGET_TYPES,
+        defaultTargetKeep: DEFAULT_TARGET_KEEP,
+        resizePresets: formatResizePresets(await getResizePresets()),
+        defaultPresetNames: Object.keys(DEFAULT_RESIZE_PRESETS),
+        imageCacheMaxMb: parseInt(settings.imageCacheMaxMb, 10) || DEFAULT_CACHE_MAX_MB,
+        imageCacheStats: await getImageCacheStats(),
+        archivePartSizeMb: parseInt(settings.archivePartSizeMb, 10) || DEFAULT_ARCHIVE_PART_MB,
+        email: await getEmailSettings(),
+        expiry: await getExpirySettings(),
+        smtpSecurityModes: SMTP_SECURITY_MODES,
+        emailLog: await getEmailLog(25),
+        emailTemplates: EMAIL_TEMPLATES,
+        metadataPolicies: METADATA_POLICIES,
+        metadataPolicy: await getMetadataPolicy(),
+        watermark: await getWatermarkSettings(),
+        watermarkPositions: WATERMARK_POSITIONS,
         showAdminNav: req.session && req.session.loggedIn,
         loggedIn: req.session && req.session.loggedIn,
         msg: req.query.msg || null
     });
 });
 
+// Save image resize presets and the processed-image cache limit
+router.post('/settings/images', requireLogin, async (req, res) => {
+    let presets;
+    try {
+        presets = parseResizePresets(typeof req.body.resizePresets === 'string' ? req.body.resizePresets : '');
+    } catch (err) {
+        return res.redirect('/admin/settings?msg=' + encodeURIComponent(err.message));
+    }
+    const cacheMaxMb = parseInt(req.body.imageCacheMaxMb, 10);
+    if (!Number.isInteger(cacheMaxMb) || cacheMaxMb < 16 || cacheMaxMb > 102400) {
+        return res.redirect('/admin/settings?msg=Cache size must be between 16 MB and 100 GB');
+    }
+    await setSetting('imageResizePresets', formatResizePresets(presets));
+    await setSetting('imageCacheMaxMb', String(cacheMaxMb));
+    res.redirect('/admin/settings?msg=Image settings updated!');
+});
+
+// Empty the processed-image cache
+router.post('/settings/images/clear-cache', requireLogin, (req, res) => {
+    clearImageCache();
+    res.redirect('/admin/settings?msg=Image cache cleared');
+});
+
+// Save the maximum size of one client ZIP part; larger galleries are split into several downloads
+router.post('/settings/downloads', requireLogin, async (req, res) => {
+    const partSizeMb = parseInt(req.body.archivePartSizeMb, 10);
+    if (!Number.isInteger(partSizeMb) || partSizeMb < 100 || partSizeMb > 4000) {
+        return res.redirect('/admin/settings?msg=ZIP part size must be between 100 MB and 4000 MB');
+    }
+    await setSetting('archivePartSizeMb', String(partSizeMb));
+    res.redirect('/admin/settings?msg=Download settings updated!');
+});
+
+// Save when expiry reminders are sent and how long expired galleries are kept before deletion
+router.post('/settings/expiry', requireLogin, async (req, res) => {
+    const reminderDays = parseInt(req.body.expiryReminderDays, 10);
+    const graceDays = parseInt(req.body.expiryGraceDays, 10);
+    if (!Number.isInteger(reminderDays) || reminderDays < 0 || reminderDays > 90) {
+        return res.redirect('/admin/settings?msg=Reminder days must be between 0 and 90');
+    }
+    if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > 365) {
+        return res.redirect('/admin/settings?msg=Grace period must be between 0 and 365 days');
+    }
+    await setSetting('expiryReminderDays', String(reminderDays));
+    await setSetting('expiryGraceDays', String(graceDays));
+    res.redirect('/admin/settings?msg=Expiry settings updated!');
+});
+
+// Save when scheduled backups run and how many of them are kept
+router.post('/settings/backup-schedule', requireLogin, async (req, res) => {
+    try {
+        await saveBackupScheduleSettings(req.body);
+    } catch (err) {
+        return res.redirect('/admin/settings?msg=' + encodeURIComponent(err.message));
+    }
+    res.redirect('/admin/settings?msg=Backup schedule updated!');
+});
+
+// Add an off-site backup target
+router.post('/settings/backup-targets', requireLogin, async (req, res) => {
+    try {
+        await saveBackupTarget(req.body);
+    } catch (err) {
+        return res.redirect('/admin/settings?msg=' + encodeURIComponent(err.message));
+    }
+    res.redirect('/admin/settings?msg=Backup target added!');
+});
+
+// Edit an off-site backup target
+router.post('/settings/backup-targets/:id', requireLogin, async (req, res) => {
+    try {
+        await saveBackupTarget(req.body, req.params.id);
+    } catch (err) {
+        return res.redirect('/admin/settings?msg=' + encodeURIComponent(err.message));
+    }
+    res.redirect('/admin/settings?msg=Backup target updated!');
+});
+
+// Delete an off-site backup target; the backups already on it are left there
+router.post('/settings/backup-targets/:id/delete', requireLogin, async (req, res) => {
+    try {
+        const deleted = await deleteBackupTarget(req.params.id);
+        res.redirect('/admin/settings?msg=' + (deleted ? 'Backup target deleted' : 'Backup target not found'));
+    } catch (err) {
+        res.redirect('/admin/settings?msg=' + encodeURIComponent(err.message));
+    }
+});
+
+// Check a target's connection settings with a small test file
+router.post('/settings/backup-targets/:id/test', requireLogin, async (req, res) => {
+    try {
+        await testBackupTarget(req.params.id);
+        res.redirect('/admin/settings?msg=' + encodeURIComponent('Connected: a test file was written, verified and deleted'));
+    } catch (err) {
+        res.redirect('/admin/settings?msg=' + encodeURIComponent('Backup target test failed: ' + err.message));
+    }
+});
+
+// Upload the newest backup to a target now; runs in the background like the uploads after each backup
+router.post('/settings/backup-targets/:id/upload', requireLogin, async (req, res) => {
+    const target = (await listBackupTargets()).find(t => String(t.id) === req.params.id);
+    if (!target) return res.redirect('/admin/settings?msg=Backup target not found');
+    if (target.uploading) return res.redirect('/admin/settings?msg=' + encodeURIComponent(`An upload to ${target.name} is already running`));
+    const latest = (await backupUtils.listBackups()).filter(b => b.kind !== 'uploaded').pop();
+    if (!latest) return res.redirect('/admin/settings?msg=Take a backup first');
+    uploadBackupToTarget(req.params.id, latest.name)
+        .catch(err => console.error(`Uploading ${latest.name} to backup target ${req.params.id} failed:`, err.message));
+    res.redirect('/admin/settings?msg=' + encodeURIComponent(`Uploading ${latest.name}; refresh to see when it is done`));
+});
+
+// Save the outgoing email (SMTP) settings
+router.post('/settings/email', requireLogin, async (req, res) => {
+    try {
+        await saveEmailSettings(req.body);
+    } catch (err) {
+        return res.redirect('/admin/settings?msg=' + encodeURIComponent(err.message));
+    }
+    res.redirect('/admin/settings?msg=Email settings updated!');
+});
+
+// Send a test message to check the SMTP settings
+router.post('/settings/email/test', requireLogin, async (req, res) => {
+    const to = typeof req.body.to === 'string' ? req.body.to.trim() : '';
+    if (!validator.isEmail(to)) return res.redirect('/admin/settings?msg=Enter an address to send the test to');
+    try {
+        await sendEmail('test', to, {});
+        res.redirect('/admin/settings?msg=' + encodeURIComponent(`Test email sent to ${to}`));
+    } catch (err) {
+        res.redirect('/admin/settings?msg=' + encodeURIComponent(err.message));
+    }
+});
+
+// Save gallery display options
+router.post('/settings/gallery', requireLogin, async (req, res) => {
+    await setSetting('showExifCaptions', req.body.showExifCaptions === '1' ? '1' : '0');
+    res.redirect('/admin/settings?msg=Gallery settings updated!');
+});
+
+// Save the metadata privacy policy for served originals and client downloads
+router.post('/settings/privacy', requireLogin, async (req, res) => {
+    const policy = req.body.metadataPolicy;
+    if (!Object.prototype.hasOwnProperty.call(METADATA_POLICIES, policy)) {
+        return res.redirect('/admin/settings?msg=Invalid metadata policy');
+    }
+    await setSetting('metadataPolicy', policy);
+    res.redirect('/admin/settings?msg=Privacy settings updated!');
+});
+
+// Save the watermark used for watermarked categories and client proofs
+router.post('/settings/watermark', requireLogin, settingsUpload.single('watermarkImage'), async (req, res) => {
+    const current = await getWatermarkSettings();
+    const type = ['none', 'image', 'text'].includes(req.body.watermarkType) ? req.body.watermarkType : 'none';
+    let text = typeof req.body.watermarkText === 'string' ? validator.trim(req.body.watermarkText) : '';
+    text = validator.stripLow(text).slice(0, 60);
+    const position = Object.prototype.hasOwnProperty.call(WATERMARK_POSITIONS, req.body.watermarkPosition)
+        ? req.body.watermarkPosition : 'bottom-right';
+    const opacity = parseInt(req.body.watermarkOpacity, 10);
+    const scale = parseInt(req.body.watermarkScale, 10);
+    if (!Number.isInteger(opacity) || opacity < 5 || opacity > 100 || !Number.isInteger(scale) || scale < 5 || scale > 100) {
+        if (req.file) fs.rmSync(req.file.path, { force: true });
+        return res.redirect('/admin/settings?msg=Watermark opacity and size must be between 5 and 100%');
+    }
+
+    let image = current.image;
+    if (req.file) {
+        // Logos need transparency, so only PNGs are accepted
+        const fileType = await detectFileType(req.file.path);
+        if (!fileType || fileType.mime !== 'image/png') {
+            fs.rmSync(req.file.path, { force: true });
+            return res.redirect('/admin/settings?msg=Watermark logo must be a PNG image');
+        }
+        if (image) fs.rmSync(path.join(brandingDir, image), { force: true });
+        image = req.file.filename;
+    }
+    if (type === 'image' && !image) {
+        return res.redirect('/admin/settings?msg=Upload a PNG logo to use an image watermark');
+    }
+    if (type === 'text' && !text) {
+        return res.redirect('/admin/settings?msg=Enter the watermark text');
+    }
+
+    await setSetting('watermarkType', type);
+    await setSetting('watermarkText', text);
+    await setSetting('watermarkImage', image);
+    await setSetting('watermarkPosition', position);
+    await setSetting('watermarkOpacity', String(opacity));
+    await setSetting('watermarkScale', String(scale));
+    // New version so previously cached watermarked images are not served again
+    await setSetting('watermarkVersion', Date.now().toString(36));
+    res.redirect('/admin/settings?msg=Watermark settings updated!');
+});
+
+// Preview of the current watermark on a sample image
+router.get('/settings/watermark/preview', requireLogin, async (req, res) => {
+    try {
+        const preview = await renderWatermarkPreview(await getWatermarkSettings());
+        res.setHeader('Cache-Control', 'no-store');
+        res.type('jpeg').send(preview);
+    } catch (err) {
+        console.error('Error rendering watermark preview:', err);
+        res.status(500).send('Error rendering watermark preview');
+    }
+});
+
+// Extract camera info for images uploaded before EXIF extraction existed
+router.post('/settings/gallery/backfill-metadata', requireLogin, async (req, res) => {
+    const processed = await backfillImageMetadata();
+    res.redirect('/admin/settings?msg=' + encodeURIComponent(`Read camera info for ${processed} image(s)`));
+});
+
 // Remove header image
 router.post('/settings/remove-header-image', requireLogin, async (req, res) => {
     const currentHeaderImage = getSetting('headerImage');
@@ -275,8 +644,11 @@ router.post('/settings/remove-header-image', requireLogin, async (req, res) => {
 router.get('/manage', requireLogin, async (req, res) => {
     const categories = await getCategoriesWithImages();
     const settings = await getSettingsWithDefaults();
+    const pendingUploads = await listPendingUploads('portfolio');
     res.render('admin-manage', {
         categories,
+        pendingUploads,
+        uploadAccept: UPLOAD_ACCEPT,
         req,
         settings,
         showAdminNav: req.session && req.session.loggedIn,
@@ -292,9 +664,16 @@ router.get('/users', requireLogin, (req, res) => {
         const admins = db.prepare('SELECT id, username FROM admin').all();
         const currentAdmin = req.session.adminId;
         const settings = getSettingsWithDefaults();
+        const apiTokens = await listApiTokens(currentAdmin);
+        // A freshly created token is shown exactly once, then dropped from the session
+        const newApiToken = req.session.newApiToken || null;
+        delete req.session.newApiToken;
         res.render('admin-users', {
             admins,
             currentAdmin,
+            apiTokens,
+            apiTokenScopes: API_TOKEN_SCOPES,
+            newApiToken,
             req,
             settings,
             showAdminNav: req.session && req.session.loggedIn,
@@ -438,6 +817,23 @@ router.post('/users/delete', requireLogin, (req, res) => {
     })();
 });
 
+// Create a personal API token for the current admin
+router.post('/users/tokens/create', requireLogin, async (req, res) => {
+    try {
+        const { token } = await createApiToken(req.session.adminId, req.body.name, req.body.scopes);
+        req.session.newApiToken = token;
+        res.redirect('/admin/users?msg=API token created. Copy it now, it will not be shown again.');
+    } catch (err) {
+        res.redirect('/admin/users?msg=' + encodeURIComponent(err.message || 'Failed to create API token'));
+    }
+});
+
+// Revoke one of the current admin's API tokens
+router.post('/users/tokens/:id/revoke', requireLogin, async (req, res) => {
+    const revoked = await revokeApiToken(req.session.adminId, parseInt(req.params.id, 10));
+    res.redirect('/admin/users?msg=' + (revoked ? 'API token revoked' : 'API token not found'));
+});
+
 // Admin: Serve client images (for admin upload page)
 router.get('/client-images/:clientId/:filename', requireLogin, (req, res) => {
     const { getDb, ready } = require('../db');
@@ -457,19 +853,27 @@ router.get('/client-images/:clientId/:filename', requireLogin, (req, res) => {
         const filePath = path.join(CLIENT_UPLOADS_DIR, clientId.toString(), filename);
 
         if (fs.existsSync(filePath)) {
-            res.sendFile(filePath);
+            await sendImage(req, res, filePath, path.join('client', clientId.toString()), { stripMetadata: false });
         } else {
             res.status(404).send('Image not found');
         }
-    })();
+    })().catch(() => res.status(500).send('Error processing image'));
 });
 
 // Admin: Client management page
-router.get('/clients', requireLogin, (req, res) => {
+router.get('/clients', requireLogin, async (req, res) => {
     const clients = getAllClients();
     const settings = getSettingsWithDefaults();
+    const archiveStatus = {};
+    for (const client of clients) archiveStatus[client.id] = await getClientArchiveStatus(client.id);
+    const access = {};
+    (await getClientAccessOverview(null)).forEach(row => { access[row.id] = row; });
     res.render('admin-clients', {
         clients,
+        archiveStatus,
+        access,
+        downloadPolicies: DOWNLOAD_POLICIES,
+        expiry: await getExpirySettings(),
         settings,
         req,
         showAdminNav: true,
@@ -477,10 +881,86 @@ router.get('/clients', requireLogin, (req, res) => {
     });
 });
 
+// Report period of the access dashboard from ?days=, 30 days by default
+function accessPeriod(req) {
+    const days = parseInt(req.query.days, 10);
+    return ACCESS_REPORT_PERIODS.includes(days) ? days : 30;
+}
+
+// Admin: Access dashboard (gallery opens, views and downloads per client)
+router.get('/access', requireLogin, async (req, res) => {
+    const days = accessPeriod(req);
+    res.render('admin-access', {
+        days,
+        periods: ACCESS_REPORT_PERIODS,
+        eventLabels: ACCESS_EVENTS,
+        clients: await getClientAccessOverview(days),
+        clientDaily: await getDailyAccessCounts(days),
+        clientDevices: await getDeviceBreakdown(days),
+        settings: await getSettingsWithDefaults(),
+        req,
+        showAdminNav: true,
+        loggedIn: true
+    });
+});
+
+// Admin: Access report of one client
+router.get('/access/clients/:clientId', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    const clientData = getClientById(clientId);
+    if (!clientData) {
+        return res.status(404).send('Client not found');
+    }
+    const days = accessPeriod(req);
+    res.render('admin-access-client', {
+        clientData,
+        days,
+        periods: ACCESS_REPORT_PERIODS,
+        eventLabels: ACCESS_EVENTS,
+        summary: (await getClientAccessOverview(days)).find(row => row.id === clientData.id),
+        daily: await getDailyAccessCounts(days, clientId),
+        devices: await getDeviceBreakdown(days, clientId),
+        topImages: await getTopClientImages(clientId, days),
+        recent: await getRecentAccessEvents(clientId),
+        settings: await getSettingsWithDefaults(),
+        req,
+        showAdminNav: true,
+        loggedIn: true
+    });
+});
+
+// Admin: Visitor analytics of the public portfolio
+router.get('/analytics', requireLogin, async (req, res) => {
+    const requested = parseInt(req.query.days, 10);
+    const days = ANALYTICS_REPORT_PERIODS.includes(requested) ? requested : 30;
+    res.render('admin-analytics', {
+        days,
+        periods: ANALYTICS_REPORT_PERIODS,
+        report: await getSiteAnalyticsReport(days),
+        analyticsSettings: await getAnalyticsSettings(),
+        settings: await getSettingsWithDefaults(),
+        req,
+        showAdminNav: true,
+        loggedIn: true
+    });
+});
+
+// Turn visitor analytics on or off and set how long daily statistics are kept
+router.post('/analytics/settings', requireLogin, async (req, res) => {
+    try {
+        await saveAnalyticsSettings(req.body);
+    } catch (err) {
+        return res.redirect('/admin/analytics?msg=' + encodeURIComponent(err.message));
+    }
+    res.redirect('/admin/analytics?msg=Analytics settings updated!');
+});
+
 // Admin: Create new client page
 router.get('/clients/new', requireLogin, (req, res) => {
     const settings = getSettingsWithDefaults();
     res.render('admin-client-new', {
+        downloadPolicies: DOWNLOAD_POLICIES,
+        webSizeMaxEdge: WEB_SIZE_MAX_EDGE,
         settings,
         req,
         showAdminNav: true,
@@ -498,13 +978,27 @@ router.post('/clients/create', requireLogin, async (req, res) => {
     password = validator.stripLow(password, true).slice(0, 50);
     let customExpiry = req.body.customExpiry;
     if (customExpiry && !validator.isISO8601(customExpiry)) customExpiry = null;
+    const email = typeof req.body.email === 'string' ? validator.trim(req.body.email) : '';
+    const downloadPolicy = DOWNLOAD_POLICIES[req.body.downloadPolicy] ? req.body.downloadPolicy : 'full';
     if (!clientName || !password) {
         return res.redirect('/admin/clients/new?msg=Name and password required');
     }
+    if (email && !validator.isEmail(email)) {
+        return res.redirect('/admin/clients/new?msg=Invalid email address');
+    }
     try {
         const expiryDate = customExpiry ? new Date(customExpiry) : null;
-        const result = await createClient(clientName, shootTitle, password, expiryDate);
-        res.redirect(`/admin/clients/${result.id}/upload?created=true&code=${result.accessCode}`);
+        const result = await createClient(clientName, shootTitle, password, expiryDate, req.body.watermark === '1', email || null, downloadPolicy);
+        let location = `/admin/clients/${result.id}/upload?created=true&code=${result.accessCode}`;
+        if (email && req.body.sendAccessEmail === '1') {
+            try {
+                await sendClientEmail('galleryReady', getClientById(result.id), { password }, req);
+                location += '&msg=' + encodeURIComponent(`Access details emailed to ${email}`);
+            } catch (err) {
+                location += '&msg=' + encodeURIComponent(err.message);
+            }
+        }
+        res.redirect(location);
     } catch (err) {
         console.error('Error creating client:', err);
         res.redirect('/admin/clients/new?msg=Failed to create client');
@@ -529,7 +1023,7 @@ const clientStorage = multer.diskStorage({
 const clientUpload = multer({
     storage: clientStorage,
     fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
+        if (isAcceptedUploadFile(file)) {
             cb(null, true);
         } else {
             cb(new Error('Only image files allowed'), false);
@@ -546,10 +1040,16 @@ router.get('/clients/:clientId/upload', requireLogin, async (req, res) => {
             return res.status(404).send('Client not found');
         }
         const images = await getClientImages(clientId);
+        const sections = await getClientSections(clientId);
         const settings = await getSettingsWithDefaults();
+        const pendingUploads = await listPendingUploads('client', clientId);
         res.render('admin-client-upload', {
             clientData,
             images,
+            sections,
+            sectionGroups: groupImagesBySection(images, sections, true),
+            pendingUploads,
+            uploadAccept: UPLOAD_ACCEPT,
             settings,
             req,
             showAdminNav: true,
@@ -564,17 +1064,50 @@ router.get('/clients/:clientId/upload', requireLogin, async (req, res) => {
 
 router.post('/clients/:clientId/upload', requireLogin, clientUpload.array('images', 50), async (req, res) => {
     const clientId = req.params.clientId;
-    if (req.files) {
-        for (const file of req.files) {
-            const isImage = await isRealImage(file.path);
-            if (!isImage) {
-                fs.unlinkSync(file.path);
-                return res.status(400).send('Invalid file type uploaded.');
+    const sectionId = parseSectionId(req.body.sectionId);
+    if (sectionId !== null && !(await getClientSection(clientId, sectionId))) {
+        (req.files || []).forEach(file => fs.rmSync(file.path, { force: true }));
+        return res.status(400).send('Section not found');
+    }
+    // A file that cannot be used does not stop the rest of the batch; the failures are reported at the end
+    const files = req.files || [];
+    const failed = [];
+    let uploaded = 0;
+    try {
+        for (const file of files) {
+            let prepared;
+            try {
+                // HEIC/HEIF, TIFF and WebP get a JPEG for the gallery; the original stays for downloads
+                prepared = await prepareUploadedImage(file.path, file.originalname);
+            } catch (err) {
+                // prepareUploadedImage has already removed the file it could not convert
+                failed.push(err.message);
+                continue;
+            }
+            if (!prepared) {
+                fs.rmSync(file.path, { force: true });
+                failed.push(`${file.originalname} is not a supported image`);
+                continue;
             }
-            addClientImage(clientId, file.filename, file.originalname, file.size);
+            await ingestClientImage(clientId, {
+                ...file,
+                filename: path.basename(prepared.path),
+                sourceFilename: prepared.sourcePath && path.basename(prepared.sourcePath),
+                sectionId
+            });
+            uploaded++;
         }
+    } finally {
+        // After an unexpected error, don't leave the files that were never reached in the client's folder
+        // (the one being ingested is kept, as it may already be in the database)
+        files.slice(uploaded + failed.length + 1).forEach(file => fs.rmSync(file.path, { force: true }));
+        if (uploaded > 0) scheduleArchiveRefresh(clientId);
+    }
+    if (failed.length > 0) {
+        const msg = `Uploaded ${uploaded} of ${files.length} photo(s). Not uploaded: ${failed.join('; ')}`;
+        return res.redirect(`/admin/clients/${clientId}/upload?msg=${encodeURIComponent(msg)}`);
     }
-    res.redirect(`/admin/clients/${clientId}/upload?uploaded=${req.files ? req.files.length : 0}`);
+    res.redirect(`/admin/clients/${clientId}/upload?uploaded=${uploaded}`);
 });
 
 // Admin: Upload images (multiple files, protected) -- RATE LIMITED
@@ -593,7 +1126,7 @@ const storage = multer.diskStorage({
 const upload = multer({
     storage,
     fileFilter: (req, file, cb) => {
-        if (!file.mimetype.startsWith('image/')) {
+        if (!isAcceptedUploadFile(file)) {
             return cb(new Error('Only image files are allowed!'), false);
         }
         cb(null, true);
@@ -610,20 +1143,23 @@ router.post('/upload', requireLogin, adminLimiter, upload.array('images', 20), a
         if (!isSafeCategory(category)) {
             return res.status(400).send('Invalid category');
         }
-        const destDir = path.join(__dirname, '../data/images', category);
-        fs.mkdirSync(destDir, { recursive: true });
         const catInfo = await getCategoryIdAndMaxPosition(category);
         let maxPos = catInfo ? catInfo.maxPos : 0;
         for (const file of req.files) {
-            const isImage = await isRealImage(file.path);
-            if (!isImage) {
+            let prepared;
+            try {
+                prepared = await prepareUploadedImage(file.path, file.originalname);
+            } catch (err) {
+                return res.status(400).send(err.message);
+            }
+            if (!prepared) {
                 fs.unlinkSync(file.path);
                 return res.status(400).send('Invalid file type uploaded.');
             }
-            const tmpPath = file.path;
-            const destPath = path.join(destDir, file.filename);
-            fs.renameSync(tmpPath, destPath);
-            await addImage(category, file.filename, ++maxPos, '');
+            // Moves the file into data/images/<category> and pre-generates its renditions.
+            // Portfolio images are only ever shown on the web, so a converted upload's original is dropped.
+            await ingestPortfolioImage({ path: prepared.path, filename: path.basename(prepared.path) }, category, ++maxPos);
+            if (prepared.sourcePath) fs.rmSync(prepared.sourcePath, { force: true });
         }
         return res.redirect('/admin/manage?msg=Upload successful!');
     } catch (err) {
@@ -631,10 +1167,122 @@ router.post('/upload', requireLogin, adminLimiter, upload.array('images', 20), a
     }
 });
 
+// --- Resumable chunked uploads (tus-style) --- //
+// POST /uploads creates (or resumes) an upload, HEAD reports the bytes received so far, PATCH appends a
+// chunk at Upload-Offset and DELETE cancels. The final PATCH ingests the file and returns its image ID.
+
+const UPLOAD_ERROR_STATUS = {
+    UPLOAD_BUSY: 409,
+    UPLOAD_OFFSET_MISMATCH: 409,
+    UPLOAD_TOO_LARGE: 413,
+    UPLOAD_INCOMPLETE: 400,
+    UPLOAD_INVALID_TYPE: 415,
+    UPLOAD_TARGET_MISSING: 404
+};
+
+// Client uploads need the clients scope when an API token is used; sessions may upload anywhere
+function canUploadTo(req, target) {
+    return !req.apiToken || target !== 'client' || tokenHasScope(req.apiToken, 'clients:write');
+}
+
+// Loads the session named in the URL into req.uploadSession
+async function loadUploadSession(req, res, next) {
+    const session = /^[0-9a-f-]{36}$/.test(req.params.id) ? await getUploadSession(req.params.id) : null;
+    if (!session) return res.status(404).json({ error: 'Upload not found' });
+    if (!canUploadTo(req, session.target)) return res.status(403).json({ error: 'API token is missing the "clients:write" scope' });
+    req.uploadSession = session;
+    next();
+}
+
+router.post('/uploads', requireLogin, async (req, res) => {
+    const { target } = req.body;
+    if (!Object.prototype.hasOwnProperty.call(UPLOAD_TARGETS, target)) {
+        return res.status(400).json({ error: 'Invalid upload target' });
+    }
+    if (!canUploadTo(req, target)) {
+        return res.status(403).json({ error: 'API token is missing the "clients:write" scope' });
+    }
+    let targetKey;
+    let sectionId = null;
+    if (target === 'portfolio') {
+        targetKey = req.body.category;
+        if (!isSafeCategory(targetKey) || !(await categoryExists(targetKey))) {
+            return res.status(400).json({ error: 'Invalid category' });
+        }
+    } else {
+        targetKey = String(req.body.clientId || '');
+        if (!/^\d+$/.test(targetKey) || !getClientById(targetKey)) {
+            return res.status(400).json({ error: 'Invalid client' });
+        }
+        sectionId = parseSectionId(req.body.sectionId);
+        if (sectionId !== null && !(await getClientSection(targetKey, sectionId))) {
+            return res.status(400).json({ error: 'Section not found' });
+        }
+    }
+    const filename = typeof req.body.filename === 'string' ? validator.stripLow(req.body.filename, false).trim() : '';
+    const size = Number(req.body.size);
+    if (!filename || !hasUploadExtension(filename)) {
+        return res.status(400).json({ error: `${filename || 'File'} is not a supported image (JPG, PNG, GIF, HEIC, TIFF or WebP)` });
+    }
+    if (!Number.isInteger(size) || size <= 0 || size > UPLOAD_TARGETS[target]) {
+        const maxMb = UPLOAD_TARGETS[target] / 1024 / 1024;
+        return res.status(413).json({ error: `${filename} is larger than ${maxMb}MB` });
+    }
+    // Same file, same destination: resume the unfinished upload instead of starting over
+    const lastModified = Number(req.body.lastModified) || 0;
+    const fingerprint = `${filename}:${size}:${lastModified}`;
+    const session = await createUploadSession(target, targetKey, { filename, size, fingerprint, sectionId });
+    res.status(201)
+        .location(`/admin/uploads/${session.id}`)
+        .set('Upload-Offset', String(session.bytes_received))
+        .json({ id: session.id, offset: session.bytes_received, size: session.size });
+});
+
+router.head('/uploads/:id', requireLogin, loadUploadSession, (req, res) => {
+    res.set({
+        'Upload-Offset': String(req.uploadSession.bytes_received),
+        'Upload-Length': String(req.uploadSession.size),
+        'Cache-Control': 'no-store'
+    }).status(200).end();
+});
+
+router.patch('/uploads/:id', requireLogin, loadUploadSession, async (req, res) => {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+        return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'Invalid Upload-Offset header' });
+    }
+    let session;
+    try {
+        session = await writeChunk(req.uploadSession, offset, req);
+        res.set('Upload-Offset', String(session.bytes_received));
+        if (session.bytes_received < session.size) {
+            return res.json({ offset: session.bytes_received, complete: false });
+        }
+        const imageId = await completeUpload(session);
+        if (session.target === 'client') scheduleArchiveRefresh(session.target_key);
+        res.json({ offset: session.bytes_received, complete: true, imageId });
+    } catch (err) {
+        // The client went away mid-chunk: progress is saved and there is nobody to answer
+        if (req.socket.destroyed) return;
+        const status = UPLOAD_ERROR_STATUS[err.code];
+        if (!status) console.error('Error receiving upload chunk:', err);
+        res.status(status || 500).json({ error: status ? err.message : 'Error receiving upload' });
+    }
+});
+
+router.delete('/uploads/:id', requireLogin, loadUploadSession, async (req, res) => {
+    await deleteUploadSession(req.uploadSession.id);
+    res.status(204).end();
+});
+
 // Admin: Delete client image
 router.post('/clients/:clientId/images/:imageId/delete', requireLogin, (req, res) => {
     const { clientId, imageId } = req.params;
     deleteClientImage(parseInt(clientId), parseInt(imageId));
+    scheduleArchiveRefresh(clientId);
     res.redirect(`/admin/clients/${clientId}/upload?deleted=true`);
 });
 
@@ -645,9 +1293,84 @@ router.post('/clients/:clientId/images/bulk-delete', requireLogin, (req, res) =>
     if (!imageIds) return res.redirect(`/admin/clients/${clientId}/upload?msg=No images selected`);
     imageIds = imageIds.split(',').filter(Boolean);
     imageIds.forEach(id => deleteClientImage(parseInt(clientId), parseInt(id)));
+    scheduleArchiveRefresh(clientId);
     res.redirect(`/admin/clients/${clientId}/upload?msg=Deleted ${imageIds.length} photo(s)!`);
 });
 
+// --- Client gallery sections --- //
+
+// Parses a section ID from a form or JSON body; '' (or missing) means "no section"
+function parseSectionId(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
+
+router.post('/clients/:clientId/sections', requireLogin, async (req, res) => {
+    const { clientId } = req.params;
+    if (!getClientById(clientId)) return res.status(404).send('Client not found');
+    try {
+        const section = await createClientSection(clientId, req.body.sectionName);
+        res.redirect(`/admin/clients/${clientId}/upload?msg=${encodeURIComponent(`Section "${section.name}" created`)}`);
+    } catch (err) {
+        res.redirect(`/admin/clients/${clientId}/upload?msg=${encodeURIComponent(err.message)}`);
+    }
+});
+
+router.post('/clients/:clientId/sections/:sectionId/rename', requireLogin, async (req, res) => {
+    const { clientId, sectionId } = req.params;
+    try {
+        const renamed = await renameClientSection(clientId, sectionId, req.body.sectionName);
+        res.redirect(`/admin/clients/${clientId}/upload?msg=${encodeURIComponent(renamed ? 'Section renamed' : 'Section not found')}`);
+    } catch (err) {
+        res.redirect(`/admin/clients/${clientId}/upload?msg=${encodeURIComponent(err.message)}`);
+    }
+});
+
+// Deleting a section keeps its photos; they move to "Other photos"
+router.post('/clients/:clientId/sections/:sectionId/delete', requireLogin, async (req, res) => {
+    const { clientId, sectionId } = req.params;
+    const deleted = await deleteClientSection(clientId, sectionId);
+    res.redirect(`/admin/clients/${clientId}/upload?msg=${encodeURIComponent(deleted ? 'Section deleted' : 'Section not found')}`);
+});
+
+// Save the order of sections (JSON { order: [sectionId, ...] }, sent by drag-and-drop)
+router.post('/clients/:clientId/sections/order', requireLogin, async (req, res) => {
+    const order = req.body.order;
+    if (!Array.isArray(order) || !order.every(id => parseSectionId(id) > 0)) {
+        return res.status(400).json({ error: 'Invalid section order' });
+    }
+    await saveClientSectionOrder(req.params.clientId, order.map(Number));
+    res.json({ success: true });
+});
+
+// Save the image layout (JSON { sections: [{ sectionId, imageIds: [...] }, ...] }, sent by drag-and-drop)
+router.post('/clients/:clientId/images/order', requireLogin, async (req, res) => {
+    const layout = req.body.sections;
+    if (!Array.isArray(layout) || !layout.every(group => group && Array.isArray(group.imageIds))) {
+        return res.status(400).json({ error: 'Invalid image order' });
+    }
+    try {
+        await saveClientImageLayout(req.params.clientId, layout);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.post('/clients/:clientId/images/bulk-move', requireLogin, async (req, res) => {
+    const { clientId } = req.params;
+    const imageIds = String(req.body.imageIds || '').split(',').filter(id => /^\d+$/.test(id)).map(Number);
+    if (!imageIds.length) return res.redirect(`/admin/clients/${clientId}/upload?msg=No images selected`);
+    const sectionId = parseSectionId(req.body.sectionId);
+    try {
+        if (Number.isNaN(sectionId)) throw new Error('Section not found');
+        const moved = await moveClientImagesToSection(clientId, imageIds, sectionId);
+        res.redirect(`/admin/clients/${clientId}/upload?msg=${encodeURIComponent(`Moved ${moved} photo(s)`)}`);
+    } catch (err) {
+        res.redirect(`/admin/clients/${clientId}/upload?msg=${encodeURIComponent(err.message)}`);
+    }
+});
+
 // Admin: Delete client
 router.post('/clients/:id/delete', requireLogin, (req, res) => {
     const clientId = req.params.id;
@@ -659,9 +1382,231 @@ router.post('/clients/:id/delete', requireLogin, (req, res) => {
 router.post('/clients/:id/toggle', requireLogin, (req, res) => {
     const clientId = req.params.id;
     toggleClientStatus(clientId);
+    // Activating publishes the gallery: have its ZIP download ready
+    const client = getClientById(clientId);
+    if (client && client.is_active) queueArchiveBuild(clientId);
     res.redirect('/admin/clients?msg=Client status updated');
 });
 
+// Admin: Toggle watermarking of a client's proof gallery
+router.post('/clients/:id/watermark', requireLogin, (req, res) => {
+    toggleClientWatermark(req.params.id);
+    scheduleArchiveRefresh(req.params.id);
+    res.redirect('/admin/clients?msg=Client watermark updated');
+});
+
+// Admin: Mark a client gallery as final (delivered without watermark) or back to proofing
+router.post('/clients/:id/final', requireLogin, (req, res) => {
+    toggleClientFinal(req.params.id);
+    const client = getClientById(req.params.id);
+    if (client && client.is_final) {
+        queueArchiveBuild(req.params.id);
+    } else {
+        scheduleArchiveRefresh(req.params.id);
+    }
+    res.redirect('/admin/clients?msg=Client gallery status updated');
+});
+
+// Admin: Extend a client's access by a number of days; archived (expired) galleries are restored
+router.post('/clients/:id/extend', requireLogin, async (req, res) => {
+    const days = parseInt(req.body.days, 10);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return res.redirect('/admin/clients?msg=Extend by 1 to 365 days');
+    }
+    try {
+        const expiresAt = await extendClientExpiry(req.params.id, days);
+        res.redirect('/admin/clients?msg=' + encodeURIComponent(`Access extended until ${expiresAt.toLocaleDateString()}`));
+    } catch (err) {
+        res.redirect('/admin/clients?msg=' + encodeURIComponent(err.message));
+    }
+});
+
+// Admin: Set what a client may download; pre-built archives follow the new policy
+router.post('/clients/:id/download-policy', requireLogin, (req, res) => {
+    if (!getClientById(req.params.id)) return res.redirect('/admin/clients?msg=Client not found');
+    try {
+        setClientDownloadPolicy(req.params.id, req.body.downloadPolicy);
+    } catch (err) {
+        return res.redirect('/admin/clients?msg=' + encodeURIComponent(err.message));
+    }
+    queueArchiveBuild(req.params.id);
+    res.redirect('/admin/clients?msg=' + encodeURIComponent(`Client downloads: ${DOWNLOAD_POLICIES[req.body.downloadPolicy]}`));
+});
+
+// Admin: Set or clear the email address of a client
+router.post('/clients/:id/email', requireLogin, (req, res) => {
+    const email = typeof req.body.email === 'string' ? validator.trim(req.body.email) : '';
+    if (email && !validator.isEmail(email)) return res.redirect('/admin/clients?msg=Invalid email address');
+    if (!getClientById(req.params.id)) return res.redirect('/admin/clients?msg=Client not found');
+    setClientEmail(req.params.id, email || null);
+    res.redirect('/admin/clients?msg=Client email updated');
+});
+
+// Admin: Email a client (gallery ready or expiry reminder). The password is only included when given
+// and correct, as it is stored hashed.
+router.post('/clients/:id/send-email', requireLogin, async (req, res) => {
+    const client = getClientById(req.params.id);
+    const template = req.body.template;
+    if (!client) return res.redirect('/admin/clients?msg=Client not found');
+    if (!EMAIL_TEMPLATES[template] || EMAIL_TEMPLATES[template].recipient !== 'client') {
+        return res.redirect('/admin/clients?msg=Unknown email type');
+    }
+    const extra = {};
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+    if (template === 'galleryReady' && password) {
+        if (!(await checkClientPassword(client.id, password))) {
+            return res.redirect('/admin/clients?msg=' + encodeURIComponent('That is not the client\'s password; nothing was sent'));
+        }
+        extra.password = password;
+    }
+    try {
+        await sendClientEmail(template, client, extra, req);
+        res.redirect('/admin/clients?msg=' + encodeURIComponent(`${EMAIL_TEMPLATES[template].label} email sent to ${client.email}`));
+    } catch (err) {
+        res.redirect('/admin/clients?msg=' + encodeURIComponent(err.message));
+    }
+});
+
+// Admin: Build a client's ZIP download in the background now
+router.post('/clients/:id/archives', requireLogin, (req, res) => {
+    if (!getClientById(req.params.id)) return res.redirect('/admin/clients?msg=Client not found');
+    queueArchiveBuild(req.params.id);
+    res.redirect('/admin/clients?msg=' + encodeURIComponent('Building the ZIP download in the background'));
+});
+
+// Admin: Client proofing selection (favourites, comments, export list)
+router.get('/clients/:clientId/selection', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    const clientData = getClientById(clientId);
+    if (!clientData) {
+        return res.status(404).send('Client not found');
+    }
+    const selected = await getSelectedImages(clientId);
+    res.render('admin-client-selection', {
+        clientData,
+        selection: await getSelectionState(clientId),
+        selected,
+        lightroomFilter: toLightroomFilter(selected),
+        commented: await getCommentedImages(clientId),
+        settings: await getSettingsWithDefaults(),
+        req,
+        showAdminNav: true,
+        loggedIn: true
+    });
+});
+
+// Admin: Download the selected original filenames as a text file
+router.get('/clients/:clientId/selection/filenames.txt', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    const clientData = getClientById(clientId);
+    if (!clientData) {
+        return res.status(404).send('Client not found');
+    }
+    const selected = await getSelectedImages(clientId);
+    res.type('text/plain');
+    res.attachment(`${clientData.client_name.replace(/[^a-zA-Z0-9]/g, '_')}_selection.txt`);
+    res.send(selected.map(img => img.original_filename || img.filename).join('\r\n') + '\r\n');
+});
+
+// Admin: Download the selection as CSV with comments and timestamps
+router.get('/clients/:clientId/selection.csv', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    const clientData = getClientById(clientId);
+    if (!clientData) {
+        return res.status(404).send('Client not found');
+    }
+    const { submitted } = await getSelectionState(clientId);
+    const csv = toSelectionCsv(await getSelectedImages(clientId), submitted ? submitted.submitted_at : null);
+    res.type('text/csv');
+    res.attachment(`${clientData.client_name.replace(/[^a-zA-Z0-9]/g, '_')}_selection.csv`);
+    res.send(csv);
+});
+
+// Admin: Download XMP sidecars carrying a star rating for every selected image
+router.get('/clients/:clientId/selection/xmp.zip', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    if (!getClientById(clientId)) {
+        return res.status(404).send('Client not found');
+    }
+    const rating = validator.isInt(String(req.query.rating || ''), { min: 1, max: 5 }) ? Number(req.query.rating) : 5;
+    const sidecars = toXmpSidecars(await getSelectedImages(clientId), rating);
+    if (sidecars.length === 0) {
+        return res.redirect(`/admin/clients/${clientId}/selection?msg=No photos selected yet`);
+    }
+    const { archive, zipName } = createSidecarArchive(clientId, sidecars, 'XMP');
+    archive.on('error', err => {
+        console.error('Error creating XMP zip:', err);
+        res.status(500).end();
+    });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
+    archive.pipe(res);
+});
+
+// Admin: Set or remove the client's selection limit
+router.post('/clients/:clientId/selection/limit', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    const raw = typeof req.body.selectionLimit === 'string' ? validator.trim(req.body.selectionLimit) : '';
+    const limit = raw ? parseInt(raw, 10) : null;
+    if (raw && (!validator.isInt(raw, { min: 1, max: 10000 }))) {
+        return res.redirect(`/admin/clients/${clientId}/selection?msg=Limit must be between 1 and 10000`);
+    }
+    await setSelectionLimit(clientId, limit);
+    res.redirect(`/admin/clients/${clientId}/selection?msg=Selection limit updated`);
+});
+
+// Admin: Reopen a submitted selection so the client can change it
+router.post('/clients/:clientId/selection/reopen', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    const reopened = await reopenSelection(clientId);
+    res.redirect(`/admin/clients/${clientId}/selection?msg=${reopened ? 'Selection reopened' : 'No submitted selection to reopen'}`);
+});
+
+// Admin: Share links of a client (direct gallery links and view-only guest links)
+router.get('/clients/:clientId/share', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    const clientData = getClientById(clientId);
+    if (!clientData) {
+        return res.status(404).send('Client not found');
+    }
+    res.render('admin-client-share', {
+        clientData,
+        links: await listShareLinks(clientId),
+        linkKinds: SHARE_LINK_KINDS,
+        siteUrl: await getSiteUrl(req),
+        settings: await getSettingsWithDefaults(),
+        req,
+        showAdminNav: true,
+        loggedIn: true
+    });
+});
+
+// Admin: Create a share link
+router.post('/clients/:clientId/share', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    if (!getClientById(clientId)) {
+        return res.status(404).send('Client not found');
+    }
+    try {
+        const link = await createShareLink(clientId, {
+            kind: req.body.kind,
+            days: typeof req.body.days === 'string' ? validator.trim(req.body.days) : null,
+            password: req.body.password,
+            label: req.body.label
+        });
+        res.redirect(`/admin/clients/${clientId}/share?created=${link.id}&msg=${encodeURIComponent('Share link created')}`);
+    } catch (err) {
+        res.redirect(`/admin/clients/${clientId}/share?msg=${encodeURIComponent(err.message)}`);
+    }
+});
+
+// Admin: Revoke a share link; sessions opened with it end on their next request
+router.post('/clients/:clientId/share/:linkId/revoke', requireLogin, async (req, res) => {
+    const clientId = req.params.clientId;
+    const revoked = await revokeShareLink(clientId, req.params.linkId);
+    res.redirect(`/admin/clients/${clientId}/share?msg=${revoked ? 'Share link revoked' : 'Share link not found'}`);
+});
+
 // Create category -- RATE LIMITED
 router.post('/create-category', requireLogin, adminLimiter, async (req, res) => {
     let newCategory = req.body.newCategory || '';
@@ -693,30 +1638,40 @@ router.post('/delete-category', requireLogin, adminLimiter, async (req, res) =>
     }
 });
 
+// Turn watermarking of a category on or off -- RATE LIMITED
+router.post('/category-watermark', requireLogin, adminLimiter, async (req, res) => {
+    const { category } = req.body;
+    if (!isSafeCategory(category)) {
+        return res.redirect('/admin/manage?msg=Invalid category name!');
+    }
+    const enabled = req.body.watermark === '1';
+    if (!(await setCategoryWatermark(category, enabled))) {
+        return res.redirect('/admin/manage?msg=Category not found!');
+    }
+    return res.redirect(`/admin/manage?msg=${encodeURIComponent(`Watermark ${enabled ? 'enabled' : 'disabled'} for ${category}`)}`);
+});
+
 // Rename category -- RATE LIMITED
 router.post('/rename-category', requireLogin, adminLimiter, async (req, res) => {
     const { oldName, newName } = req.body;
     if (!isSafeCategory(oldName) || !isSafeCategory(newName)) {
         return res.redirect('/admin/manage?msg=Invalid category name!');
     }
-    if (!categoryExists(oldName)) {
+    if (!(await categoryExists(oldName))) {
         return res.redirect('/admin/manage?msg=Original category not found!');
     }
-    if (categoryExists(newName)) {
+    if (await categoryExists(newName)) {
         return res.redirect('/admin/manage?msg=Category name already exists!');
     }
-    // Update category name in DB
-    const { getDb, ready } = require('../db');
-    await ready;
-    const db = getDb();
-    db.prepare('UPDATE categories SET name = ? WHERE name = ?').run(newName, oldName);
+    // Also moves the category's visitor statistics to the new name
+    await renameCategory(oldName, newName);
     // Rename folder on disk if exists
-    const oldDir = path.join(__dirname, '../public/images', oldName);
-    const newDir = path.join(__dirname, '../public/images', newName);
+    const oldDir = path.join(IMAGES_DIR, oldName);
     if (fs.existsSync(oldDir)) {
-        fs.renameSync(oldDir, newDir);
+        fs.renameSync(oldDir, path.join(IMAGES_DIR, newName));
     }
-    // Optionally invalidate cache if you use one
+    const { invalidateCategoryCache } = require('../utils/categoryCache');
+    invalidateCategoryCache();
     return res.redirect('/admin/manage?msg=Category renamed!');
 });
 
@@ -787,23 +1742,17 @@ router.post('/move-image', requireLogin, adminLimiter, async (req, res) => {
     if (!categoryExists(toCategory)) {
         return res.status(400).json({ error: 'Destination category does not exist' });
     }
-    const destDir = path.join(__dirname, '../public/images', toCategory);
+    const destDir = path.join(IMAGES_DIR, toCategory);
     fs.mkdirSync(destDir, { recursive: true });
-    let maxPos = 0;
-    try {
-        const result = getMaxImagePosition(toCategory);
-        maxPos = typeof result === 'number' && result >= 0 ? result : 0;
-    } catch (error) {
-        console.error(`Error fetching max image position for category "${toCategory}":`, error);
-    }
+    const images = await getOrderedImages(fromCategory);
     let moved = 0;
     for (const filename of filenames) {
-        const srcPath = path.join(__dirname, '../public/images', fromCategory, filename);
-        const destPath = path.join(destDir, filename);
-        if (!fs.existsSync(srcPath)) continue;
-        fs.renameSync(srcPath, destPath);
-        deleteImage(fromCategory, filename);
-        addImage(toCategory, filename, ++maxPos, '');
+        const image = images.find(img => img.filename === filename);
+        const srcPath = path.join(IMAGES_DIR, fromCategory, filename);
+        if (!image || !fs.existsSync(srcPath)) continue;
+        fs.renameSync(srcPath, path.join(destDir, filename));
+        // Keep the image ID (and with it alt text and renditions) when changing category
+        await moveImage(image.id, toCategory);
         moved++;
     }
     // Optionally invalidate cache if you use one
@@ -883,38 +1832,36 @@ router.post('/about/delete-image', requireLogin, async (req, res) => {
 const BACKUP_DIR = path.join(__dirname, '../data/backups');
 const backupUpload = multer({ dest: BACKUP_DIR });
 
-// GET: List all backups
+// GET: Backups are listed on the settings page (which builds everything the template needs)
 router.get('/backup', requireLogin, (req, res) => {
-    const backups = backupUtils.listBackups();
-    const settings = getSettingsWithDefaults();
-    res.render('admin-settings', {
-        req,
-        settings,
-        serverBackups: backups,
-        backupLimit: backupUtils.BACKUP_LIMIT_BYTES,
-        showAdminNav: req.session && req.session.loggedIn,
-        loggedIn: req.session && req.session.loggedIn,
-        msg: req.query.msg || null
-    });
+    const msg = typeof req.query.msg === 'string' ? '?msg=' + encodeURIComponent(req.query.msg) : '';
+    res.redirect('/admin/settings' + msg);
 });
 
 // POST: Create a new backup
 router.post('/backup', requireLogin, async (req, res) => {
     try {
-        await backupUtils.createBackup();
+        await runBackup('manual');
         res.redirect('/admin/settings?msg=Backup created!');
     } catch (err) {
         res.redirect('/admin/settings?msg=Backup failed: ' + err.message);
     }
 });
 
-// GET: Download a backup file
-router.get('/backup/download/:filename', requireLogin, (req, res) => {
+// GET: Download a backup file, exported as a self-contained ZIP
+router.get('/backup/download/:filename', requireLogin, async (req, res) => {
     const { filename } = req.params;
     if (!/^[\w.-]+\.zip$/.test(filename)) return res.status(400).send('Invalid filename');
     const filePath = path.join(backupUtils.BACKUP_DIR, filename);
     if (!fs.existsSync(filePath)) return res.status(404).send('Backup not found');
-    res.download(filePath, filename);
+    res.attachment(filename);
+    try {
+        await backupUtils.exportBackup(filePath, res);
+    } catch (err) {
+        console.error('Error downloading backup:', err);
+        if (!res.headersSent) res.status(500).send('Failed to download backup');
+        else res.destroy();
+    }
 });
 
 // POST: Delete a backup file
@@ -954,29 +1901,67 @@ router.post('/backup/bulk-action', requireLogin, async (req, res) => {
     }
 });
 
-// POST: Restore from uploaded backup file
-router.post('/restore', requireLogin, backupUpload.single('backupFile'), async (req, res) => {
+// Components ticked in a restore form (all the backup holds when none are)
+function restoreComponents(req) {
+    return [].concat(req.body.components || []).filter(c => typeof c === 'string');
+}
+
+// Query string that carries the chosen components to the preview page
+function componentsQuery(components) {
+    return components.map(c => '&components=' + encodeURIComponent(c)).join('');
+}
+
+// POST: Upload a backup; it is kept as a server backup and opened in the restore preview
+router.post('/restore', requireLogin, backupUpload.single('backup'), async (req, res) => {
     if (!req.file) return res.redirect('/admin/settings?msg=No file uploaded');
+    const filename = `${backupUtils.UPLOADED_BACKUP_PREFIX}${new Date().toISOString().replace(/[:.]/g, '-')}.zip`;
+    try {
+        await backupUtils.readBackupManifest(req.file.path);
+    } catch {
+        fs.rmSync(req.file.path, { force: true });
+        return res.redirect('/admin/settings?msg=' + encodeURIComponent('Failed to restore: this file is not a backup'));
+    }
+    fs.renameSync(req.file.path, path.join(backupUtils.BACKUP_DIR, filename));
+    res.redirect(`/admin/restore/preview?filename=${encodeURIComponent(filename)}${componentsQuery(restoreComponents(req))}`);
+});
+
+// GET: Dry run of a restore: validates the backup and shows what restoring it would change
+router.get('/restore/preview', requireLogin, async (req, res) => {
+    const filename = typeof req.query.filename === 'string' ? req.query.filename : '';
+    if (!/^[\w.-]+\.zip$/.test(filename)) return res.redirect('/admin/settings?msg=Invalid filename');
+    const filePath = path.join(backupUtils.BACKUP_DIR, filename);
+    if (!fs.existsSync(filePath)) return res.redirect('/admin/settings?msg=Backup not found');
+    const components = [].concat(req.query.components || []).filter(c => typeof c === 'string');
+    let preview = null;
+    let error = null;
     try {
-        await backupUtils.restoreBackup(req.file.path);
-        fs.unlinkSync(req.file.path);
-        res.redirect('/admin/settings?msg=Backup restored!');
+        preview = await previewRestore(filePath, { components });
     } catch (err) {
-        res.redirect('/admin/settings?msg=Failed to restore: ' + err.message);
+        error = err.message;
     }
+    res.render('admin-restore-preview', {
+        filename,
+        preview,
+        error,
+        settings: await getSettingsWithDefaults(),
+        req,
+        showAdminNav: true,
+        loggedIn: true
+    });
 });
 
-// POST: Restore from selected backup file
+// POST: Restore from selected backup file (after the preview)
 router.post('/restore-selected', requireLogin, async (req, res) => {
     const { filename } = req.body;
     if (!/^[\w.-]+\.zip$/.test(filename)) return res.redirect('/admin/settings?msg=Invalid filename');
     const filePath = path.join(backupUtils.BACKUP_DIR, filename);
     if (!fs.existsSync(filePath)) return res.redirect('/admin/settings?msg=Backup not found');
     try {
-        await backupUtils.restoreBackup(filePath);
-        res.redirect('/admin/settings?msg=Backup restored!');
+        const { restored, snapshot } = await restoreBackup(filePath, { components: restoreComponents(req) });
+        const labels = restored.map(c => backupUtils.BACKUP_COMPONENTS[c]).join(', ');
+        res.redirect('/admin/settings?msg=' + encodeURIComponent(`Backup restored: ${labels}. The previous state was saved as ${snapshot}.`));
     } catch (err) {
-        res.redirect('/admin/settings?msg=Failed to restore: ' + err.message);
+        res.redirect('/admin/settings?msg=' + encodeURIComponent('Failed to restore: ' + err.message));
     }
 });
 
@@ -0,0 +1,319 @@
+// routes/api.js
+// Versioned JSON REST API (mounted at /api/v1) for scripting portfolio updates.
+// Wraps the category and image helpers in utils/ so the API and /admin/manage share the same logic.
+// Accepts either an admin session or a Bearer API token with the portfolio:read / portfolio:write scope.
+
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const rateLimit = require('express-rate-limit');
+const {
+    getCategoriesWithImages,
+    getOrderedImages,
+    isSafeCategory,
+    categoryExists,
+    createCategory,
+    deleteCategory,
+    renameCategory,
+    saveCategoryOrder,
+    getCategoryIdAndMaxPosition,
+    deleteImage,
+    getImageById,
+    moveImage,
+    saveImageOrder,
+    setCategoryThumbnail,
+    updateAltText,
+    IMAGES_DIR
+} = require('../utils');
+const { invalidateCategoryCache } = require('../utils/categoryCache');
+const { ingestPortfolioImage } = require('../utils/ingest');
+const { isAcceptedUploadFile, prepareUploadedImage } = require('../utils/imageFormats');
+const { verifyApiToken, getBearerToken, tokenHasScope } = require('../utils/apiTokens');
+
+// Ensures the caller is logged in as admin or presents a Bearer API token with the portfolio scope.
+// Answers with JSON instead of redirecting.
+async function requireApiLogin(req, res, next) {
+    if (req.session && req.session.loggedIn) {
+        return next();
+    }
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    try {
+        const apiToken = await verifyApiToken(token);
+        if (!apiToken) {
+            return res.status(401).json({ error: 'Invalid or revoked API token' });
+        }
+        const scope = req.method === 'GET' || req.method === 'HEAD' ? 'portfolio:read' : 'portfolio:write';
+        if (!tokenHasScope(apiToken, scope)) {
+            return res.status(403).json({ error: `API token is missing the "${scope}" scope` });
+        }
+        req.apiToken = apiToken;
+        req.adminId = apiToken.adminId;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+const apiLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 300,
+    message: { error: 'Too many requests from this IP, please try again after 15 minutes.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+router.use(apiLimiter, requireApiLogin);
+
+// Uploads go to data/tmp first and are moved into place once validated
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        const tempDir = path.join(__dirname, '../data/tmp');
+        fs.mkdirSync(tempDir, { recursive: true });
+        cb(null, tempDir);
+    },
+    filename: function (req, file, cb) {
+        const ext = path.extname(file.originalname);
+        cb(null, uuidv4() + ext);
+    }
+});
+const upload = multer({
+    storage,
+    fileFilter: (req, file, cb) => {
+        if (!isAcceptedUploadFile(file)) {
+            return cb(new Error('Only image files are allowed!'), false);
+        }
+        cb(null, true);
+    },
+    limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// Filenames are stored flat inside a category folder
+function isSafeFilename(filename) {
+    return typeof filename === 'string' && /^[\w.-]+$/.test(filename) && !filename.includes('..');
+}
+
+// Shape an image row for API responses
+function serializeImage(img, category) {
+    return {
+        id: img.id,
+        filename: img.filename,
+        category,
+        altText: img.alt_text || '',
+        isThumbnail: !!img.is_thumbnail,
+        url: `/images/${category}/${img.filename}`
+    };
+}
+
+// Resolve :name to an existing category or answer 404
+async function loadCategory(req, res, next) {
+    const name = req.params.name;
+    if (!isSafeCategory(name) || !(await categoryExists(name))) {
+        return res.status(404).json({ error: 'Category not found' });
+    }
+    next();
+}
+
+// Resolve :id to an existing image or answer 404
+async function loadImage(req, res, next) {
+    const imageId = parseInt(req.params.id, 10);
+    const image = Number.isInteger(imageId) ? await getImageById(imageId) : null;
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+    req.image = image;
+    next();
+}
+
+// --- CATEGORIES --- //
+
+// List all categories in display order with preview and image count
+router.get('/categories', async (req, res) => {
+    const categories = await getCategoriesWithImages();
+    res.json({
+        categories: categories.map(cat => ({
+            name: cat.name,
+            preview: cat.preview ? `/images/${cat.name}/${cat.preview}` : null,
+            imageCount: cat.images.length
+        }))
+    });
+});
+
+// Create a category; the name is normalized the same way as in /admin/manage
+router.post('/categories', async (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name : '';
+    try {
+        const created = await createCategory(name);
+        invalidateCategoryCache();
+        res.status(201).json({ category: { name: created, imageCount: 0 } });
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'Category name already exists' });
+        }
+        res.status(400).json({ error: err.message || 'Failed to create category' });
+    }
+});
+
+// Reorder categories: body is { order: [name, ...] }
+router.put('/categories/order', async (req, res) => {
+    const { order } = req.body;
+    if (!Array.isArray(order) || order.some(name => !isSafeCategory(name))) {
+        return res.status(400).json({ error: 'Invalid order' });
+    }
+    await saveCategoryOrder(order);
+    invalidateCategoryCache();
+    res.json({ success: true });
+});
+
+// Rename a category: body is { name }
+router.patch('/categories/:name', loadCategory, async (req, res) => {
+    const oldName = req.params.name;
+    const newName = req.body.name;
+    if (!isSafeCategory(newName)) {
+        return res.status(400).json({ error: 'Invalid category name' });
+    }
+    if (await categoryExists(newName)) {
+        return res.status(409).json({ error: 'Category name already exists' });
+    }
+    await renameCategory(oldName, newName);
+    const oldDir = path.join(IMAGES_DIR, oldName);
+    if (fs.existsSync(oldDir)) {
+        fs.renameSync(oldDir, path.join(IMAGES_DIR, newName));
+    }
+    invalidateCategoryCache();
+    res.json({ category: { name: newName } });
+});
+
+// Delete a category and all of its images
+router.delete('/categories/:name', loadCategory, async (req, res) => {
+    const name = req.params.name;
+    await deleteCategory(name);
+    const catDir = path.join(IMAGES_DIR, name);
+    if (fs.existsSync(catDir)) fs.rmSync(catDir, { recursive: true, force: true });
+    invalidateCategoryCache();
+    res.sendStatus(204);
+});
+
+// --- IMAGES --- //
+
+// List images in a category, ordered by position
+router.get('/categories/:name/images', loadCategory, async (req, res) => {
+    const name = req.params.name;
+    const images = await getOrderedImages(name);
+    res.json({ images: images.map(img => serializeImage(img, name)) });
+});
+
+// Upload images into a category (multipart field "images", up to 20 files)
+router.post('/categories/:name/images', loadCategory, upload.array('images', 20), async (req, res, next) => {
+    try {
+        const name = req.params.name;
+        const files = req.files || [];
+        if (!files.length) return res.status(400).json({ error: 'No images uploaded' });
+        // Validate everything first so a bad file rejects the whole batch; HEIC, TIFF and WebP become JPEG
+        const prepared = [];
+        for (const file of files) {
+            let result = null;
+            let error = `Invalid file type uploaded: ${file.originalname}`;
+            try {
+                result = await prepareUploadedImage(file.path, file.originalname);
+            } catch (err) {
+                error = err.message;
+            }
+            if (!result) {
+                files.forEach(f => fs.rmSync(f.path, { force: true }));
+                prepared.forEach(p => [p.path, p.sourcePath].forEach(f => f && fs.rmSync(f, { force: true })));
+                return res.status(400).json({ error });
+            }
+            prepared.push(result);
+        }
+        const catInfo = await getCategoryIdAndMaxPosition(name);
+        let maxPos = catInfo ? catInfo.maxPos : 0;
+        const uploaded = new Set();
+        for (const result of prepared) {
+            const filename = path.basename(result.path);
+            await ingestPortfolioImage({ path: result.path, filename }, name, ++maxPos);
+            // Portfolio images are only shown on the web; the converted upload's original is not kept
+            if (result.sourcePath) fs.rmSync(result.sourcePath, { force: true });
+            uploaded.add(filename);
+        }
+        invalidateCategoryCache();
+        const images = await getOrderedImages(name);
+        res.status(201).json({
+            images: images.filter(img => uploaded.has(img.filename)).map(img => serializeImage(img, name))
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Reorder images in a category: body is { order: [filename, ...] }
+router.put('/categories/:name/images/order', loadCategory, async (req, res) => {
+    const { order } = req.body;
+    if (!Array.isArray(order) || order.some(f => !isSafeFilename(f))) {
+        return res.status(400).json({ error: 'Invalid order' });
+    }
+    await saveImageOrder(req.params.name, order);
+    invalidateCategoryCache();
+    res.json({ success: true });
+});
+
+// Get a single image
+router.get('/images/:id', loadImage, (req, res) => {
+    res.json({ image: serializeImage(req.image, req.image.category) });
+});
+
+// Update an image: body may contain { altText, category, isThumbnail }
+router.patch('/images/:id', loadImage, async (req, res) => {
+    const image = req.image;
+    const { altText, category, isThumbnail } = req.body;
+    if (altText !== undefined && typeof altText !== 'string') {
+        return res.status(400).json({ error: 'Invalid alt text' });
+    }
+    if (category !== undefined && (!isSafeCategory(category) || !(await categoryExists(category)))) {
+        return res.status(400).json({ error: 'Destination category does not exist' });
+    }
+    if (altText !== undefined) {
+        await updateAltText(image.id, altText.trim().slice(0, 500));
+    }
+    if (category !== undefined && category !== image.category) {
+        const srcPath = path.join(IMAGES_DIR, image.category, image.filename);
+        const destDir = path.join(IMAGES_DIR, category);
+        fs.mkdirSync(destDir, { recursive: true });
+        if (fs.existsSync(srcPath)) fs.renameSync(srcPath, path.join(destDir, image.filename));
+        await moveImage(image.id, category);
+    }
+    if (isThumbnail === true) {
+        const updated = await getImageById(image.id);
+        await setCategoryThumbnail(updated.category, updated.filename);
+    }
+    invalidateCategoryCache();
+    const updated = await getImageById(image.id);
+    res.json({ image: serializeImage(updated, updated.category) });
+});
+
+// Delete an image and its file
+router.delete('/images/:id', loadImage, async (req, res) => {
+    const image = req.image;
+    const filePath = path.join(IMAGES_DIR, image.category, image.filename);
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    await deleteImage(image.category, image.filename);
+    invalidateCategoryCache();
+    res.sendStatus(204);
+});
+
+// JSON errors for anything thrown inside the API (including multer limits)
+router.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: err.message });
+    }
+    if (err && err.message === 'Only image files are allowed!') {
+        return res.status(400).json({ error: err.message });
+    }
+    console.error('API error:', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+});
+
+module.exports = router;
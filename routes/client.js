@@ -1,37 +1,95 @@
 // routes/client.js
 // Client routes for secure gallery access, image downloads, and client authentication.
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const validator = require('validator');
-const FileType = require('file-type');
 const {
     verifyClient,
     getClientImages,
     incrementDownloadCount,
     createZipArchive,
+    sendClientDownload,
+    getClientById,
+    zipFileName,
     CLIENT_UPLOADS_DIR
 } = require('../utils/clients');
+const { getReadyArchive, queueArchiveBuild } = require('../utils/clientArchives');
+const { notifyAdmin } = require('../utils/email');
+const { recordAccessEvent } = require('../utils/accessEvents');
+const {
+    resolveShareToken,
+    isShareLinkUsable,
+    checkShareLinkPassword,
+    recordShareLinkUse
+} = require('../utils/shareLinks');
 const { getAllSettings } = require('../utils');
+const { withRenditions } = require('../utils/renditions');
+const { getClientWatermark, sendClientImageFile } = require('../utils/watermark');
+const { withFeedback, getSelectionState, setFavourite, setComment, submitSelection } = require('../utils/proofing');
+const {
+    getClientDownloadPolicy,
+    getDownloadableImages,
+    isImageDownloadable,
+    renderWebSize,
+    WEB_SIZE_MAX_EDGE
+} = require('../utils/downloadPolicy');
+const { getClientSections, getClientSection, groupImagesBySection } = require('../utils/clientSections');
 
 // Middleware to protect client routes
-// Ensures the user is logged in as a client
+// Ensures the user is logged in as a client; sessions opened with a share link end once the link is
+// revoked or expires
 function requireClientLogin(req, res, next) {
-    if (req.session && req.session.clientLoggedIn) {
-        next();
-    } else {
-        res.redirect('/client/login');
-    }
+    if (!req.session || !req.session.clientLoggedIn) return res.redirect('/client/login');
+    if (!req.session.shareLinkId) return next();
+    isShareLinkUsable(req.session.shareLinkId)
+        .then(usable => (usable ? next() : req.session.destroy(() => res.redirect('/client/login'))))
+        .catch(next);
+}
+
+// Guests (view-only share links) can look at the gallery but not download, select or comment
+function requireFullAccess(req, res, next) {
+    if (!req.session.clientGuest) return next();
+    const message = 'Guest links can view the gallery but not download or select photos';
+    if (req.is('application/json')) return res.status(403).json({ error: message });
+    res.status(403).send(message);
+}
+
+// Galleries with downloads disabled can only be viewed
+function requireDownloads(req, res, next) {
+    if (getClientDownloadPolicy(getClientById(req.session.clientId)) !== 'disabled') return next();
+    res.status(403).send('Downloads are not available for this gallery');
+}
+
+// Single images: under the 'favourites' policy only the selected ones
+function requireDownloadableImage(req, res, next) {
+    const filename = req.params.filename;
+    if (!/^[\w.-]+$/.test(filename)) return res.status(400).send('Invalid filename');
+    isImageDownloadable(getClientById(req.session.clientId), filename)
+        .then(allowed => (allowed ? next() : res.status(403).send('This photo is not available for download')))
+        .catch(next);
 }
 
-// Helper to validate uploaded file is a real image
-async function isRealImage(filePath) {
-    const type = await FileType.fromFile(filePath);
-    if (!type) return false;
-    return ['image/png', 'image/jpeg', 'image/gif'].includes(type.mime);
+// A resumed download asks for a later range; only the request that starts from the beginning counts
+function countsAsDownload(req) {
+    const range = req.headers.range;
+    return !range || /^bytes=0-/.test(range);
 }
 
+// Repeat visits within this time are one gallery open
+const GALLERY_OPEN_WINDOW_MS = 30 * 60 * 1000;
+
+// Brute-force protection for password-protected share links
+const shareLinkLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: 'Too many attempts, please try again after 15 minutes.',
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
 // Client login page (password only)
 router.get('/login', (req, res) => {
     const settings = getAllSettings();
@@ -58,13 +116,10 @@ router.post('/login', async (req, res) => {
             loggedIn: false
         });
     }
-    const client = verifyClient(accessCode, password);
+    const client = await verifyClient(accessCode, password);
 
     if (client) {
-        req.session.clientLoggedIn = true;
-        req.session.clientId = client.id;
-        req.session.clientName = client.client_name;
-        req.session.shootTitle = client.shoot_title;
+        startClientSession(req, client);
         res.redirect('/client/gallery');
     } else {
         const settings = getAllSettings();
@@ -77,40 +132,174 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// Log the browser in to a client gallery; `link` is the share link used, if any
+function startClientSession(req, client, link = null) {
+    req.session.clientLoggedIn = true;
+    req.session.clientId = client.id;
+    req.session.clientName = client.client_name;
+    req.session.shootTitle = client.shoot_title;
+    req.session.shareLinkId = link ? link.id : null;
+    req.session.clientGuest = !!link && link.kind === 'guest';
+    req.session.galleryOpenedAt = null;
+}
+
+async function renderShareLogin(req, res, error = null) {
+    res.render('client-login', {
+        error,
+        shareToken: req.params.token,
+        settings: await getAllSettings(),
+        showAdminNav: false,
+        loggedIn: false
+    });
+}
+
+// Share link: opens the gallery straight away, or asks for the link's password first
+router.get('/s/:token', async (req, res) => {
+    const found = await resolveShareToken(req.params.token);
+    if (!found) {
+        return res.status(404).render('client-login', {
+            error: 'This link is invalid or has expired. Please ask your photographer for a new one.',
+            settings: await getAllSettings(),
+            showAdminNav: false,
+            loggedIn: false
+        });
+    }
+    if (found.link.password_hash) return renderShareLogin(req, res);
+    startClientSession(req, found.client, found.link);
+    await recordShareLinkUse(found.link.id);
+    res.redirect('/client/gallery');
+});
+
+router.post('/s/:token', shareLinkLimiter, async (req, res) => {
+    const found = await resolveShareToken(req.params.token);
+    if (!found) return res.redirect(`/client/s/${encodeURIComponent(req.params.token)}`);
+    if (!(await checkShareLinkPassword(found.link, req.body.password))) {
+        return renderShareLogin(req, res, 'Incorrect password');
+    }
+    startClientSession(req, found.client, found.link);
+    await recordShareLinkUse(found.link.id);
+    res.redirect('/client/gallery');
+});
+
 // Secure client image serving
-// Serves images securely to logged-in clients
-router.get('/images/:filename', requireClientLogin, (req, res) => {
-    const filename = req.params.filename;
-    if (!/^[\w.-]+$/.test(filename)) return res.status(400).send('Invalid filename');
-    const filePath = path.join(CLIENT_UPLOADS_DIR, req.session.clientId.toString(), filename);
+// Serves images securely to logged-in clients (watermarked while proofing, metadata stripped per the privacy policy)
+// Full-size files follow the download policy, as they can be saved from the browser
+router.get('/images/:filename', requireClientLogin, requireFullAccess, requireDownloads, requireDownloadableImage, (req, res) => {
+    const clientId = req.session.clientId;
+    const filePath = path.join(CLIENT_UPLOADS_DIR, clientId.toString(), req.params.filename);
+    const send = async () => {
+        if (getClientDownloadPolicy(getClientById(clientId)) !== 'web') return sendClientImageFile(res, clientId, filePath);
+        res.type('jpg').send(await renderWebSize(filePath, await getClientWatermark(clientId)));
+    };
 
     fs.promises.access(filePath, fs.constants.F_OK)
-        .then(() => res.sendFile(filePath))
-        .catch(() => res.status(404).send('Image not found'));
+        .then(send, () => res.status(404).send('Image not found'))
+        .catch(() => res.status(500).send('Error serving image'));
 });
 
 // Download single image
 // Allows clients to download individual images
-router.get('/download/:filename', requireClientLogin, (req, res) => {
-    const filename = req.params.filename;
-    if (!/^[\w.-]+$/.test(filename)) return res.status(400).send('Invalid filename');
-    const filePath = path.join(CLIENT_UPLOADS_DIR, req.session.clientId.toString(), filename);
+// Converted uploads (HEIC, TIFF, WebP) download as the original file unless the gallery is watermarked
+router.get('/download/:filename', requireClientLogin, requireFullAccess, requireDownloads, requireDownloadableImage, (req, res) => {
+    const clientId = req.session.clientId;
+    sendClientDownload(res, clientId, req.params.filename)
+        .then(sent => {
+            if (!sent) return res.status(404).send('Image not found');
+            if (countsAsDownload(req)) recordAccessEvent(req, 'download', { clientId, filename: req.params.filename });
+        })
+        .catch(() => res.status(500).send('Error serving image'));
+});
 
-    fs.promises.access(filePath, fs.constants.F_OK)
-        .then(() => res.download(filePath, filename))
-        .catch(() => res.status(404).send('Image not found'));
+// Download all images as a ZIP archive
+// Served from the pre-built archive when it is up to date, with a Content-Length and Range support so
+// browsers can resume; otherwise streamed on the fly while a build is queued. Galleries that were split
+// into several parts are downloaded part by part from the gallery page.
+// Under the 'favourites' policy only the selected photos are included, so the ZIP is always streamed.
+router.get('/download-all', requireClientLogin, requireFullAccess, requireDownloads, async (req, res) => {
+    const clientId = req.session.clientId;
+    try {
+        const client = getClientById(clientId);
+        const downloadable = await getDownloadableImages(clientId, await getClientImages(clientId), getClientDownloadPolicy(client));
+        if (downloadable.length === 0) {
+            return res.redirect('/client/gallery?msg=' + encodeURIComponent('Select the photos you want with ♡ to download them'));
+        }
+        const prebuilt = await getReadyArchive(clientId);
+        if (prebuilt && prebuilt.manifest.parts.length > 1) {
+            return res.redirect('/client/gallery?msg=' + encodeURIComponent('This gallery is too large for one file: download it part by part'));
+        }
+        if (prebuilt) return sendArchivePart(req, res, clientId, prebuilt, 1);
+
+        queueArchiveBuild(clientId);
+        const { archive, zipName } = await createZipArchive(clientId);
+        archive.on('error', err => {
+            console.error('Error creating zip:', err);
+            res.status(500).send('Error creating download');
+        });
+        incrementDownloadCount(clientId);
+        recordAccessEvent(req, 'bulk_download', { clientId, detail: zipName });
+        notifyAdmin('downloadHappened', getClientById(clientId), { downloadName: zipName }, req);
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
+
+        archive.pipe(res);
+    } catch (err) {
+        console.error('Error creating zip:', err);
+        res.status(500).send('Error creating download');
+    }
 });
 
-// Download all images as ZIP
-// Allows clients to download all their images as a ZIP archive
-router.get('/download-all', requireClientLogin, (req, res) => {
+// Download one part of a gallery split into several archives
+router.get('/download-all/part/:part', requireClientLogin, requireFullAccess, requireDownloads, async (req, res) => {
+    const clientId = req.session.clientId;
+    const number = /^\d+$/.test(req.params.part) ? parseInt(req.params.part, 10) : 0;
+    try {
+        const prebuilt = await getReadyArchive(clientId);
+        // The gallery changed since the page was loaded; its part links are out of date
+        if (!prebuilt) return res.redirect('/client/gallery?msg=' + encodeURIComponent('The download is being updated, please try again shortly'));
+        if (number < 1 || number > prebuilt.manifest.parts.length) return res.status(404).send('Download not found');
+        sendArchivePart(req, res, clientId, prebuilt, number);
+    } catch (err) {
+        console.error('Error sending zip:', err);
+        res.status(500).send('Error creating download');
+    }
+});
+
+// Send a pre-built archive part as a file download (Content-Length, ETag and Range handled by res.download)
+function sendArchivePart(req, res, clientId, prebuilt, number) {
+    const parts = prebuilt.manifest.parts;
+    const suffix = parts.length > 1 ? `Part ${number} of ${parts.length}` : '';
+    const client = getClientById(clientId);
+    const zipName = zipFileName(client, suffix);
+    if (countsAsDownload(req)) {
+        incrementDownloadCount(clientId);
+        recordAccessEvent(req, 'bulk_download', { clientId, detail: zipName });
+        notifyAdmin('downloadHappened', client, { downloadName: zipName }, req);
+    }
+    res.download(path.join(prebuilt.dir, parts[number - 1].file), zipName, err => {
+        if (err && !res.headersSent) res.status(500).send('Error creating download');
+    });
+}
+
+// Download one gallery section as a ZIP archive
+router.get('/download-section/:sectionId', requireClientLogin, requireFullAccess, requireDownloads, async (req, res) => {
+    const clientId = req.session.clientId;
+    const section = /^\d+$/.test(req.params.sectionId) ? await getClientSection(clientId, req.params.sectionId) : null;
+    if (!section) return res.status(404).send('Section not found');
     try {
-        const { archive, zipName } = createZipArchive(req.session.clientId);
+        const images = (await getClientImages(clientId)).filter(img => img.section_id === section.id);
+        const downloadable = await getDownloadableImages(clientId, images, getClientDownloadPolicy(getClientById(clientId)));
+        if (downloadable.length === 0) {
+            return res.redirect('/client/gallery?msg=' + encodeURIComponent(`No photos selected in ${section.name} yet`));
+        }
+        const { archive, zipName } = await createZipArchive(clientId, section);
         archive.on('error', err => {
             console.error('Error creating zip:', err);
             res.status(500).send('Error creating download');
         });
-        incrementDownloadCount(req.session.clientId);
+        incrementDownloadCount(clientId);
+        recordAccessEvent(req, 'bulk_download', { clientId, detail: zipName });
+        notifyAdmin('downloadHappened', getClientById(clientId), { downloadName: zipName }, req);
 
         res.setHeader('Content-Type', 'application/zip');
         res.setHeader('Content-Disposition', `attachment; filename="${zipName}"`);
@@ -122,6 +311,49 @@ router.get('/download-all', requireClientLogin, (req, res) => {
     }
 });
 
+// Heart or un-heart an image (JSON, used by the gallery page)
+router.post('/images/:imageId/favourite', requireClientLogin, requireFullAccess, async (req, res) => {
+    if (!/^\d+$/.test(req.params.imageId)) return res.status(400).json({ error: 'Invalid image' });
+    const favourite = req.body.favourite === true || req.body.favourite === '1';
+    try {
+        const count = await setFavourite(req.session.clientId, Number(req.params.imageId), favourite);
+        res.json({ favourite, count });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Set or clear the comment on an image (JSON, used by the gallery page)
+router.post('/images/:imageId/comment', requireClientLogin, requireFullAccess, async (req, res) => {
+    if (!/^\d+$/.test(req.params.imageId)) return res.status(400).json({ error: 'Invalid image' });
+    const comment = typeof req.body.comment === 'string' ? validator.stripLow(req.body.comment, true) : '';
+    try {
+        res.json({ comment: await setComment(req.session.clientId, Number(req.params.imageId), comment) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Submit the hearted images as the client's selection
+router.post('/selection/submit', requireClientLogin, requireFullAccess, async (req, res) => {
+    const note = typeof req.body.note === 'string' ? validator.stripLow(req.body.note, true) : '';
+    try {
+        const selection = await submitSelection(req.session.clientId, note);
+        notifyAdmin('selectionSubmitted', getClientById(req.session.clientId), { imageCount: selection.image_count, note }, req);
+        const plural = selection.image_count !== 1 ? 's' : '';
+        res.redirect('/client/gallery?msg=' + encodeURIComponent(`Selection of ${selection.image_count} photo${plural} submitted. Thank you!`));
+    } catch (err) {
+        res.redirect('/client/gallery?msg=' + encodeURIComponent(err.message));
+    }
+});
+
+// Record a photo opened in the lightbox (sent with navigator.sendBeacon by the gallery page)
+router.post('/images/:imageId/view', requireClientLogin, (req, res) => {
+    if (!/^\d+$/.test(req.params.imageId)) return res.status(400).end();
+    recordAccessEvent(req, 'image_view', { clientId: req.session.clientId, imageId: Number(req.params.imageId) });
+    res.status(204).end();
+});
+
 // Client logout
 // Logs out the client and destroys their session
 router.post('/logout', (req, res) => {
@@ -132,15 +364,38 @@ router.post('/logout', (req, res) => {
 
 // Client gallery (shows their images)
 // Displays the gallery of images for the logged-in client
-router.get('/gallery', requireClientLogin, (req, res) => {
+router.get('/gallery', requireClientLogin, async (req, res) => {
     const clientId = req.session.clientId;
-    const images = getClientImages(clientId);
-    const settings = getAllSettings();
+    if (!req.session.galleryOpenedAt || Date.now() - req.session.galleryOpenedAt > GALLERY_OPEN_WINDOW_MS) {
+        req.session.galleryOpenedAt = Date.now();
+        recordAccessEvent(req, 'gallery_open', { clientId });
+    }
+    let images = await getClientImages(clientId);
+    // Renditions are not watermarked, so proofing galleries are served through /client-images only
+    images = await getClientWatermark(clientId)
+        ? images.map(img => ({ ...img, renditions: null }))
+        : await withRenditions(images, 'client');
+    images = await withFeedback(images, clientId);
+    const downloadPolicy = getClientDownloadPolicy(getClientById(clientId));
+    const downloadable = new Set((await getDownloadableImages(clientId, images, downloadPolicy)).map(img => img.id));
+    images = images.map(img => ({ ...img, canDownload: downloadable.has(img.id) }));
+    const selection = await getSelectionState(clientId);
+    const sections = await getClientSections(clientId);
+    const prebuilt = await getReadyArchive(clientId);
+    const settings = await getAllSettings();
     res.render('client-gallery', {
         images,
+        sectionGroups: groupImagesBySection(images, sections),
+        archiveParts: prebuilt && prebuilt.manifest.parts.length > 1 ? prebuilt.manifest.parts : null,
+        isGuest: !!req.session.clientGuest,
+        downloadPolicy,
+        webSizeMaxEdge: WEB_SIZE_MAX_EDGE,
+        selection,
+        clientId,
         clientName: req.session.clientName,
         shootTitle: req.session.shootTitle,
         settings,
+        req,
         showAdminNav: false,
         loggedIn: false
     });
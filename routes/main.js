@@ -17,6 +17,10 @@ const rateLimit = require('express-rate-limit');
 
 // Use shared helper for category cache
 const { getCachedCategories } = require('../utils/categoryCache');
+const { withRenditions } = require('../utils/renditions');
+const { withMetadata } = require('../utils/metadata');
+const { getCategoryWatermark } = require('../utils/watermark');
+const { recordPageView, recordImageOpen } = require('../utils/siteAnalytics');
 
 // Serve dynamic styles.css with accent color injection
 router.get('/styles.css', async (req, res) => {
@@ -31,6 +35,7 @@ router.get('/styles.css', async (req, res) => {
 router.get('/', async (req, res) => {
     const categories = await getCachedCategories();
     const settings = await getSettingsWithDefaults();
+    recordPageView(req);
     res.render('index', {
         categories,
         images: null,
@@ -52,9 +57,15 @@ router.get('/gallery/:category', async (req, res) => {
     let images = [];
     try {
         images = await getOrderedImages(category);
+        // Renditions are not watermarked, so watermarked categories are served through /images only
+        images = await getCategoryWatermark(category)
+            ? images.map(img => ({ ...img, renditions: null }))
+            : await withRenditions(images);
+        images = await withMetadata(images);
     } catch (err) {
         console.error(err);
     }
+    if (categories.some(cat => cat.name === category)) recordPageView(req, { category });
     const settings = await getSettingsWithDefaults();
     res.render('index', {
         categories,
@@ -66,6 +77,19 @@ router.get('/gallery/:category', async (req, res) => {
     });
 });
 
+// Record a portfolio photo opened in the lightbox (sent with navigator.sendBeacon by the gallery page)
+router.post('/gallery/:category/images/:filename/view', async (req, res) => {
+    const { category, filename } = req.params;
+    if (!/^[\w-]+$/.test(category) || !/^[\w.-]+$/.test(filename)) return res.status(400).end();
+    try {
+        const images = await getOrderedImages(category);
+        if (images.some(img => img.filename === filename)) await recordImageOpen(req, category, filename);
+    } catch (err) {
+        console.error(err);
+    }
+    res.status(204).end();
+});
+
 // Manifest route
 router.get('/manifest.json', async (req, res) => {
     const settings = await getSettingsWithDefaults();
@@ -109,6 +133,7 @@ router.get('/about', async (req, res) => {
     let aboutHtml = about && about.markdown ? marked.parse(about.markdown) : '';
     let image = about && about.image_path ? about.image_path : null;
     // No additional processing for the image is required here.
+    recordPageView(req);
     res.render('about', {
         aboutHtml,
         image,
@@ -23,6 +23,17 @@ const backupUtils = require('./utils/backup');
 const Database = require('better-sqlite3');
 const marked = require('marked');
 const logger = require('./utils/logger');
+const { sendImage, resolvePreset, getResizePresets } = require('./utils/imageDelivery');
+const {
+  WEB_SIZE_PRESET,
+  isWebSizePreset,
+  getClientDownloadPolicy,
+  isImageDownloadable,
+  isFullSizeDownloadable,
+  renderWebSize
+} = require('./utils/downloadPolicy');
+const { isShareLinkUsable } = require('./utils/shareLinks');
+const { getCategoryWatermark, getClientWatermark, isRenditionWatermarked, sendClientImageFile } = require('./utils/watermark');
 const {
   createClient,
   verifyClient,
@@ -58,11 +69,15 @@ const {
   getCategoryIdAndMaxPosition,
   getSetting,
   setSetting,
-  getAllSettings
+  getAllSettings,
+  getBrandingFiles
 } = require('./utils');
+const { getAbout } = require('./utils/about');
+const { sendStrippedFile } = require('./utils/metadataPolicy');
 const adminRoutes = require('./routes/admin');
 const clientRoutes = require('./routes/client');
 const mainRoutes = require('./routes/main');
+const apiRoutes = require('./routes/api');
 const app = express();
 
 app.use(helmet());
@@ -71,6 +86,9 @@ app.use(helmet());
 app.set('trust proxy', process.env.TRUST_PROXY === '1');
 
 const { getCachedCategories, invalidateCategoryCache } = require('./utils/categoryCache');
+const { cleanupStaleUploads } = require('./utils/resumableUploads');
+const { runExpiryJob } = require('./utils/clientExpiry');
+const { startBackupScheduler } = require('./utils/backupSchedule');
 
 // --- RATE LIMITERS --- //
 // Login rate limiter to prevent brute force attacks
@@ -149,21 +167,29 @@ app.use((req, res, next) => {
   next();
 });
 
-// Serve static images from /data/images at /images URL with cache headers
-app.use('/images', express.static(path.join(__dirname, 'data/images'), {
-  maxAge: '30d', // Cache for 30 days
-  setHeaders: (res) => {
-    res.setHeader('Cache-Control', 'public, max-age=2592000, immutable');
-  }
-}));
-// Serve static client images from /data/client-uploads at /client-images URL with cache headers
-app.use('/client-images', express.static(path.join(__dirname, 'data/client-uploads'), {
-  maxAge: '30d',
-  setHeaders: (res) => {
-    res.setHeader('Cache-Control', 'public, max-age=2592000, immutable');
+// Optimized image serving with sharp (preset resizing, AVIF/WebP negotiated from the Accept header).
+// No static mount shadows these routes, so every /images and /client-images request goes through sharp.
+app.get('/images/:category/:filename', async (req, res) => {
+  const { category, filename } = req.params;
+  if (!isSafeCategory(category) || !/^[\w.-]+$/.test(filename)) return res.status(400).send('Invalid path');
+  const origPath = path.join(__dirname, 'data/images', category, filename);
+  if (!fs.existsSync(origPath)) return res.status(404).send('Image not found');
+  try {
+    await sendImage(req, res, origPath, path.join('portfolio', category), {
+      watermark: await getCategoryWatermark(category)
+    });
+  } catch (err) {
+    return res.status(500).send('Error processing image');
   }
-}));
-// Serve the /data directory as /branding with cache headers
+});
+
+// Serve the branding files (favicon, header image, watermark logo) from /data as /branding with cache headers;
+// anything else in /data is not found
+app.use('/branding', (req, res, next) => {
+  getBrandingFiles()
+    .then(files => (files.has(req.path.slice(1)) ? next() : res.status(404).send('Not found')))
+    .catch(next);
+});
 app.use('/branding', express.static(path.join(__dirname, 'data'), {
   maxAge: '30d',
   setHeaders: (res) => {
@@ -171,91 +197,21 @@ app.use('/branding', express.static(path.join(__dirname, 'data'), {
   }
 }));
 
-// Serve client-uploaded images at /uploads/:clientId/:filename
-app.get('/uploads/:clientId/:filename', (req, res) => {
-  const clientId = req.params.clientId;
-  const filename = req.params.filename;
-  const filePath = path.join(__dirname, 'data', 'client-uploads', clientId, filename);
-  if (fs.existsSync(filePath)) {
-    res.sendFile(filePath);
-  } else {
-    res.status(404).send('Image not found');
-  }
-});
-
-// Serve About image from /data by filename
-app.get('/about-image/:filename', (req, res) => {
+// Serve the About image from /data by filename (only the current one: /data also holds the database),
+// with metadata stripped per the privacy policy
+app.get('/about-image/:filename', async (req, res) => {
   const filename = req.params.filename;
   // Only allow safe filenames
   if (!/^[\w.-]+$/.test(filename)) return res.status(400).send('Invalid filename');
   const filePath = path.join(__dirname, 'data', filename);
-  if (fs.existsSync(filePath)) {
-    res.sendFile(filePath);
+  const about = await getAbout();
+  if (about && about.image_path === filename && !/^gallery\.db/.test(filename) && fs.existsSync(filePath)) {
+    sendStrippedFile(res, filePath).catch(() => res.status(500).send('Error serving image'));
   } else {
     res.status(404).send('Image not found');
   }
 });
 
-// Optimized image serving with sharp (on-the-fly resizing)
-app.get('/images/:category/:filename', async (req, res) => {
-  const { category, filename } = req.params;
-  const width = parseInt(req.query.w, 10);
-  const height = parseInt(req.query.h, 10);
-  const origPath = path.join(__dirname, 'data/images', category, filename);
-  if (!fs.existsSync(origPath)) return res.status(404).send('Image not found');
-
-  // Only process if width or height is specified
-  if (width || height) {
-    try {
-      // Optional: cache processed images
-      const cacheDir = path.join(__dirname, 'public/images/tmp', category);
-      fs.mkdirSync(cacheDir, { recursive: true });
-      const cacheName = `${path.parse(filename).name}_${width || ''}x${height || ''}${path.extname(filename)}`;
-      const cachePath = path.join(cacheDir, cacheName);
-      if (fs.existsSync(cachePath)) {
-        return res.sendFile(cachePath);
-      }
-      let transformer = sharp(origPath);
-      if (width || height) transformer = transformer.resize(width || null, height || null, { fit: 'inside' });
-      await transformer.toFile(cachePath);
-      return res.sendFile(cachePath);
-    } catch (err) {
-      return res.status(500).send('Error processing image');
-    }
-  } else {
-    return res.sendFile(origPath);
-  }
-});
-
-// Optimized client image serving with sharp (on-the-fly resizing)
-app.get('/client-images/:clientId/:filename', async (req, res) => {
-  const { clientId, filename } = req.params;
-  const width = parseInt(req.query.w, 10);
-  const height = parseInt(req.query.h, 10);
-  const origPath = path.join(__dirname, 'data/client-uploads', clientId, filename);
-  if (!fs.existsSync(origPath)) return res.status(404).send('Image not found');
-
-  if (width || height) {
-    try {
-      const cacheDir = path.join(__dirname, 'public/images/tmp', 'client', clientId);
-      fs.mkdirSync(cacheDir, { recursive: true });
-      const cacheName = `${path.parse(filename).name}_${width || ''}x${height || ''}${path.extname(filename)}`;
-      const cachePath = path.join(cacheDir, cacheName);
-      if (fs.existsSync(cachePath)) {
-        return res.sendFile(cachePath);
-      }
-      let transformer = sharp(origPath);
-      if (width || height) transformer = transformer.resize(width || null, height || null, { fit: 'inside' });
-      await transformer.toFile(cachePath);
-      return res.sendFile(cachePath);
-    } catch (err) {
-      return res.status(500).send('Error processing image');
-    }
-  } else {
-    return res.sendFile(origPath);
-  }
-});
-
 // Parse URL-encoded bodies (for login form, etc.)
 app.use(express.urlencoded({ extended: true }));
 
@@ -281,6 +237,93 @@ app.use(session({
   }
 }));
 
+// Client images are only served to the gallery's own client and to admins; sessions opened with a share
+// link lose access once the link is revoked or expires
+async function canViewClientImages(req, clientId) {
+  if (req.session.loggedIn) return true;
+  if (!req.session.clientLoggedIn || String(req.session.clientId) !== String(clientId)) return false;
+  return !req.session.shareLinkId || isShareLinkUsable(req.session.shareLinkId);
+}
+
+// Only portfolio renditions are public; client renditions (clients/<clientId>/...) follow the client
+// image access rules. Renditions carry no watermark: refuse them for watermarked galleries (the pages
+// fall back to /images and /client-images).
+app.use('/renditions', async (req, res, next) => {
+  const [kind, id] = req.path.replace(/^\/+/, '').split('/');
+  try {
+    if (kind !== 'images' && kind !== 'clients') return res.status(404).send('Not found');
+    if (kind === 'clients' && !(await canViewClientImages(req, id))) return res.status(403).send('Forbidden');
+    if (await isRenditionWatermarked(req.path)) return res.status(403).send('Forbidden');
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+// Serve pre-generated responsive renditions from /data/renditions at /renditions with cache headers
+// (client renditions may only be cached by the browser)
+const clientRenditionsDir = path.join(__dirname, 'data/renditions/clients') + path.sep;
+app.use('/renditions', express.static(path.join(__dirname, 'data/renditions'), {
+  maxAge: '30d',
+  setHeaders: (res, filePath) => {
+    const scope = filePath.startsWith(clientRenditionsDir) ? 'private' : 'public';
+    res.setHeader('Cache-Control', `${scope}, max-age=2592000, immutable`);
+  }
+}));
+
+// Optimized client image serving with sharp (preset resizing, AVIF/WebP negotiated from the Accept header).
+// Sizes above the web size follow the download policy and are never sent to guests (view-only share
+// links); without a preset the web size is sent, so the original is only available from the client
+// download routes.
+app.get('/client-images/:clientId/:filename', async (req, res) => {
+  const { clientId, filename } = req.params;
+  if (!/^\d+$/.test(clientId) || !/^[\w.-]+$/.test(filename)) return res.status(400).send('Invalid path');
+  const origPath = path.join(__dirname, 'data/client-uploads', clientId, filename);
+  try {
+    if (!(await canViewClientImages(req, clientId))) return res.status(403).send('Forbidden');
+    if (!fs.existsSync(origPath)) return res.status(404).send('Image not found');
+    const { preset } = resolvePreset(req.query, await getResizePresets());
+    if (preset && !isWebSizePreset(preset) && !req.session.loggedIn &&
+      (req.session.clientGuest || !(await isFullSizeDownloadable(getClientById(clientId), filename)))) {
+      return res.status(403).send('This size is not available for download');
+    }
+    // Galleries can be switched to final (unwatermarked) at any time, so keep browser caching short
+    await sendImage(req, res, origPath, path.join('client', clientId), {
+      watermark: await getClientWatermark(clientId),
+      cacheControl: 'private, max-age=3600',
+      defaultPreset: WEB_SIZE_PRESET
+    });
+  } catch (err) {
+    return res.status(500).send('Error processing image');
+  }
+});
+
+// Serve client-uploaded originals at /uploads/:clientId/:filename under the download policy (web-size
+// copies only under 'web', nothing for guests); watermarked while proofing, otherwise metadata stripped per
+// the privacy policy
+app.get('/uploads/:clientId/:filename', async (req, res) => {
+  const clientId = req.params.clientId;
+  const filename = req.params.filename;
+  if (!/^\d+$/.test(clientId) || !/^[\w.-]+$/.test(filename)) return res.status(400).send('Invalid path');
+  const filePath = path.join(__dirname, 'data', 'client-uploads', clientId, filename);
+  try {
+    if (!(await canViewClientImages(req, clientId))) return res.status(403).send('Forbidden');
+    if (!fs.existsSync(filePath)) return res.status(404).send('Image not found');
+    if (!req.session.loggedIn) {
+      if (req.session.clientGuest) return res.status(403).send('Guest links can view the gallery but not download photos');
+      const client = getClientById(clientId);
+      if (!(await isImageDownloadable(client, filename))) {
+        return res.status(403).send('This photo is not available for download');
+      }
+      if (getClientDownloadPolicy(client) === 'web') {
+        return res.type('jpg').send(await renderWebSize(filePath, await getClientWatermark(clientId)));
+      }
+    }
+    await sendClientImageFile(res, clientId, filePath);
+  } catch (err) {
+    res.status(500).send('Error serving image');
+  }
+});
+
 // Ensure the temporary upload directory exists
 const tmpDir = path.join(__dirname, 'public/images/tmp');
 fs.mkdirSync(tmpDir, { recursive: true });
@@ -321,7 +364,8 @@ const settingsUpload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }
 });
 
-// Clean up tmp folder: delete files older than 1 hour
+// Clean up tmp folder: delete files older than 1 hour.
+// Subfolders are left over from the old unbounded resize cache (now in data/cache/images) and are removed.
 function cleanTmpFolder() {
   const tmpDir = path.join(__dirname, 'public/images/tmp');
   const cutoff = Date.now() - 60 * 60 * 1000; // 1 hour ago
@@ -331,7 +375,9 @@ function cleanTmpFolder() {
       const filePath = path.join(tmpDir, file);
       fs.stat(filePath, (err, stats) => {
         if (err) return;
-        if (stats.isFile() && stats.mtimeMs < cutoff) {
+        if (stats.isDirectory()) {
+          fs.rm(filePath, { recursive: true, force: true }, () => { });
+        } else if (stats.isFile() && stats.mtimeMs < cutoff) {
           fs.unlink(filePath, () => { });
         }
       });
@@ -345,6 +391,21 @@ cleanupInterval.unref(); // Prevents Jest from hanging due to open handles
 // Also run at startup
 cleanTmpFolder();
 
+// Remove resumable uploads that have been idle for a day, hourly and at startup
+const uploadCleanupInterval = setInterval(() => cleanupStaleUploads().catch(() => { }), 60 * 60 * 1000);
+uploadCleanupInterval.unref();
+cleanupStaleUploads().catch(() => { });
+
+// Send expiry reminders, archive expired client galleries and delete them after the grace period,
+// hourly and at startup (once the migrations have run)
+const runExpiry = () => runExpiryJob().catch(err => console.error('Error running gallery expiry job:', err));
+const expiryInterval = setInterval(runExpiry, 60 * 60 * 1000);
+expiryInterval.unref();
+db.ready.then(runExpiry);
+
+// Take scheduled backups (checked every minute) and prune old ones by the retention settings
+startBackupScheduler().catch(err => console.error('Error starting the backup scheduler:', err));
+
 // Helper to get file type
 async function getFileType(filePath) {
   const { fileTypeFromFile } = await import('file-type');
@@ -362,18 +423,18 @@ const envTestPath = path.join(__dirname, '.env.test');
 let testAdminReady = Promise.resolve();
 
 if (process.env.NODE_ENV === 'test') {
-  if (!adminExists()) {
-    const testUser = randomString(8);
-    const testPass = randomString(16);
-    testAdminReady = createAdmin(testUser, testPass)
-      .then(() => {
-        const envContent = `TEST_ADMIN_USER=${testUser}\nTEST_ADMIN_PASS=${testPass}\n`;
-        fs.writeFileSync(envTestPath, envContent, { encoding: 'utf8' });
-      })
-      .catch(err => {
-        console.error('Failed to create test admin:', err);
-      });
-  }
+  testAdminReady = adminExists()
+    .then(async exists => {
+      if (exists) return;
+      const testUser = randomString(8);
+      const testPass = randomString(16);
+      await createAdmin(testUser, testPass);
+      const envContent = `TEST_ADMIN_USER=${testUser}\nTEST_ADMIN_PASS=${testPass}\n`;
+      fs.writeFileSync(envTestPath, envContent, { encoding: 'utf8' });
+    })
+    .catch(err => {
+      console.error('Failed to create test admin:', err);
+    });
 }
 
 // Centralized cache header middleware
@@ -392,6 +453,9 @@ app.use(express.static(path.join(__dirname, 'public'), {
   setHeaders: setCacheHeaders
 }));
 
+// Use versioned JSON API routes
+app.use('/api/v1', apiRoutes);
+
 // Use client routes
 app.use('/client', clientRoutes);
 
@@ -0,0 +1,180 @@
+// Utility functions for access events and the access dashboard.
+// Client galleries record when they are opened, which photos are viewed and every single or ZIP download.
+// Each event keeps its time and device type (desktop, mobile or tablet). Crawlers are not recorded.
+// Visits to the public portfolio are counted separately and anonymously (see utils/siteAnalytics.js).
+//
+// Exports:
+//   - ACCESS_EVENTS: Map of event key to its label.
+//   - ACCESS_REPORT_PERIODS: Report periods (in days) offered on the dashboard.
+//   - deviceType: Classifies a User-Agent as desktop, mobile, tablet or bot.
+//   - recordAccessEvent: Records an event for the current request; never throws.
+//   - getClientAccessOverview: Per-client totals, with first and last gallery open.
+//   - getDailyAccessCounts: Events per day and type, for the dashboard charts.
+//   - getDeviceBreakdown: Events per device type.
+//   - getTopClientImages: Most viewed and downloaded photos of a client.
+//   - getRecentAccessEvents: Latest events of a client.
+
+const { getDb, ready } = require('../db');
+
+const ACCESS_EVENTS = {
+    gallery_open: 'Gallery opened',
+    image_view: 'Photo viewed',
+    download: 'Photo downloaded',
+    bulk_download: 'ZIP downloaded'
+};
+
+const ACCESS_REPORT_PERIODS = [7, 30, 90, 365];
+
+function deviceType(userAgent) {
+    const ua = String(userAgent || '');
+    if (/bot|crawl|spider|slurp|facebookexternalhit|headless/i.test(ua)) return 'bot';
+    if (/ipad|tablet|kindle|silk|playbook|android(?!.*mobile)/i.test(ua)) return 'tablet';
+    if (/mobi|iphone|ipod|android|windows phone/i.test(ua)) return 'mobile';
+    return 'desktop';
+}
+
+// Record `event` of a client gallery for the request. Photo events pass imageId or the stored filename
+// of the photo (events for a photo that is not the client's are dropped). Analytics must never break a
+// page or a download, so failures are only logged.
+function recordAccessEvent(req, event, { clientId, imageId = null, filename = null, detail = null }) {
+    try {
+        if (!ACCESS_EVENTS[event]) throw new Error(`Unknown access event: ${event}`);
+        const device = deviceType(req.get('user-agent'));
+        if (device === 'bot') return;
+        const db = getDb();
+        let image = null;
+        if (imageId || filename) {
+            image = db.prepare('SELECT id, filename FROM client_images WHERE client_id = ? AND (id = ? OR filename = ?)')
+                .get(clientId, imageId, filename);
+            if (!image) return;
+        }
+        const shareLinkId = req.session ? req.session.shareLinkId || null : null;
+        db.prepare(`
+            INSERT INTO access_events (event, client_id, client_image_id, share_link_id, filename, detail, device)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(event, clientId, image ? image.id : null, shareLinkId, image ? image.filename : null, detail, device);
+    } catch (err) {
+        console.error('Error recording access event:', err.message);
+    }
+}
+
+// SQL condition and parameters for the report period; days = null covers all time
+function periodFilter(days) {
+    return days ? { sql: "created_at >= datetime('now', ?)", params: [`-${days} days`] } : { sql: '1 = 1', params: [] };
+}
+
+// SQL condition and parameters selecting one client, or every client gallery when clientId is null
+function scopeFilter(clientId = null) {
+    return clientId ? { sql: 'client_id = ?', params: [clientId] } : { sql: 'client_id IS NOT NULL', params: [] };
+}
+
+// Every client with its event counts in the period, and its first and last gallery open of all time
+async function getClientAccessOverview(days = 30) {
+    await ready;
+    const db = getDb();
+    const period = periodFilter(days);
+    return db.prepare(`
+        SELECT c.id, c.client_name, c.shoot_title, c.created_at, c.expires_at, c.is_active,
+            COALESCE(p.opens, 0) AS opens,
+            COALESCE(p.views, 0) AS views,
+            COALESCE(p.downloads, 0) AS downloads,
+            COALESCE(p.bulk_downloads, 0) AS bulk_downloads,
+            a.first_open, a.last_open
+        FROM clients c
+        LEFT JOIN (
+            SELECT client_id,
+                SUM(event = 'gallery_open') AS opens,
+                SUM(event = 'image_view') AS views,
+                SUM(event = 'download') AS downloads,
+                SUM(event = 'bulk_download') AS bulk_downloads
+            FROM access_events WHERE client_id IS NOT NULL AND ${period.sql}
+            GROUP BY client_id
+        ) p ON p.client_id = c.id
+        LEFT JOIN (
+            SELECT client_id, MIN(created_at) AS first_open, MAX(created_at) AS last_open
+            FROM access_events WHERE event = 'gallery_open'
+            GROUP BY client_id
+        ) a ON a.client_id = c.id
+        ORDER BY c.created_at DESC
+    `).all(...period.params);
+}
+
+// One entry per day of the period, oldest first: { day: 'YYYY-MM-DD', counts: { event: n }, total }.
+// Days without events are included, so the chart has no gaps.
+async function getDailyAccessCounts(days, clientId = null) {
+    await ready;
+    const db = getDb();
+    const where = scopeFilter(clientId);
+    const rows = db.prepare(`
+        SELECT date(created_at) AS day, event, COUNT(*) AS n FROM access_events
+        WHERE ${where.sql} AND created_at >= datetime('now', ?)
+        GROUP BY day, event
+    `).all(...where.params, `-${days} days`);
+    const byDay = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+        const day = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        byDay.set(day, { day, counts: {}, total: 0 });
+    }
+    rows.forEach(row => {
+        const entry = byDay.get(row.day);
+        if (!entry) return;
+        entry.counts[row.event] = row.n;
+        entry.total += row.n;
+    });
+    return [...byDay.values()];
+}
+
+// [{ device, n }] for the period, most used first
+async function getDeviceBreakdown(days, clientId = null) {
+    await ready;
+    const db = getDb();
+    const where = scopeFilter(clientId);
+    const period = periodFilter(days);
+    return db.prepare(`
+        SELECT device, COUNT(*) AS n FROM access_events
+        WHERE ${where.sql} AND ${period.sql}
+        GROUP BY device ORDER BY n DESC
+    `).all(...where.params, ...period.params);
+}
+
+// Photos of a client with the most views and downloads in the period
+async function getTopClientImages(clientId, days, limit = 10) {
+    await ready;
+    const db = getDb();
+    const period = periodFilter(days);
+    return db.prepare(`
+        SELECT ci.id, ci.filename, ci.original_filename,
+            SUM(e.event = 'image_view') AS views,
+            SUM(e.event = 'download') AS downloads
+        FROM access_events e JOIN client_images ci ON ci.id = e.client_image_id
+        WHERE e.client_id = ? AND ${period.sql.replace('created_at', 'e.created_at')}
+        GROUP BY ci.id
+        ORDER BY views + downloads DESC
+        LIMIT ?
+    `).all(clientId, ...period.params, limit);
+}
+
+async function getRecentAccessEvents(clientId, limit = 50) {
+    await ready;
+    const db = getDb();
+    return db.prepare(`
+        SELECT e.*, ci.original_filename, l.label AS share_link_label, l.kind AS share_link_kind
+        FROM access_events e
+        LEFT JOIN client_images ci ON ci.id = e.client_image_id
+        LEFT JOIN client_share_links l ON l.id = e.share_link_id
+        WHERE e.client_id = ?
+        ORDER BY e.id DESC LIMIT ?
+    `).all(clientId, limit);
+}
+
+module.exports = {
+    ACCESS_EVENTS,
+    ACCESS_REPORT_PERIODS,
+    deviceType,
+    recordAccessEvent,
+    getClientAccessOverview,
+    getDailyAccessCounts,
+    getDeviceBreakdown,
+    getTopClientImages,
+    getRecentAccessEvents
+};
@@ -0,0 +1,112 @@
+// Utility functions for per-admin personal access tokens.
+// Tokens are shown once on creation; only their SHA-256 hash is stored.
+//
+// Exports:
+//   - API_TOKEN_SCOPES: Map of available scopes to human-readable descriptions.
+//   - createApiToken: Creates a token for an admin and returns the plaintext value once.
+//   - listApiTokens: Lists an admin's tokens (without secrets).
+//   - revokeApiToken: Revokes one of an admin's tokens.
+//   - verifyApiToken: Resolves a plaintext token to its active record.
+//   - getBearerToken: Extracts a Bearer token from the Authorization header.
+//   - tokenHasScope: Checks whether a verified token grants a scope.
+
+const crypto = require('crypto');
+const validator = require('validator');
+const { getDb, ready } = require('../db');
+
+const API_TOKEN_SCOPES = {
+    'portfolio:read': 'View categories and images',
+    'portfolio:write': 'Upload, edit, move and delete images and categories',
+    'clients:read': 'View client galleries',
+    'clients:write': 'Create clients and upload or delete client photos',
+    'site:read': 'View site settings, About page and backups',
+    'site:write': 'Change site settings, About page and backups'
+};
+
+const TOKEN_PREFIX = 'fp_';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Creates a new token and returns { id, token }; the plaintext token is never stored
+async function createApiToken(adminId, name, scopes) {
+    await ready;
+    const db = getDb();
+    name = typeof name === 'string' ? validator.escape(validator.trim(name)).slice(0, 50) : '';
+    if (!name) throw new Error('Token name is required');
+    const validScopes = (Array.isArray(scopes) ? scopes : [scopes]).filter(s => s in API_TOKEN_SCOPES);
+    if (!validScopes.length) throw new Error('Select at least one scope');
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const result = db.prepare(`
+        INSERT INTO api_tokens (admin_id, name, token_hash, token_prefix, scopes)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(adminId, name, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), validScopes.join(' '));
+    return { id: result.lastInsertRowid, token };
+}
+
+// Lists all tokens belonging to an admin, newest first
+async function listApiTokens(adminId) {
+    await ready;
+    const db = getDb();
+    return db.prepare(`
+        SELECT id, name, token_prefix, scopes, created_at, last_used_at, revoked_at
+        FROM api_tokens
+        WHERE admin_id = ?
+        ORDER BY created_at DESC, id DESC
+    `).all(adminId).map(row => ({ ...row, scopes: row.scopes ? row.scopes.split(' ') : [] }));
+}
+
+// Revokes a token; admins can only revoke their own tokens
+async function revokeApiToken(adminId, tokenId) {
+    await ready;
+    const db = getDb();
+    const result = db.prepare(`
+        UPDATE api_tokens SET revoked_at = datetime('now')
+        WHERE id = ? AND admin_id = ? AND revoked_at IS NULL
+    `).run(tokenId, adminId);
+    return result.changes > 0;
+}
+
+// Returns { id, adminId, username, scopes } for an active token, or null
+async function verifyApiToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+    await ready;
+    const db = getDb();
+    const row = db.prepare(`
+        SELECT t.id, t.admin_id, t.scopes, a.username
+        FROM api_tokens t
+        JOIN admin a ON a.id = t.admin_id
+        WHERE t.token_hash = ? AND t.revoked_at IS NULL
+    `).get(hashToken(token));
+    if (!row) return null;
+    db.prepare('UPDATE api_tokens SET last_used_at = datetime(\'now\') WHERE id = ?').run(row.id);
+    return {
+        id: row.id,
+        adminId: row.admin_id,
+        username: row.username,
+        scopes: row.scopes ? row.scopes.split(' ') : []
+    };
+}
+
+// Extracts the token from an "Authorization: Bearer <token>" header
+function getBearerToken(req) {
+    const header = req.headers && req.headers.authorization;
+    if (typeof header !== 'string') return null;
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+function tokenHasScope(tokenRecord, scope) {
+    return !!tokenRecord && !!scope && tokenRecord.scopes.includes(scope);
+}
+
+module.exports = {
+    API_TOKEN_SCOPES,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    verifyApiToken,
+    getBearerToken,
+    tokenHasScope
+};
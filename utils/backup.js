@@ -1,27 +1,94 @@
 // utils/backup.js
-// Utility functions for creating, listing, saving, restoring, and deleting backups of the database and images.
-// Handles backup directory management, backup size limits, and ZIP archive operations.
+// Utility functions for creating, listing, saving, restoring, and deleting backups of the site.
+// A backup covers every component of persistent state (see BACKUP_COMPONENTS). Backups are incremental:
+// each one is a small ZIP holding a copy of the database and manifest.json, which records the app and
+// database schema versions, what each component holds and the size and SHA-256 checksum of every file.
+// The files themselves go into a content-addressed store (data/backups/objects, one file per checksum),
+// so a photo is stored once however many backups contain it and a new backup only adds what changed.
+// Downloads are exported as self-contained ZIPs (format 2, everything inside), which is also the format
+// of uploaded backups; utils/restore.js validates and restores both. Backups from before the manifest
+// hold only the database and portfolio images. Caches, renditions and client ZIPs are derived from the
+// originals, so they are not included: the caches and ZIPs are rebuilt on demand, and utils/restore.js
+// regenerates the renditions after a restore. Scheduled backups are named backup-auto-*.zip and are
+// pruned by the retention policy in utils/backupSchedule.js; backups taken by hand, uploaded, or taken
+// automatically before a restore are kept until deleted. Stored files no backup refers to any more are
+// deleted after backups are.
 //
 // Exports:
+//   - BACKUP_COMPONENTS: Map of component key to its label.
+//   - COMPONENT_PATHS: Where each component lives on disk and in the ZIP.
+//   - withBackupLock: Runs a backup or restore, refusing to start while another one runs.
+//   - backupBusy: Returns 'backup' or 'restore' while one runs, otherwise null.
 //   - ensureBackupDir: Ensures the backup directory exists.
 //   - listBackups: Lists all backup ZIP files with metadata.
-//   - totalBackupSize: Returns the total size of all backups.
-//   - cleanupBackupsForLimit: Deletes oldest backups to maintain size limit.
-//   - saveBackup: Saves a backup buffer to disk, enforcing size limits.
-//   - createBackup: Creates a ZIP backup of the database and images.
+//   - totalBackupSize: Returns the disk space used by all backups, including the file store.
+//   - getBackupStoreStats: Number and total size of the files in the store.
+//   - saveBackup: Saves a backup buffer to disk.
+//   - createBackup: Creates an incremental backup of every component, with its manifest.
+//   - readBackupManifest: Reads the manifest of a backup (a minimal one for older backups).
+//   - objectPath: Where the store keeps the file with a given checksum.
+//   - exportBackup: Writes a backup as a self-contained ZIP to a stream.
+//   - pruneBackupStore: Deletes stored files that no backup refers to.
+//   - listFiles: Lists the files in a folder, recursively.
+//   - digestStream: Size and SHA-256 checksum of a stream.
 //   - deleteBackup: Deletes a specific backup file.
 //   - bulkDeleteBackups: Deletes multiple backups.
 //   - bulkDownloadBackups: Zips and downloads multiple backups.
-//   - restoreBackup: Restores a backup from a ZIP file.
 
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const archiver = require('archiver');
 const unzipper = require('unzipper');
+const { getDb, ready } = require('../db');
+const { version: APP_VERSION } = require('../package.json');
 
-const BACKUP_DIR = path.join(__dirname, '..', 'data', 'backups');
-const BACKUP_LIMIT_BYTES = 500 * 1024 * 1024; // 500 MB
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const SCHEDULED_BACKUP_PREFIX = 'backup-auto-';
+const UPLOADED_BACKUP_PREFIX = 'backup-uploaded-';
+const PRE_RESTORE_PREFIX = 'backup-before-restore-';
+const OBJECTS_DIR = path.join(BACKUP_DIR, 'objects');
+const MANIFEST_NAME = 'manifest.json';
+// 1: database and images only, no manifest; 2: everything inside the ZIP; 3: files in the store
+const BACKUP_FORMAT = 3;
+const SELF_CONTAINED_FORMAT = 2;
+
+const BACKUP_COMPONENTS = {
+    database: 'Database (settings, clients, selections and statistics)',
+    images: 'Portfolio images',
+    clientUploads: 'Client gallery photos',
+    branding: 'Branding and About page files (favicon, header image, watermark logo, About image)',
+    publicUploads: 'Public uploads'
+};
+
+// Where each component lives on disk and under which folder it is stored in the ZIP. branding is the
+// loose files directly in data/ (everything else there is a folder of its own or the database).
+const COMPONENT_PATHS = {
+    database: { source: path.join(DATA_DIR, 'gallery.db'), archive: 'gallery.db' },
+    images: { source: path.join(DATA_DIR, 'images'), archive: 'images' },
+    clientUploads: { source: path.join(DATA_DIR, 'client-uploads'), archive: 'client-uploads' },
+    branding: { source: DATA_DIR, archive: 'branding', topLevelOnly: true },
+    publicUploads: { source: path.join(__dirname, '..', 'public', 'uploads'), archive: 'public-uploads' }
+};
+
+// 'backup' or 'restore' while one runs; both read or replace the whole data folder, so only one at a time
+let busy = null;
+
+async function withBackupLock(task, fn) {
+    if (busy) throw new Error(busy === 'restore' ? 'A restore is in progress' : 'A backup is already running');
+    busy = task;
+    try {
+        return await fn();
+    } finally {
+        busy = null;
+    }
+}
+
+function backupBusy() {
+    return busy;
+}
 
 // Ensures the backup directory exists
 async function ensureBackupDir() {
@@ -32,7 +99,8 @@ async function ensureBackupDir() {
     }
 }
 
-// Lists all backup ZIP files with metadata (name, path, size, mtime)
+// Lists all backup ZIP files with metadata (name, path, size, mtime, kind: manual, scheduled, uploaded
+// or preRestore)
 async function listBackups() {
     await ensureBackupDir();
     const files = await fs.readdir(BACKUP_DIR);
@@ -44,72 +112,334 @@ async function listBackups() {
                 name: f,
                 path: filePath,
                 size: stat.size,
-                mtime: stat.mtime
+                mtime: stat.mtime,
+                kind: f.startsWith(SCHEDULED_BACKUP_PREFIX) ? 'scheduled'
+                    : f.startsWith(UPLOADED_BACKUP_PREFIX) ? 'uploaded'
+                        : f.startsWith(PRE_RESTORE_PREFIX) ? 'preRestore' : 'manual'
             };
         })
     );
     return backups.sort((a, b) => a.mtime - b.mtime); // oldest first
 }
 
-// Returns the total size of all backup files
+// Returns the disk space used by all backups: the ZIPs plus the file store they share
 async function totalBackupSize() {
     const backups = await listBackups();
-    return backups.reduce((sum, b) => sum + b.size, 0);
+    return backups.reduce((sum, b) => sum + b.size, 0) + (await getBackupStoreStats()).bytes;
 }
 
-// Deletes oldest backups to maintain the backup size limit
-async function cleanupBackupsForLimit(newFileSize) {
-    const backups = await listBackups();
-    let total = await totalBackupSize();
-    for (const oldest of backups) {
-        if (total + newFileSize <= BACKUP_LIMIT_BYTES) break;
-        await fs.unlink(oldest.path);
-        total -= oldest.size;
+// Paths of the files in the store, by checksum
+async function listObjects() {
+    const objects = new Map();
+    let dirs;
+    try {
+        dirs = await fs.readdir(OBJECTS_DIR, { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT') return objects;
+        throw err;
     }
+    for (const dir of dirs.filter(d => d.isDirectory())) {
+        for (const name of await fs.readdir(path.join(OBJECTS_DIR, dir.name))) {
+            objects.set(name, path.join(OBJECTS_DIR, dir.name, name));
+        }
+    }
+    return objects;
+}
+
+// { files, bytes } of the file store
+async function getBackupStoreStats() {
+    const objects = await listObjects();
+    let bytes = 0;
+    for (const file of objects.values()) bytes += (await fs.stat(file)).size;
+    return { files: objects.size, bytes };
 }
 
-// Saves a backup buffer to disk, enforcing backup size limits
+// Saves a backup buffer to disk
 async function saveBackup(buffer, filename) {
     await ensureBackupDir();
-    await cleanupBackupsForLimit(buffer.length);
     const filePath = path.join(BACKUP_DIR, filename);
     await fs.writeFile(filePath, buffer);
     return filePath;
 }
 
-// Creates a ZIP backup of the database and images
-async function createBackup() {
+// Regular files under dir as paths relative to it (only those directly in dir when topLevelOnly)
+async function listFiles(dir, topLevelOnly = false, prefix = '') {
+    let entries;
+    try {
+        entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    const files = [];
+    for (const entry of entries) {
+        const rel = path.posix.join(prefix, entry.name);
+        if (entry.isFile()) files.push(rel);
+        else if (entry.isDirectory() && !topLevelOnly) files.push(...await listFiles(dir, false, rel));
+    }
+    return files.sort();
+}
+
+// Branding files are the loose files in data/, apart from the database and its journal
+function isBrandingFile(name) {
+    return !/^gallery\.db/.test(name) && !name.startsWith('.');
+}
+
+// Resolves with { size, sha256 } of a stream once it has been read to the end
+function digestStream(stream) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        stream.on('data', chunk => {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+        stream.on('end', () => resolve({ size, sha256: hash.digest('hex') }));
+        stream.on('error', reject);
+    });
+}
+
+// Where the store keeps the file with this SHA-256 checksum
+function objectPath(sha256) {
+    return path.join(OBJECTS_DIR, sha256.slice(0, 2), sha256);
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Put a file in the store. known is { size, sha256 } when the file is unchanged since the previous
+// backup, which skips reading it again. Resolves with { size, sha256, stored: bytes added to the store }.
+async function storeObject(source, known) {
+    if (known && await exists(objectPath(known.sha256))) return { size: known.size, sha256: known.sha256, stored: 0 };
+    // Checksum the copy rather than the original, so a file changing meanwhile cannot be stored under
+    // the wrong checksum
+    const temp = path.join(OBJECTS_DIR, `.tmp-${crypto.randomUUID()}`);
+    try {
+        await fs.mkdir(OBJECTS_DIR, { recursive: true });
+        await fs.copyFile(source, temp);
+        const { size, sha256 } = await digestStream(fsSync.createReadStream(temp));
+        const target = objectPath(sha256);
+        if (await exists(target)) {
+            await fs.rm(temp, { force: true });
+            return { size, sha256, stored: 0 };
+        }
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.rename(temp, target);
+        return { size, sha256, stored: size };
+    } catch (err) {
+        await fs.rm(temp, { force: true });
+        throw err;
+    }
+}
+
+// Files recorded by the newest incremental backup, by path, for recognising unchanged files
+async function previousFiles() {
+    const backups = (await listBackups()).filter(b => b.kind !== 'uploaded').reverse();
+    for (const backup of backups) {
+        const manifest = await readBackupManifest(backup.path).catch(() => null);
+        if (manifest && manifest.format === BACKUP_FORMAT && Array.isArray(manifest.files)) {
+            return new Map(manifest.files.map(f => [f.path, f]));
+        }
+    }
+    return new Map();
+}
+
+// Creates an incremental backup of every component, named prefix + timestamp; resolves with the filename.
+// Callers hold the backup lock. The database is copied with SQLite's online backup, so it is consistent
+// even while the site is in use, and goes into the ZIP; every other file goes into the store. A file
+// whose size and modification time match the previous backup is taken to be unchanged and is not read
+// again. Files deleted while the backup runs are left out.
+async function createBackup({ prefix = 'backup-' } = {}) {
     await ensureBackupDir();
-    const dbPath = path.join(__dirname, '..', 'data', 'gallery.db');
-    const imagesDir = path.join(__dirname, '..', 'data', 'images'); // CHANGED from public/images
+    await ready;
+    const db = getDb();
     const now = new Date();
-    const filename = `backup-${now.toISOString().replace(/[:.]/g, '-')}.zip`;
+    const filename = `${prefix}${now.toISOString().replace(/[:.]/g, '-')}.zip`;
     const filePath = path.join(BACKUP_DIR, filename);
-    // Cleanup will be done after the archive is finalized with the actual file size
+    const snapshotPath = path.join(BACKUP_DIR, `.${filename}.db`);
 
-    return new Promise((resolve, reject) => {
-        const output = fsSync.createWriteStream(filePath);
-        const archive = archiver('zip', { zlib: { level: 9 } });
-        output.on('close', async () => {
-            try {
-                const stat = await fs.stat(filePath);
-                await cleanupBackupsForLimit(stat.size); // Cleanup after archive is finalized
-                resolve(filename);
-            } catch (err) {
-                reject(err);
+    const output = fsSync.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const failed = new Promise((resolve, reject) => {
+        output.on('error', reject);
+        archive.on('error', reject);
+    });
+    failed.catch(() => { }); // Raced against every step below
+    const closed = new Promise(resolve => output.on('close', resolve));
+    archive.pipe(output);
+    try {
+        await db.backup(snapshotPath);
+        const previous = await previousFiles();
+        const manifest = {
+            format: BACKUP_FORMAT,
+            createdAt: now.toISOString(),
+            appVersion: APP_VERSION,
+            schemaVersion: (db.prepare('SELECT name FROM migrations ORDER BY name DESC LIMIT 1').get() || {}).name || null,
+            components: {},
+            storedBytes: 0,
+            files: []
+        };
+        for (const [component, where] of Object.entries(COMPONENT_PATHS)) {
+            let files = 0;
+            let bytes = 0;
+            if (component === 'database') {
+                const stream = fsSync.createReadStream(snapshotPath);
+                const digest = digestStream(stream);
+                archive.append(stream, { name: where.archive });
+                const { size, sha256 } = await Promise.race([digest, failed]);
+                manifest.files.push({ path: where.archive, component, size, sha256 });
+                files = 1;
+                bytes = size;
+            } else {
+                const rels = (await listFiles(where.source, where.topLevelOnly))
+                    .filter(rel => component !== 'branding' || isBrandingFile(rel));
+                for (const rel of rels) {
+                    const name = `${where.archive}/${rel}`;
+                    const source = path.join(where.source, rel);
+                    let stat, stored;
+                    try {
+                        stat = await fs.stat(source);
+                        const last = previous.get(name);
+                        const unchanged = last && last.size === stat.size && last.mtime === stat.mtimeMs;
+                        stored = await storeObject(source, unchanged ? last : null);
+                    } catch (err) {
+                        if (err.code === 'ENOENT') continue;
+                        throw err;
+                    }
+                    manifest.files.push({ path: name, component, size: stored.size, sha256: stored.sha256, mtime: stat.mtimeMs });
+                    manifest.storedBytes += stored.stored;
+                    files++;
+                    bytes += stored.size;
+                }
             }
-        });
-        output.on('error', err => reject(err));
-        archive.on('error', err => reject(err));
-        archive.pipe(output);
-        archive.file(dbPath, { name: 'gallery.db' });
-        archive.directory(imagesDir, 'images'); // CHANGED from public/images
-        archive.finalize();
+            manifest.components[component] = { label: BACKUP_COMPONENTS[component], files, bytes };
+        }
+        archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME });
+        await Promise.race([archive.finalize(), failed]);
+        await Promise.race([closed, failed]);
+        return filename;
+    } catch (err) {
+        // Don't leave a truncated archive behind that looks like a good backup. Files it already put in
+        // the store are deleted by the next prune.
+        archive.abort();
+        await fs.rm(filePath, { force: true });
+        throw err;
+    } finally {
+        await fs.rm(snapshotPath, { force: true });
+    }
+}
+
+// Manifest of a backup ZIP. Backups made before manifests existed get a minimal one (format 1) listing
+// the components found, without checksums.
+async function readBackupManifest(backupPath) {
+    const directory = await unzipper.Open.file(backupPath);
+    const entry = directory.files.find(f => f.path === MANIFEST_NAME);
+    if (entry) {
+        try {
+            return JSON.parse((await entry.buffer()).toString('utf8'));
+        } catch {
+            throw new Error('The backup manifest is unreadable');
+        }
+    }
+    const components = {};
+    if (directory.files.some(f => f.path === 'gallery.db')) {
+        components.database = { label: BACKUP_COMPONENTS.database, files: 1, bytes: null };
+    }
+    const images = directory.files.filter(f => f.type === 'File' && f.path.startsWith('images/'));
+    if (images.length) components.images = { label: BACKUP_COMPONENTS.images, files: images.length, bytes: null };
+    return { format: 1, createdAt: null, appVersion: null, schemaVersion: null, components, files: null };
+}
+
+// Writes a backup to output as a self-contained ZIP (format 2), which can be uploaded to any site.
+// Older backups already are and are copied as they are. Resolves once output has finished.
+async function exportBackup(backupPath, output) {
+    const manifest = await readBackupManifest(backupPath);
+    const finished = new Promise((resolve, reject) => {
+        output.on('finish', resolve);
+        output.on('error', reject);
     });
+    if (manifest.format < BACKUP_FORMAT) {
+        const input = fsSync.createReadStream(backupPath);
+        input.on('error', err => output.destroy(err));
+        input.pipe(output);
+        return finished;
+    }
+    const directory = await unzipper.Open.file(backupPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const failed = new Promise((resolve, reject) => archive.on('error', reject));
+    failed.catch(() => { });
+    archive.pipe(output);
+    try {
+        for (const file of manifest.files) {
+            if (file.component === 'database') {
+                const entry = directory.files.find(f => f.path === file.path);
+                if (!entry) throw new Error(`The backup is damaged: ${file.path} is missing`);
+                archive.append(entry.stream(), { name: file.path });
+            } else {
+                // Photos are already compressed; storing them as they are saves the time zlib would spend
+                archive.file(objectPath(file.sha256), { name: file.path, store: true });
+            }
+        }
+        const { storedBytes, ...rest } = manifest;
+        const selfContained = { ...rest, format: SELF_CONTAINED_FORMAT, files: manifest.files.map(({ mtime, ...file }) => file) };
+        archive.append(JSON.stringify(selfContained, null, 2), { name: MANIFEST_NAME });
+        await Promise.race([archive.finalize(), failed]);
+        await Promise.race([finished, failed]);
+    } catch (err) {
+        archive.abort();
+        output.destroy();
+        throw err;
+    }
 }
 
-// Deletes a specific backup file by filename
-async function deleteBackup(filename) {
+// Deletes files in the store that no backup refers to, and copies left by interrupted backups. Callers
+// hold the backup lock, so no backup is adding files meanwhile. If a backup's manifest cannot be read
+// nothing is deleted, as its files cannot be told apart. Resolves with { files, bytes } deleted.
+async function pruneBackupStore() {
+    const referenced = new Set();
+    for (const backup of await listBackups()) {
+        let manifest;
+        try {
+            manifest = await readBackupManifest(backup.path);
+        } catch (err) {
+            console.error(`Not pruning the backup store: ${backup.name} cannot be read:`, err.message);
+            return { files: 0, bytes: 0 };
+        }
+        if (manifest.format !== BACKUP_FORMAT) continue;
+        for (const file of manifest.files) if (file.component !== 'database') referenced.add(file.sha256);
+    }
+    let files = 0;
+    let bytes = 0;
+    const leftovers = (await fs.readdir(OBJECTS_DIR).catch(() => [])).filter(name => name.startsWith('.tmp-'));
+    for (const name of leftovers) await fs.rm(path.join(OBJECTS_DIR, name), { force: true });
+    for (const [sha256, file] of await listObjects()) {
+        if (referenced.has(sha256)) continue;
+        const { size } = await fs.stat(file);
+        await fs.rm(file, { force: true });
+        files++;
+        bytes += size;
+    }
+    return { files, bytes };
+}
+
+// Prune the store after backups were deleted, unless a backup or restore is running (the next prune
+// catches up)
+async function pruneWhenIdle() {
+    if (busy) return;
+    try {
+        await withBackupLock('backup', pruneBackupStore);
+    } catch (err) {
+        console.error('Error pruning the backup store:', err.message);
+    }
+}
+
+async function unlinkBackup(filename) {
     if (!/^[\w.-]+\.zip$/.test(filename)) throw new Error('Invalid filename');
     const filePath = path.join(BACKUP_DIR, filename);
     try {
@@ -120,89 +450,86 @@ async function deleteBackup(filename) {
     }
 }
 
+// Deletes a specific backup file by filename
+async function deleteBackup(filename) {
+    const deleted = await unlinkBackup(filename);
+    if (deleted) await pruneWhenIdle();
+    return deleted;
+}
+
 // Deletes multiple backups by filename array
 async function bulkDeleteBackups(filenames) {
     let deleted = 0;
     for (const filename of filenames) {
         try {
-            if (await deleteBackup(filename)) deleted++;
+            if (await unlinkBackup(filename)) deleted++;
         } catch { }
     }
+    if (deleted) await pruneWhenIdle();
     return deleted;
 }
 
-// Zips and downloads multiple backups as a single archive
+// Zips and downloads multiple backups as a single archive, each exported as a self-contained ZIP
 async function bulkDownloadBackups(filenames) {
     await ensureBackupDir();
     const archiveName = `backups-bulk-${Date.now()}.zip`;
     const archivePath = path.join(BACKUP_DIR, archiveName);
     const output = fsSync.createWriteStream(archivePath);
     const archive = archiver('zip');
-    archive.pipe(output);
-    for (const filename of filenames) {
-        if (/^[\w.-]+\.zip$/.test(filename)) {
-            const filePath = path.join(BACKUP_DIR, filename);
-            try {
-                await fs.access(filePath);
-                archive.file(filePath, { name: filename });
-            } catch { }
-        }
-    }
-    await archive.finalize();
-    return new Promise((resolve, reject) => {
-        output.on('close', () => resolve({ archivePath, archiveName }));
-        archive.on('error', err => reject(err));
+    const closed = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
     });
-}
-
-// Restores a backup from a ZIP file, overwriting gallery.db and images
-async function restoreBackup(backupPath) {
-    // Overwrite gallery.db and images from the zip
-    const extractDir = path.join(__dirname, '..', 'data', 'tmp-restore');
+    closed.catch(() => { });
+    archive.pipe(output);
+    const exports = [];
     try {
-        await fs.mkdir(extractDir, { recursive: true });
-        await new Promise((resolve, reject) => {
-            fsSync.createReadStream(backupPath)
-                .pipe(unzipper.Extract({ path: extractDir }))
-                .on('close', resolve)
-                .on('error', reject);
-        });
-        // Move DB
-        const dbSrc = path.join(extractDir, 'gallery.db');
-        const dbDest = path.join(__dirname, '..', 'data', 'gallery.db');
-        let dbSrcExists = false;
-        try { await fs.access(dbSrc); dbSrcExists = true; } catch { }
-        if (dbSrcExists) {
-            await fs.copyFile(dbSrc, dbDest);
-        }
-        // Move images
-        const imagesSrc = path.join(extractDir, 'images');
-        const imagesDest = path.join(__dirname, '..', 'data', 'images'); // CHANGED from public/images
-        let imagesSrcExists = false;
-        try { await fs.access(imagesSrc); imagesSrcExists = true; } catch { }
-        if (imagesSrcExists) {
-            // Remove old images first
-            let imagesDestExists = false;
-            try { await fs.access(imagesDest); imagesDestExists = true; } catch { }
-            if (imagesDestExists) await fs.rm(imagesDest, { recursive: true, force: true });
-            await fs.rename(imagesSrc, imagesDest);
+        for (const filename of filenames) {
+            if (/^[\w.-]+\.zip$/.test(filename)) {
+                const filePath = path.join(BACKUP_DIR, filename);
+                if (!await exists(filePath)) continue;
+                const exportPath = path.join(BACKUP_DIR, `.${filename}.export`);
+                exports.push(exportPath);
+                await exportBackup(filePath, fsSync.createWriteStream(exportPath));
+                archive.file(exportPath, { name: filename });
+            }
         }
+        await archive.finalize();
+        await closed;
+        return { archivePath, archiveName };
+    } catch (err) {
+        archive.abort();
+        await fs.rm(archivePath, { force: true });
+        throw err;
     } finally {
-        let extractDirExists = false;
-        try { await fs.access(extractDir); extractDirExists = true; } catch { }
-        if (extractDirExists) await fs.rm(extractDir, { recursive: true, force: true });
+        for (const exportPath of exports) await fs.rm(exportPath, { force: true });
     }
 }
 
 module.exports = {
+    BACKUP_COMPONENTS,
+    COMPONENT_PATHS,
+    BACKUP_FORMAT,
+    MANIFEST_NAME,
     BACKUP_DIR,
-    BACKUP_LIMIT_BYTES,
+    SCHEDULED_BACKUP_PREFIX,
+    UPLOADED_BACKUP_PREFIX,
+    PRE_RESTORE_PREFIX,
+    withBackupLock,
+    backupBusy,
     listBackups,
+    totalBackupSize,
     saveBackup,
+    getBackupStoreStats,
     createBackup,
+    readBackupManifest,
+    objectPath,
+    exportBackup,
+    pruneBackupStore,
+    listFiles,
+    digestStream,
     deleteBackup,
     bulkDeleteBackups,
     bulkDownloadBackups,
-    restoreBackup,
     ensureBackupDir // Exported for completeness
 };
\ No newline at end of file
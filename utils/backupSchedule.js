@@ -0,0 +1,243 @@
+// Utility functions for scheduled backups and backup retention.
+// A one-minute timer (started from server.js) takes a backup whenever the cron expression in the
+// backupSchedule setting comes due. After each scheduled backup, older scheduled backups are pruned
+// grandfather-father-son style: the newest backup of each of the last N days, M weeks and K months is
+// kept and the rest deleted, along with stored files no remaining backup refers to; manual backups are
+// never pruned. Every run, manual or scheduled, is logged in backup_runs for the status panel on the
+// settings page, with the space it added. Each successful backup is then copied to the off-site targets
+// (utils/backupTargets.js) in the background.
+//
+// Exports:
+//   - BACKUP_SCHEDULE_PRESETS: Schedules offered in the settings form, by key.
+//   - DEFAULT_BACKUP_RETENTION: Days, weeks and months kept when the settings are unset.
+//   - getBackupScheduleSettings: Returns the schedule and retention settings.
+//   - saveBackupScheduleSettings: Validates and saves the schedule and retention settings.
+//   - selectBackupsToKeep: Applies the retention policy to a list of backups.
+//   - applyBackupRetention: Deletes scheduled backups the retention policy no longer keeps.
+//   - runBackup: Takes a backup, logs the run and (for scheduled runs) applies retention.
+//   - getBackupStatus: Last success, recent failures and next run, for the status panel.
+//   - startBackupScheduler: Starts the timer that runs scheduled backups.
+
+const fs = require('fs').promises;
+const { getDb, ready } = require('../db');
+const { getAllSettings, setSetting } = require('./settings');
+const {
+    SCHEDULED_BACKUP_PREFIX,
+    withBackupLock,
+    backupBusy,
+    createBackup,
+    listBackups,
+    readBackupManifest,
+    pruneBackupStore
+} = require('./backup');
+const { uploadBackupToTargets } = require('./backupTargets');
+const { parseCron, nextCronRun } = require('./cron');
+
+const BACKUP_SCHEDULE_PRESETS = {
+    off: { label: 'Off', cron: '' },
+    daily: { label: 'Daily at 03:00', cron: '0 3 * * *' },
+    weekly: { label: 'Weekly on Sunday at 03:00', cron: '0 3 * * 0' }
+};
+const DEFAULT_BACKUP_RETENTION = { daily: 7, weekly: 4, monthly: 6 };
+const RUN_LOG_LIMIT = 200;
+
+// The schedule the timer is waiting on and when it is next due
+let pending = { schedule: null, at: null };
+
+function keepCount(value, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+// { schedule, preset, retention: { daily, weekly, monthly } }; schedule '' means scheduled backups are off
+async function getBackupScheduleSettings() {
+    const settings = await getAllSettings();
+    const schedule = (settings.backupSchedule || '').trim();
+    const preset = Object.keys(BACKUP_SCHEDULE_PRESETS).find(key => BACKUP_SCHEDULE_PRESETS[key].cron === schedule) || 'custom';
+    return {
+        schedule,
+        preset,
+        retention: {
+            daily: keepCount(settings.backupKeepDaily, DEFAULT_BACKUP_RETENTION.daily),
+            weekly: keepCount(settings.backupKeepWeekly, DEFAULT_BACKUP_RETENTION.weekly),
+            monthly: keepCount(settings.backupKeepMonthly, DEFAULT_BACKUP_RETENTION.monthly)
+        }
+    };
+}
+
+// body is the backup schedule form. Throws on invalid input.
+async function saveBackupScheduleSettings(body) {
+    let schedule;
+    if (body.backupSchedulePreset === 'custom') {
+        schedule = String(body.backupCustomSchedule || '').trim();
+        parseCron(schedule);
+        if (!nextCronRun(schedule)) throw new Error('This schedule never comes due');
+    } else if (BACKUP_SCHEDULE_PRESETS[body.backupSchedulePreset]) {
+        schedule = BACKUP_SCHEDULE_PRESETS[body.backupSchedulePreset].cron;
+    } else {
+        throw new Error('Unknown backup schedule');
+    }
+    const retention = {};
+    for (const [key, max] of [['daily', 365], ['weekly', 104], ['monthly', 120]]) {
+        const n = parseInt(body[`backupKeep${key.charAt(0).toUpperCase()}${key.slice(1)}`], 10);
+        if (!Number.isInteger(n) || n < 0 || n > max) throw new Error(`Keep 0 to ${max} ${key} backups`);
+        retention[key] = n;
+    }
+    if (retention.daily + retention.weekly + retention.monthly === 0) {
+        throw new Error('Keep at least one daily, weekly or monthly backup');
+    }
+    await setSetting('backupSchedule', schedule);
+    await setSetting('backupKeepDaily', String(retention.daily));
+    await setSetting('backupKeepWeekly', String(retention.weekly));
+    await setSetting('backupKeepMonthly', String(retention.monthly));
+}
+
+// Local calendar keys a backup falls into
+function dayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+function weekKey(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    return dayKey(monday);
+}
+
+function monthKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}`;
+}
+
+// Names of the backups to keep: the newest backup in each of the `retention.daily` most recent days that
+// have a backup, likewise for weeks (starting Monday) and months. The newest backup is always kept.
+function selectBackupsToKeep(backups, retention) {
+    const newestFirst = [...backups].sort((a, b) => b.mtime - a.mtime);
+    const keep = new Set(newestFirst.length ? [newestFirst[0].name] : []);
+    for (const [count, keyOf] of [[retention.daily, dayKey], [retention.weekly, weekKey], [retention.monthly, monthKey]]) {
+        const periods = new Set();
+        for (const backup of newestFirst) {
+            const key = keyOf(new Date(backup.mtime));
+            if (periods.has(key)) continue;
+            if (periods.size >= count) break;
+            periods.add(key);
+            keep.add(backup.name);
+        }
+    }
+    return keep;
+}
+
+// Returns the names of the deleted backups
+async function applyBackupRetention() {
+    const { retention } = await getBackupScheduleSettings();
+    const scheduled = (await listBackups()).filter(b => b.kind === 'scheduled');
+    const keep = selectBackupsToKeep(scheduled, retention);
+    const deleted = [];
+    for (const backup of scheduled) {
+        if (keep.has(backup.name)) continue;
+        try {
+            await fs.unlink(backup.path);
+            deleted.push(backup.name);
+        } catch (err) {
+            console.error(`Error deleting old backup ${backup.name}:`, err.message);
+        }
+    }
+    return deleted;
+}
+
+// Take a backup now. trigger is 'manual' or 'scheduled'. Resolves with the filename; throws if the
+// backup fails or another backup or a restore is still running.
+async function runBackup(trigger = 'manual') {
+    await ready;
+    const filename = await withBackupLock('backup', async () => {
+        const db = getDb();
+        const runId = db.prepare('INSERT INTO backup_runs (trigger) VALUES (?)').run(trigger).lastInsertRowid;
+        try {
+            const prefix = trigger === 'scheduled' ? SCHEDULED_BACKUP_PREFIX : undefined;
+            const filename = await createBackup({ prefix });
+            const backup = (await listBackups()).find(b => b.name === filename);
+            // Disk space the run took: the ZIP plus the files it added to the store
+            const size = backup.size + ((await readBackupManifest(backup.path)).storedBytes || 0);
+            let pruned = 0;
+            if (trigger === 'scheduled') {
+                pruned = (await applyBackupRetention()).length;
+                // The backup itself succeeded; a failed prune is retried after the next one
+                await pruneBackupStore().catch(err => console.error('Error pruning the backup store:', err.message));
+            }
+            db.prepare(`
+                UPDATE backup_runs SET status = 'success', filename = ?, size = ?, pruned = ?, finished_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(filename, size, pruned, runId);
+            return filename;
+        } catch (err) {
+            db.prepare("UPDATE backup_runs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?")
+                .run(err.message, runId);
+            throw err;
+        } finally {
+            db.prepare('DELETE FROM backup_runs WHERE id <= ?').run(runId - RUN_LOG_LIMIT);
+        }
+    });
+    // Off-site uploads can take hours, so they run outside the lock and the caller does not wait for them
+    uploadBackupToTargets(filename).catch(err => console.error('Error uploading backup to off-site targets:', err));
+    return filename;
+}
+
+// { schedule, nextRunAt, running, lastSuccess, lastRun, failuresSinceSuccess, recentFailures }
+async function getBackupStatus() {
+    await ready;
+    const db = getDb();
+    const { schedule } = await getBackupScheduleSettings();
+    const lastSuccess = db.prepare("SELECT * FROM backup_runs WHERE status = 'success' ORDER BY id DESC LIMIT 1").get() || null;
+    return {
+        schedule,
+        nextRunAt: schedule ? nextCronRun(schedule) : null,
+        running: backupBusy() === 'backup',
+        lastSuccess,
+        lastRun: db.prepare("SELECT * FROM backup_runs WHERE status != 'running' ORDER BY id DESC LIMIT 1").get() || null,
+        failuresSinceSuccess: db.prepare("SELECT COUNT(*) AS n FROM backup_runs WHERE status = 'failed' AND id > ?")
+            .get(lastSuccess ? lastSuccess.id : 0).n,
+        recentFailures: db.prepare("SELECT * FROM backup_runs WHERE status = 'failed' ORDER BY id DESC LIMIT 5").all()
+    };
+}
+
+// Called every minute: picks up schedule changes and runs the backup once it is due
+async function checkSchedule() {
+    const { schedule } = await getBackupScheduleSettings();
+    if (schedule !== pending.schedule) {
+        pending = { schedule, at: schedule ? nextCronRun(schedule) : null };
+    }
+    if (!pending.at || Date.now() < pending.at.getTime()) return;
+    pending.at = nextCronRun(schedule);
+    if (backupBusy()) {
+        console.error(`Skipping scheduled backup: a ${backupBusy()} is still running`);
+        return;
+    }
+    try {
+        await runBackup('scheduled');
+    } catch (err) {
+        console.error('Scheduled backup failed:', err.message);
+    }
+}
+
+async function startBackupScheduler() {
+    await ready;
+    // Runs cut short by a restart never finished
+    getDb().prepare(`
+        UPDATE backup_runs SET status = 'failed', error = 'Interrupted by a server restart', finished_at = CURRENT_TIMESTAMP
+        WHERE status = 'running'
+    `).run();
+    // The timer is registered before the first check, so a failing check cannot stop the schedule
+    const check = () => checkSchedule().catch(err => console.error('Error checking backup schedule:', err));
+    const timer = setInterval(check, 60 * 1000);
+    timer.unref(); // Prevents Jest from hanging due to open handles
+    await check();
+}
+
+module.exports = {
+    BACKUP_SCHEDULE_PRESETS,
+    DEFAULT_BACKUP_RETENTION,
+    getBackupScheduleSettings,
+    saveBackupScheduleSettings,
+    selectBackupsToKeep,
+    applyBackupRetention,
+    runBackup,
+    getBackupStatus,
+    startBackupScheduler
+};
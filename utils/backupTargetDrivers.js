@@ -0,0 +1,225 @@
+// Utility functions for talking to off-site backup targets.
+// Each target type has a driver with the same small interface, used by utils/backupTargets.js:
+//   - list(): { path: { size, mtime } } of every file on the target, paths relative to its root
+//   - put(localPath, remotePath, { size, sha256 }): uploads a file and verifies the stored copy,
+//     throwing if its size or checksum differs; a partly uploaded file never appears under remotePath
+//   - get(remotePath, localPath): downloads a file
+//   - remove(remotePath): deletes a file
+//   - close(): ends the connection
+//   - hostFingerprint: (SFTP only) fingerprint of the server's host key, for trust on first use
+// S3-compatible storage verifies the checksum itself on upload; local folders and SFTP servers are read
+// back. A MinIO container works as an S3 stand-in (set the endpoint and path-style addressing) and any
+// OpenSSH server as an SFTP one.
+//
+// Exports:
+//   - openBackupTarget: Connects to a target, resolving with its driver.
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const SftpClient = require('ssh2-sftp-client');
+const { digestStream } = require('./backup');
+
+function verificationError(remotePath, detail) {
+    return new Error(`Upload of ${remotePath} could not be verified: ${detail}`);
+}
+
+// Throws unless a stored copy read back as `actual` matches the file that was sent
+function checkCopy(remotePath, actual, expected) {
+    if (actual.size !== expected.size) {
+        throw verificationError(remotePath, `${actual.size} bytes stored instead of ${expected.size}`);
+    }
+    if (actual.sha256 !== expected.sha256) throw verificationError(remotePath, 'the stored copy does not match its checksum');
+}
+
+// A folder on this server, normally a mounted disk or network share
+async function openLocalTarget(config) {
+    const root = config.path;
+    let stat;
+    try {
+        stat = await fs.stat(root);
+    } catch {
+        stat = null;
+    }
+    // Never create the folder: if the disk is not mounted, the backups would land on the site's own disk
+    if (!stat || !stat.isDirectory()) throw new Error(`The folder ${root} does not exist (is the disk mounted?)`);
+
+    async function walk(dir, prefix, files) {
+        for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+            const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                await walk(path.join(dir, entry.name), rel, files);
+            } else if (entry.isFile() && !entry.name.startsWith('.tmp-')) {
+                const { size, mtime } = await fs.stat(path.join(dir, entry.name));
+                files[rel] = { size, mtime };
+            }
+        }
+        return files;
+    }
+
+    return {
+        list: () => walk(root, '', {}),
+        async put(localPath, remotePath, expected) {
+            const dest = path.join(root, remotePath);
+            const temp = path.join(path.dirname(dest), `.tmp-${crypto.randomUUID()}`);
+            try {
+                await fs.mkdir(path.dirname(dest), { recursive: true });
+                await fs.copyFile(localPath, temp);
+                checkCopy(remotePath, await digestStream(fsSync.createReadStream(temp)), expected);
+                await fs.rename(temp, dest);
+            } catch (err) {
+                await fs.rm(temp, { force: true });
+                throw err;
+            }
+        },
+        get: (remotePath, localPath) => fs.copyFile(path.join(root, remotePath), localPath),
+        remove: remotePath => fs.rm(path.join(root, remotePath), { force: true }),
+        close: async () => { }
+    };
+}
+
+// Amazon S3 or any S3-compatible service (MinIO, Backblaze B2, Wasabi, Cloudflare R2...)
+async function openS3Target(config) {
+    const client = new S3Client({
+        region: config.region || 'us-east-1',
+        endpoint: config.endpoint || undefined,
+        forcePathStyle: !!config.forcePathStyle,
+        credentials: { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+    });
+    const Bucket = config.bucket;
+    const prefix = config.prefix ? `${config.prefix}/` : '';
+
+    return {
+        async list() {
+            const files = {};
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({ Bucket, Prefix: prefix, ContinuationToken }));
+                for (const object of page.Contents || []) {
+                    files[object.Key.slice(prefix.length)] = { size: object.Size, mtime: object.LastModified };
+                }
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return files;
+        },
+        async put(localPath, remotePath, expected) {
+            const Key = prefix + remotePath;
+            // S3 rejects the upload if the bytes received do not match this checksum
+            await client.send(new PutObjectCommand({
+                Bucket,
+                Key,
+                Body: fsSync.createReadStream(localPath),
+                ContentLength: expected.size,
+                ChecksumSHA256: Buffer.from(expected.sha256, 'hex').toString('base64')
+            }));
+            const head = await client.send(new HeadObjectCommand({ Bucket, Key }));
+            if (head.ContentLength !== expected.size) {
+                throw verificationError(remotePath, `${head.ContentLength} bytes stored instead of ${expected.size}`);
+            }
+        },
+        async get(remotePath, localPath) {
+            const object = await client.send(new GetObjectCommand({ Bucket, Key: prefix + remotePath }));
+            await pipeline(object.Body, fsSync.createWriteStream(localPath));
+        },
+        remove: remotePath => client.send(new DeleteObjectCommand({ Bucket, Key: prefix + remotePath })),
+        close: async () => client.destroy()
+    };
+}
+
+// SHA256 fingerprint of an SSH host key as OpenSSH prints it, without the "SHA256:" label
+function hostKeyFingerprint(key) {
+    return crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '');
+}
+
+// A folder on an SFTP server. Without a saved fingerprint the server's key is trusted and reported as
+// driver.hostFingerprint, so utils/backupTargets.js can save it; after that a different key is refused.
+async function openSftpTarget(config) {
+    const sftp = new SftpClient();
+    const expectedFingerprint = (config.hostFingerprint || '').replace(/^SHA256:/, '').replace(/=+$/, '');
+    let presented = null;
+    try {
+        await sftp.connect({
+            host: config.host,
+            port: config.port || 22,
+            username: config.username,
+            password: config.password || undefined,
+            privateKey: config.privateKey || undefined,
+            readyTimeout: 20000,
+            hostVerifier: key => {
+                presented = hostKeyFingerprint(key);
+                return !expectedFingerprint || presented === expectedFingerprint;
+            }
+        });
+    } catch (err) {
+        if (presented && expectedFingerprint && presented !== expectedFingerprint) {
+            throw new Error(`The host key of ${config.host} (SHA256:${presented}) does not match the saved fingerprint. ` +
+                'If the server\'s key was changed on purpose, enter the new fingerprint');
+        }
+        throw new Error(`Cannot connect to ${config.host}: ${err.message.replace(/^(connect|getConnection): /, '')}`);
+    }
+    const root = config.path.replace(/\/+$/, '') || '.';
+    const remote = remotePath => path.posix.join(root, remotePath);
+
+    async function walk(dir, prefix, files) {
+        for (const entry of await sftp.list(dir)) {
+            const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.type === 'd') {
+                await walk(path.posix.join(dir, entry.name), rel, files);
+            } else if (entry.type === '-' && !entry.name.startsWith('.tmp-')) {
+                files[rel] = { size: entry.size, mtime: new Date(entry.modifyTime) };
+            }
+        }
+        return files;
+    }
+
+    return {
+        async list() {
+            if (!await sftp.exists(root)) await sftp.mkdir(root, true);
+            return walk(root, '', {});
+        },
+        async put(localPath, remotePath, expected) {
+            const dest = remote(remotePath);
+            const temp = path.posix.join(path.posix.dirname(dest), `.tmp-${crypto.randomUUID()}`);
+            try {
+                await sftp.mkdir(path.posix.dirname(dest), true);
+                await sftp.fastPut(localPath, temp);
+                checkCopy(remotePath, await digestStream(sftp.createReadStream(temp)), expected);
+                await sftp.rename(temp, dest);
+            } catch (err) {
+                await sftp.delete(temp, true).catch(() => { });
+                throw err;
+            }
+        },
+        get: (remotePath, localPath) => sftp.fastGet(remote(remotePath), localPath),
+        remove: remotePath => sftp.delete(remote(remotePath), true),
+        close: () => sftp.end(),
+        hostFingerprint: `SHA256:${presented}`
+    };
+}
+
+const OPENERS = {
+    local: openLocalTarget,
+    s3: openS3Target,
+    sftp: openSftpTarget
+};
+
+// type is a key of BACKUP_TARGET_TYPES (utils/backupTargets.js); config its saved settings
+async function openBackupTarget(type, config) {
+    const open = OPENERS[type];
+    if (!open) throw new Error(`Unknown backup target type: ${type}`);
+    return open(config);
+}
+
+module.exports = {
+    openBackupTarget
+};
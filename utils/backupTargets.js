@@ -0,0 +1,341 @@
+// Utility functions for off-site backup targets.
+// After every successful backup (see runBackup in utils/backupSchedule.js) the new backup is uploaded to
+// each enabled target in the background. A target mirrors data/backups: the backup ZIPs at its root and
+// the shared file store under objects/, so only files the target does not have yet are sent. The ZIP
+// goes last, so a backup only appears on a target once everything it refers to is there, and every
+// file is verified after upload (see utils/backupTargetDrivers.js). Afterwards only the newest `keep`
+// backups are kept on the target, and stored files none of them refers to are deleted. To recover after
+// losing this server, copy everything on the target into data/backups of a new installation and
+// restore from Settings. Secret keys and passwords are stored encrypted (see utils/secrets.js) and only
+// decrypted to connect.
+//
+// Exports:
+//   - BACKUP_TARGET_TYPES: Map of target type to its label.
+//   - DEFAULT_TARGET_KEEP: Backups kept on a new target.
+//   - listBackupTargets: Lists targets with their last upload (secrets are not included).
+//   - saveBackupTarget: Validates and saves a new or edited target from the settings form.
+//   - deleteBackupTarget: Deletes a target (the files on it are left alone).
+//   - testBackupTarget: Writes, verifies and deletes a test file on a target.
+//   - uploadBackupToTarget: Uploads a backup to one target and applies its retention.
+//   - uploadBackupToTargets: Uploads a backup to every enabled target.
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const validator = require('validator');
+const { getDb, ready } = require('../db');
+const { BACKUP_FORMAT, BACKUP_DIR, readBackupManifest, objectPath, digestStream } = require('./backup');
+const { openBackupTarget } = require('./backupTargetDrivers');
+const { encryptSecret, decryptSecret } = require('./secrets');
+
+const BACKUP_TARGET_TYPES = {
+    local: 'Folder on this server (mounted disk or network share)',
+    s3: 'S3-compatible object storage',
+    sftp: 'SFTP server'
+};
+const DEFAULT_TARGET_KEEP = 14;
+// Config fields that are never sent back to the browser; a blank field in the form keeps the saved value
+const SECRET_FIELDS = { s3: ['secretAccessKey'], sftp: ['password', 'privateKey'] };
+const UPLOAD_LOG_LIMIT = 200;
+
+// Targets with an upload in progress, so the same target is never written by two uploads at once
+const uploading = new Set();
+
+function parseConfig(row) {
+    try {
+        return JSON.parse(row.config);
+    } catch {
+        return {};
+    }
+}
+
+// Copy of a config with its secret fields encrypted (saved ones already are) or decrypted
+function mapSecrets(type, config, fn) {
+    const copy = { ...config };
+    for (const field of SECRET_FIELDS[type] || []) copy[field] = fn(copy[field]);
+    return copy;
+}
+
+// [{ id, name, type, keep, enabled, config (without secrets), secrets: { field: saved? }, uploading,
+//    lastUpload, lastSuccess }]
+async function listBackupTargets() {
+    await ready;
+    const db = getDb();
+    const lastUpload = db.prepare('SELECT * FROM backup_uploads WHERE target_id = ? ORDER BY id DESC LIMIT 1');
+    const lastSuccess = db.prepare("SELECT * FROM backup_uploads WHERE target_id = ? AND status = 'success' ORDER BY id DESC LIMIT 1");
+    return db.prepare('SELECT * FROM backup_targets ORDER BY name, id').all().map(row => {
+        const config = parseConfig(row);
+        const secrets = {};
+        for (const field of SECRET_FIELDS[row.type] || []) {
+            secrets[field] = !!config[field];
+            delete config[field];
+        }
+        return {
+            id: row.id,
+            name: row.name,
+            type: row.type,
+            keep: row.keep,
+            enabled: !!row.enabled,
+            config,
+            secrets,
+            uploading: uploading.has(row.id),
+            lastUpload: lastUpload.get(row.id) || null,
+            lastSuccess: lastSuccess.get(row.id) || null
+        };
+    });
+}
+
+function getTarget(id) {
+    const row = getDb().prepare('SELECT * FROM backup_targets WHERE id = ?').get(id);
+    if (!row) throw new Error('Backup target not found');
+    return { ...row, config: parseConfig(row) };
+}
+
+// Connection settings of one type from the form; previous is the saved config, for blank secrets (which
+// stay encrypted)
+function targetConfig(type, body, previous) {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const secret = field => text(body[`${type}${field.charAt(0).toUpperCase()}${field.slice(1)}`]) || previous[field] || '';
+    if (type === 'local') {
+        const folder = text(body.localPath);
+        if (!path.isAbsolute(folder)) throw new Error('Enter the full path of the folder, e.g. /mnt/backup-disk/focal-point');
+        const resolved = path.resolve(folder);
+        const dataDir = path.dirname(BACKUP_DIR);
+        if (resolved === dataDir || resolved.startsWith(dataDir + path.sep)) {
+            throw new Error('The folder must be outside the site\'s data folder, preferably on another disk');
+        }
+        return { path: resolved };
+    }
+    if (type === 's3') {
+        const endpoint = text(body.s3Endpoint).replace(/\/+$/, '');
+        const bucket = text(body.s3Bucket);
+        const prefix = text(body.s3Prefix).replace(/^\/+|\/+$/g, '');
+        const accessKeyId = text(body.s3AccessKeyId);
+        const secretAccessKey = secret('secretAccessKey');
+        if (endpoint && !validator.isURL(endpoint, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+            throw new Error('The endpoint must start with http:// or https://');
+        }
+        if (!/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(bucket)) throw new Error('Enter a valid bucket name');
+        if (prefix && !/^[\w.\-/]+$/.test(prefix)) throw new Error('The folder prefix may only contain letters, digits, . - _ and /');
+        if (!accessKeyId || !secretAccessKey) throw new Error('Enter the access key and secret key');
+        return {
+            endpoint,
+            region: text(body.s3Region) || 'us-east-1',
+            bucket,
+            prefix,
+            accessKeyId,
+            secretAccessKey,
+            forcePathStyle: body.s3ForcePathStyle === '1'
+        };
+    }
+    if (type === 'sftp') {
+        const host = text(body.sftpHost);
+        const port = parseInt(body.sftpPort, 10) || 22;
+        const username = text(body.sftpUsername);
+        const folder = text(body.sftpPath);
+        let hostFingerprint = text(body.sftpHostFingerprint);
+        const password = secret('password');
+        const privateKey = secret('privateKey');
+        if (!validator.isFQDN(host, { require_tld: false }) && !validator.isIP(host)) {
+            throw new Error('SFTP host must be a host name or IP address');
+        }
+        if (port < 1 || port > 65535) throw new Error('SFTP port must be between 1 and 65535');
+        if (!username) throw new Error('Enter the SFTP user name');
+        if (!password && !privateKey) throw new Error('Enter a password or private key for the SFTP server');
+        if (!folder) throw new Error('Enter the folder on the SFTP server to store backups in');
+        if (hostFingerprint && !/^(SHA256:)?[A-Za-z0-9+/]{43}=?$/.test(hostFingerprint)) {
+            throw new Error('The host key fingerprint should look like SHA256:… as printed by ssh-keygen -lf');
+        }
+        // A key saved on first use belongs to the old server; the new one is trusted on its first connection
+        if (hostFingerprint === previous.hostFingerprint && (host !== previous.host || port !== previous.port)) {
+            hostFingerprint = '';
+        }
+        return { host, port, username, password, privateKey, path: folder, hostFingerprint };
+    }
+    throw new Error('Unknown backup target type');
+}
+
+// body is the backup target form; id is set when editing. Resolves with the target id. Throws on
+// invalid input.
+async function saveBackupTarget(body, id = null) {
+    await ready;
+    const db = getDb();
+    const existing = id ? getTarget(id) : null;
+    const name = typeof body.targetName === 'string' ? body.targetName.trim() : '';
+    const type = body.targetType;
+    const keep = parseInt(body.targetKeep, 10);
+    if (!name || name.length > 60) throw new Error('Give the target a name of up to 60 characters');
+    if (!BACKUP_TARGET_TYPES[type]) throw new Error('Unknown backup target type');
+    if (!Number.isInteger(keep) || keep < 1 || keep > 365) throw new Error('Keep 1 to 365 backups on the target');
+    // Saved secrets only carry over while the type stays the same
+    const previous = existing && existing.type === type ? existing.config : {};
+    const config = mapSecrets(type, targetConfig(type, body, previous), encryptSecret);
+    const enabled = body.targetEnabled === '1' ? 1 : 0;
+    if (existing) {
+        db.prepare('UPDATE backup_targets SET name = ?, type = ?, config = ?, keep = ?, enabled = ? WHERE id = ?')
+            .run(name, type, JSON.stringify(config), keep, enabled, id);
+        return id;
+    }
+    return db.prepare('INSERT INTO backup_targets (name, type, config, keep, enabled) VALUES (?, ?, ?, ?, ?)')
+        .run(name, type, JSON.stringify(config), keep, enabled).lastInsertRowid;
+}
+
+async function deleteBackupTarget(id) {
+    await ready;
+    if (uploading.has(Number(id))) throw new Error('Wait for the upload to this target to finish');
+    return getDb().prepare('DELETE FROM backup_targets WHERE id = ?').run(id).changes > 0;
+}
+
+// Resolves with the open driver, and always closes it afterwards. The host key an SFTP server presents on
+// the first connection is saved, and later connections must present the same one.
+async function withDriver(target, fn) {
+    const driver = await openBackupTarget(target.type, mapSecrets(target.type, target.config, decryptSecret));
+    if (driver.hostFingerprint && !target.config.hostFingerprint) {
+        target.config.hostFingerprint = driver.hostFingerprint;
+        getDb().prepare('UPDATE backup_targets SET config = ? WHERE id = ?').run(JSON.stringify(target.config), target.id);
+    }
+    try {
+        return await fn(driver);
+    } finally {
+        await driver.close().catch(() => { });
+    }
+}
+
+// Checks the connection settings by writing, verifying and deleting a small file. Throws if any step fails.
+async function testBackupTarget(id) {
+    await ready;
+    const target = getTarget(id);
+    const localPath = path.join(os.tmpdir(), `focal-point-target-test-${crypto.randomUUID()}`);
+    const remotePath = `.focal-point-test-${Date.now()}`;
+    try {
+        await fs.writeFile(localPath, `Focal Point backup target test ${new Date().toISOString()}\n`);
+        const expected = await digestStream(fsSync.createReadStream(localPath));
+        await withDriver(target, async driver => {
+            await driver.list();
+            await driver.put(localPath, remotePath, expected);
+            await driver.remove(remotePath);
+        });
+    } finally {
+        await fs.rm(localPath, { force: true });
+    }
+}
+
+// Manifest of a backup ZIP on the target: read from data/backups when the same backup is still there,
+// otherwise downloaded
+async function remoteManifest(driver, name) {
+    const local = path.join(BACKUP_DIR, name);
+    try {
+        return await readBackupManifest(local);
+    } catch {
+        const temp = path.join(os.tmpdir(), `focal-point-${crypto.randomUUID()}.zip`);
+        try {
+            await driver.get(name, temp);
+            return await readBackupManifest(temp);
+        } finally {
+            await fs.rm(temp, { force: true });
+        }
+    }
+}
+
+// Keep the newest `keep` backups on the target and delete stored files none of them refers to. Resolves
+// with the number of backups deleted.
+async function applyTargetRetention(driver, remote, keep) {
+    const backups = Object.keys(remote).filter(rel => !rel.includes('/') && rel.endsWith('.zip'))
+        .sort((a, b) => remote[b].mtime - remote[a].mtime);
+    const removed = backups.slice(keep);
+    for (const name of removed) await driver.remove(name);
+
+    const referenced = new Set();
+    for (const name of backups.slice(0, keep)) {
+        let manifest;
+        try {
+            manifest = await remoteManifest(driver, name);
+        } catch (err) {
+            // Its files cannot be told apart from unused ones, so leave them all
+            console.error(`Not pruning stored files on the backup target: ${name} cannot be read:`, err.message);
+            return removed.length;
+        }
+        if (manifest.format !== BACKUP_FORMAT) continue;
+        for (const file of manifest.files) if (file.component !== 'database') referenced.add(file.sha256);
+    }
+    for (const rel of Object.keys(remote)) {
+        const match = /^objects\/[0-9a-f]{2}\/([0-9a-f]{64})$/.exec(rel);
+        if (match && !referenced.has(match[1])) await driver.remove(rel);
+    }
+    return removed.length;
+}
+
+// Upload one backup (a filename in data/backups) to a target, then apply its retention. Every attempt is
+// logged in backup_uploads. Throws if the upload fails.
+async function uploadBackupToTarget(id, filename) {
+    await ready;
+    const db = getDb();
+    const target = getTarget(id);
+    if (uploading.has(target.id)) throw new Error(`An upload to ${target.name} is already running`);
+    uploading.add(target.id);
+    const uploadId = db.prepare('INSERT INTO backup_uploads (target_id, filename) VALUES (?, ?)').run(target.id, filename).lastInsertRowid;
+    let files = 0;
+    let bytes = 0;
+    try {
+        const backupPath = path.join(BACKUP_DIR, filename);
+        const manifest = await readBackupManifest(backupPath);
+        const removed = await withDriver(target, async driver => {
+            const remote = await driver.list();
+            const send = async (localPath, remotePath, expected) => {
+                if (remote[remotePath] && remote[remotePath].size === expected.size) return;
+                await driver.put(localPath, remotePath, expected);
+                remote[remotePath] = { size: expected.size, mtime: new Date() };
+                files++;
+                bytes += expected.size;
+            };
+            if (manifest.format === BACKUP_FORMAT) {
+                for (const file of manifest.files) {
+                    if (file.component === 'database') continue;
+                    await send(objectPath(file.sha256), `objects/${file.sha256.slice(0, 2)}/${file.sha256}`, file);
+                }
+            }
+            await send(backupPath, filename, await digestStream(fsSync.createReadStream(backupPath)));
+            return applyTargetRetention(driver, remote, target.keep);
+        });
+        db.prepare(`
+            UPDATE backup_uploads SET status = 'success', files = ?, bytes = ?, removed = ?, finished_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(files, bytes, removed, uploadId);
+    } catch (err) {
+        db.prepare(`
+            UPDATE backup_uploads SET status = 'failed', files = ?, bytes = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(files, bytes, err.message, uploadId);
+        throw err;
+    } finally {
+        uploading.delete(target.id);
+        db.prepare('DELETE FROM backup_uploads WHERE id <= ?').run(uploadId - UPLOAD_LOG_LIMIT);
+    }
+}
+
+// Upload a backup to every enabled target, one after another. Failures are logged and do not stop the
+// other targets.
+async function uploadBackupToTargets(filename) {
+    await ready;
+    const targets = getDb().prepare('SELECT id, name FROM backup_targets WHERE enabled = 1 ORDER BY id').all();
+    for (const target of targets) {
+        try {
+            await uploadBackupToTarget(target.id, filename);
+        } catch (err) {
+            console.error(`Uploading ${filename} to backup target ${target.name} failed:`, err.message);
+        }
+    }
+}
+
+module.exports = {
+    BACKUP_TARGET_TYPES,
+    DEFAULT_TARGET_KEEP,
+    listBackupTargets,
+    saveBackupTarget,
+    deleteBackupTarget,
+    testBackupTarget,
+    uploadBackupToTarget,
+    uploadBackupToTargets
+};
@@ -6,12 +6,16 @@
 //   - isSafeCategory: Validate category name safety.
 //   - categoryExists: Check if a category exists.
 //   - createCategory: Create a new category.
-//   - deleteCategory: Delete a category.
+//   - deleteCategory: Delete a category and its image renditions.
 //   - getCategoriesWithImages: Get categories with their images.
 //   - getCategoryIdAndMaxPosition: Get category ID and max image position.
+//   - renameCategory: Rename a category.
+//   - saveCategoryOrder: Save the order of categories.
+//   - setCategoryWatermark: Turn watermarking of a category on or off.
 
 const { getDb, ready } = require('../db');
 const validator = require('validator');
+const { removeImageRenditions } = require('./renditions');
 
 async function getCategoriesWithPreviews() {
     await ready;
@@ -19,6 +23,7 @@ async function getCategoriesWithPreviews() {
     const query = `
         SELECT 
             c.name, 
+            c.watermark,
             COALESCE(
                 (SELECT filename FROM images WHERE category_id = c.id AND is_thumbnail = 1 LIMIT 1),
                 (SELECT filename FROM images WHERE category_id = c.id ORDER BY position ASC LIMIT 1)
@@ -29,7 +34,8 @@ async function getCategoriesWithPreviews() {
     const cats = await db.prepare(query).all();
     return cats.map(cat => ({
         name: cat.name,
-        preview: cat.preview
+        preview: cat.preview,
+        watermark: !!cat.watermark
     }));
 }
 function isSafeCategory(category) {
@@ -54,14 +60,17 @@ async function createCategory(name) {
     if (!(await isSafeCategory(name))) throw new Error('Invalid category name');
     const maxPos = (await db.prepare('SELECT MAX(position) as max FROM categories').get()).max || 0;
     await db.prepare('INSERT INTO categories (name, position) VALUES (?, ?)').run(name, maxPos + 1);
+    return name;
 }
 async function deleteCategory(name) {
     await ready;
     const db = getDb();
     const cat = await db.prepare('SELECT id FROM categories WHERE name = ?').get(name);
     if (cat) {
+        const imageIds = db.prepare('SELECT id FROM images WHERE category_id = ?').all(cat.id).map(img => img.id);
         await db.prepare('DELETE FROM images WHERE category_id = ?').run(cat.id);
         await db.prepare('DELETE FROM categories WHERE id = ?').run(cat.id);
+        await removeImageRenditions(imageIds);
     }
 }
 async function getCategoriesWithImages() {
@@ -81,6 +90,41 @@ async function getCategoryIdAndMaxPosition(categoryName) {
     const maxPos = (await db.prepare('SELECT MAX(position) as max FROM images WHERE category_id = ?').get(cat.id)).max || 0;
     return { id: cat.id, maxPos };
 }
+// Rename a category, returns false if the original does not exist
+async function renameCategory(oldName, newName) {
+    await ready;
+    const db = getDb();
+    if (!isSafeCategory(newName)) throw new Error('Invalid category name');
+    const result = db.prepare('UPDATE categories SET name = ? WHERE name = ?').run(newName, oldName);
+    // Keep the category's visitor statistics (see utils/siteAnalytics.js) under its new name
+    if (result.changes > 0) {
+        const renameKey = db.prepare('UPDATE OR IGNORE site_daily_stats SET key = ? WHERE metric = ? AND key = ?');
+        renameKey.run(newName, 'category', oldName);
+        renameKey.run(`/gallery/${newName}`, 'page', `/gallery/${oldName}`);
+        // Photo keys are "category/filename"; substr rather than LIKE, as _ is a wildcard there
+        db.prepare(`
+            UPDATE OR IGNORE site_daily_stats SET key = ? || substr(key, length(?) + 1)
+            WHERE metric = 'image' AND substr(key, 1, length(?)) = ?
+        `).run(newName, oldName, oldName + '/', oldName + '/');
+    }
+    return result.changes > 0;
+}
+// Save the order of categories from an array of category names
+async function saveCategoryOrder(orderArr) {
+    await ready;
+    const db = getDb();
+    const update = db.prepare('UPDATE categories SET position = ? WHERE name = ?');
+    db.transaction(() => {
+        orderArr.forEach((catName, idx) => update.run(idx, catName));
+    })();
+}
+// Turn watermarking of a category's images on or off
+async function setCategoryWatermark(name, enabled) {
+    await ready;
+    const db = getDb();
+    const result = db.prepare('UPDATE categories SET watermark = ? WHERE name = ?').run(enabled ? 1 : 0, name);
+    return result.changes > 0;
+}
 
 // This import must be after function declarations to avoid circular dependency
 const { getOrderedImages } = require('./images');
@@ -92,5 +136,8 @@ module.exports = {
     createCategory,
     deleteCategory,
     getCategoriesWithImages,
-    getCategoryIdAndMaxPosition
+    getCategoryIdAndMaxPosition,
+    renameCategory,
+    saveCategoryOrder,
+    setCategoryWatermark
 };
\ No newline at end of file
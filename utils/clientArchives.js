@@ -0,0 +1,250 @@
+// Utility functions for pre-built client download archives.
+// Whole-gallery ZIPs are built in the background (store-only, one at a time) into
+// data/client-archives/<clientId>/<signature>/ as part-1.zip, part-2.zip, ... plus a manifest.json, so
+// downloads are plain files served with a Content-Length and Range support. The signature covers the
+// images and everything that changes their delivered bytes (watermark, metadata policy), so an archive
+// that no longer matches the gallery is never served. Galleries larger than the part size are split.
+// Only galleries whose download policy covers every image (full or web size) are pre-built; favourites-only
+// downloads change with each heart and are always streamed.
+//
+// Exports:
+//   - DEFAULT_ARCHIVE_PART_MB: Part size used when the archivePartSizeMb setting is unset.
+//   - getArchivePartBytes: Returns the configured maximum part size in bytes.
+//   - buildClientArchives: Builds the archive parts for a client right away.
+//   - queueArchiveBuild: Queues a background build for a client.
+//   - scheduleArchiveRefresh: Rebuilds a little later after gallery changes, if the client has archives.
+//   - getReadyArchive: Returns the up-to-date archive of a client, or null.
+//   - getClientArchiveStatus: Summarizes the archive state of a client for the admin pages.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ready } = require('../db');
+const { getSetting } = require('./settings');
+const { getMetadataPolicy } = require('./metadataPolicy');
+const { getClientWatermark } = require('./watermark');
+const { getClientDownloadPolicy } = require('./downloadPolicy');
+const {
+    getClientById,
+    getClientImages,
+    zipEntryFor,
+    appendZipEntry,
+    createStoreArchive,
+    CLIENT_UPLOADS_DIR,
+    CLIENT_ARCHIVES_DIR
+} = require('./clients');
+
+const DEFAULT_ARCHIVE_PART_MB = 2048;
+// Download policies under which the whole gallery goes into the archive
+const ARCHIVED_POLICIES = ['full', 'web'];
+// Gallery changes often come in bursts (a batch of uploads), so rebuilds wait for things to settle
+const REFRESH_DELAY_MS = 60 * 1000;
+
+// Client IDs waiting in the queue, the one being built and pending refresh timers
+const queued = new Set();
+let building = null;
+let buildQueue = Promise.resolve();
+const refreshTimers = new Map();
+
+async function getArchivePartBytes() {
+    const mb = parseInt(await getSetting('archivePartSizeMb'), 10);
+    return (Number.isInteger(mb) && mb > 0 ? mb : DEFAULT_ARCHIVE_PART_MB) * 1024 * 1024;
+}
+
+function clientArchiveDir(clientId) {
+    return path.join(CLIENT_ARCHIVES_DIR, clientId.toString());
+}
+
+// Whether the client's gallery is downloaded as a whole, so it can be pre-built
+function isArchivable(client) {
+    return ARCHIVED_POLICIES.includes(getClientDownloadPolicy(client));
+}
+
+// Fingerprint of what a client ZIP would contain right now
+async function archiveSignature(clientId) {
+    const images = await getClientImages(clientId);
+    const watermark = await getClientWatermark(clientId);
+    const policy = await getMetadataPolicy();
+    const downloadPolicy = getClientDownloadPolicy(getClientById(clientId));
+    const hash = crypto.createHash('sha1');
+    hash.update(JSON.stringify({ watermark, policy, downloadPolicy, partBytes: await getArchivePartBytes() }));
+    images.forEach(img => hash.update(`|${img.id}:${img.filename}:${img.source_filename || ''}:${img.original_filename || ''}`));
+    return hash.digest('hex').slice(0, 16);
+}
+
+function readManifest(dir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// Start writing a part; add entries with append() and close it with finish(), which resolves with its size
+function openPart(filePath) {
+    const archive = createStoreArchive();
+    const out = fs.createWriteStream(filePath);
+    const closed = new Promise((resolve, reject) => {
+        out.on('close', resolve);
+        out.on('error', reject);
+        archive.on('error', reject);
+    });
+    // Surfaced by finish(); keeps a failed write from becoming an unhandled rejection meanwhile
+    closed.catch(() => { });
+    archive.pipe(out);
+    return {
+        append: entry => appendZipEntry(archive, entry),
+        async finish() {
+            await archive.finalize();
+            await closed;
+            return fs.statSync(filePath).size;
+        }
+    };
+}
+
+// Build the archive parts of a client and replace any older build. Images are split into parts by
+// delivered size, keeping gallery order. Resolves with the manifest, or null when the client is gone or
+// its download policy does not allow whole-gallery downloads (older builds are removed then).
+async function buildClientArchives(clientId) {
+    await ready;
+    const client = getClientById(clientId);
+    if (!client) return null;
+    const baseDir = clientArchiveDir(clientId);
+    if (!isArchivable(client)) {
+        fs.rmSync(baseDir, { recursive: true, force: true });
+        return null;
+    }
+    const signature = await archiveSignature(clientId);
+    const finalDir = path.join(baseDir, signature);
+    const existing = readManifest(finalDir);
+    if (existing) return existing;
+
+    // Leftovers of an interrupted build; only one build runs at a time
+    fs.mkdirSync(baseDir, { recursive: true });
+    for (const name of fs.readdirSync(baseDir)) {
+        if (name.startsWith('.building-')) fs.rmSync(path.join(baseDir, name), { recursive: true, force: true });
+    }
+    const workDir = path.join(baseDir, `.building-${signature}`);
+    fs.mkdirSync(workDir);
+
+    try {
+        const clientDir = path.join(CLIENT_UPLOADS_DIR, clientId.toString());
+        const images = await getClientImages(clientId);
+        const policy = await getMetadataPolicy();
+        const watermark = await getClientWatermark(clientId);
+        const partBytes = await getArchivePartBytes();
+        const webSize = getClientDownloadPolicy(client) === 'web';
+
+        // Entries are streamed into the current part one at a time; a new part starts when the next
+        // image would take the current one past the part size
+        const parts = [];
+        let current = null;
+        const closeCurrent = async () => {
+            if (!current) return;
+            const size = await current.writer.finish();
+            parts.push({ file: current.file, size, images: current.images });
+            current = null;
+        };
+        for (const image of images) {
+            const entry = await zipEntryFor(clientDir, image, policy, watermark, webSize);
+            if (!entry) continue;
+            const size = entry.filePath ? entry.size : entry.data.length;
+            if (current && current.bytes + size > partBytes) await closeCurrent();
+            if (!current) {
+                const file = `part-${parts.length + 1}.zip`;
+                current = { file, writer: openPart(path.join(workDir, file)), bytes: 0, images: 0 };
+            }
+            await current.writer.append(entry);
+            current.bytes += size;
+            current.images++;
+        }
+        await closeCurrent();
+
+        const manifest = {
+            signature,
+            builtAt: new Date().toISOString(),
+            imageCount: parts.reduce((sum, part) => sum + part.images, 0),
+            totalSize: parts.reduce((sum, part) => sum + part.size, 0),
+            parts
+        };
+        fs.writeFileSync(path.join(workDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+        fs.renameSync(workDir, finalDir);
+        for (const name of fs.readdirSync(baseDir)) {
+            if (name !== signature) fs.rmSync(path.join(baseDir, name), { recursive: true, force: true });
+        }
+        return manifest;
+    } catch (err) {
+        fs.rmSync(workDir, { recursive: true, force: true });
+        throw err;
+    }
+}
+
+// Build in the background after any builds already queued. A client already waiting is not queued twice;
+// one whose build is running is queued again, as the gallery may have changed since it started.
+function queueArchiveBuild(clientId) {
+    const key = String(clientId);
+    if (queued.has(key)) return;
+    queued.add(key);
+    buildQueue = buildQueue.then(async () => {
+        queued.delete(key);
+        building = key;
+        try {
+            await buildClientArchives(key);
+        } catch (err) {
+            console.error(`Error building archives for client ${key}:`, err);
+        } finally {
+            building = null;
+        }
+    });
+}
+
+// After uploads, deletions or watermark changes: rebuild once the gallery has been quiet for a while,
+// but only for galleries that are published (final) or already had archives built
+function scheduleArchiveRefresh(clientId) {
+    const key = String(clientId);
+    clearTimeout(refreshTimers.get(key));
+    const timer = setTimeout(async () => {
+        refreshTimers.delete(key);
+        await ready;
+        const client = getClientById(key);
+        if (client && isArchivable(client) && (client.is_final || fs.existsSync(clientArchiveDir(key)))) queueArchiveBuild(key);
+    }, REFRESH_DELAY_MS);
+    timer.unref();
+    refreshTimers.set(key, timer);
+}
+
+// The archive matching the gallery as it is now: { dir, manifest }, or null when it is not built yet
+// (or never will be under the client's download policy)
+async function getReadyArchive(clientId) {
+    if (!isArchivable(getClientById(clientId))) return null;
+    const dir = path.join(clientArchiveDir(clientId), await archiveSignature(clientId));
+    const manifest = readManifest(dir);
+    return manifest ? { dir, manifest } : null;
+}
+
+// { state, manifest } where state is 'ready', 'building' (queued or running), 'stale' (an older build
+// exists), 'none' or 'off' (not pre-built under the download policy); manifest is the latest finished
+// build, if any
+async function getClientArchiveStatus(clientId) {
+    const key = String(clientId);
+    if (!isArchivable(getClientById(key))) return { state: 'off', manifest: null };
+    const readyArchive = await getReadyArchive(key);
+    if (readyArchive) return { state: 'ready', manifest: readyArchive.manifest };
+    let manifest = null;
+    try {
+        const names = fs.readdirSync(clientArchiveDir(key)).filter(name => !name.startsWith('.'));
+        manifest = names.length ? readManifest(path.join(clientArchiveDir(key), names[0])) : null;
+    } catch { }
+    if (queued.has(key) || building === key) return { state: 'building', manifest };
+    return { state: manifest ? 'stale' : 'none', manifest };
+}
+
+module.exports = {
+    DEFAULT_ARCHIVE_PART_MB,
+    getArchivePartBytes,
+    buildClientArchives,
+    queueArchiveBuild,
+    scheduleArchiveRefresh,
+    getReadyArchive,
+    getClientArchiveStatus
+};
@@ -0,0 +1,123 @@
+// Utility functions for client gallery expiry.
+// An hourly job (see server.js) emails clients a reminder a set number of days before their gallery
+// expires, archives galleries once they expire (clients can no longer log in, but nothing is deleted
+// yet) and deletes archived galleries once the grace period is over. Extending the expiry date brings
+// an archived gallery back.
+//
+// Exports:
+//   - DEFAULT_REMINDER_DAYS: Days before expiry the reminder is sent when the setting is unset.
+//   - DEFAULT_GRACE_DAYS: Days an expired gallery is kept when the setting is unset.
+//   - getExpirySettings: Returns the reminder and grace period settings.
+//   - sendExpiryReminders: Sends reminders for galleries expiring soon.
+//   - archiveExpiredClients: Archives galleries past their expiry date.
+//   - runExpiryJob: Archives, deletes and reminds in one go (the scheduled job).
+//   - extendClientExpiry: Moves a gallery's expiry date later and un-archives it.
+
+const { getDb, ready } = require('../db');
+const { getAllSettings } = require('./settings');
+const { getClientById, cleanupExpiredClients } = require('./clients');
+const { isEmailConfigured, sendClientEmail, notifyAdmin } = require('./email');
+
+const DEFAULT_REMINDER_DAYS = 7;
+const DEFAULT_GRACE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stops overlapping runs when a slow SMTP server makes one take longer than the interval
+let running = false;
+
+function dayCount(value, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+// 0 reminder days turns reminders off; 0 grace days deletes galleries on the next run after they expire
+async function getExpirySettings() {
+    const settings = await getAllSettings();
+    return {
+        reminderDays: dayCount(settings.expiryReminderDays, DEFAULT_REMINDER_DAYS),
+        graceDays: dayCount(settings.expiryGraceDays, DEFAULT_GRACE_DAYS)
+    };
+}
+
+// Remind clients whose gallery expires within reminderDays, once per expiry date. Without a client
+// email address (or outgoing email) only the admin notice is sent. Failed sends are retried on the next run.
+// Returns the number of galleries handled.
+async function sendExpiryReminders(reminderDays) {
+    await ready;
+    const db = getDb();
+    if (reminderDays <= 0) return 0;
+    const now = new Date();
+    const due = db.prepare(`
+        SELECT id FROM clients
+        WHERE is_active = 1 AND archived_at IS NULL AND expiry_reminder_sent_at IS NULL
+          AND expires_at > ? AND expires_at <= ?
+    `).all(now.toISOString(), new Date(now.getTime() + reminderDays * DAY_MS).toISOString());
+
+    const canEmail = await isEmailConfigured();
+    let handled = 0;
+    for (const { id } of due) {
+        const client = getClientById(id);
+        const remind = canEmail && !!client.email;
+        if (remind) {
+            try {
+                await sendClientEmail('expiryReminder', client);
+            } catch (err) {
+                console.error(`Error sending expiry reminder to client ${id}:`, err.message);
+                continue;
+            }
+        }
+        db.prepare('UPDATE clients SET expiry_reminder_sent_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+        notifyAdmin('expiryNotice', client, { clientReminded: remind });
+        handled++;
+    }
+    return handled;
+}
+
+// Returns the number of galleries archived
+async function archiveExpiredClients() {
+    await ready;
+    const db = getDb();
+    return db.prepare(`
+        UPDATE clients SET archived_at = CURRENT_TIMESTAMP WHERE archived_at IS NULL AND expires_at <= ?
+    `).run(new Date().toISOString()).changes;
+}
+
+// Resolves with { archived, deleted, reminded }, or null when a previous run is still going
+async function runExpiryJob() {
+    if (running) return null;
+    running = true;
+    try {
+        const { reminderDays, graceDays } = await getExpirySettings();
+        const archived = await archiveExpiredClients();
+        const deleted = await cleanupExpiredClients(graceDays);
+        const reminded = await sendExpiryReminders(reminderDays);
+        return { archived, deleted, reminded };
+    } finally {
+        running = false;
+    }
+}
+
+// Push the expiry date back by `days`, counting from now when the gallery has already expired, and
+// bring it back from the archive. A new reminder is sent before the new date. Returns the new date.
+async function extendClientExpiry(clientId, days) {
+    await ready;
+    const db = getDb();
+    const client = getClientById(clientId);
+    if (!client) throw new Error('Client not found');
+    const current = new Date(client.expires_at).getTime();
+    const expiresAt = new Date(Math.max(Date.now(), Number.isNaN(current) ? 0 : current) + days * DAY_MS);
+    db.prepare(`
+        UPDATE clients SET expires_at = ?, archived_at = NULL, expiry_reminder_sent_at = NULL WHERE id = ?
+    `).run(expiresAt.toISOString(), clientId);
+    return expiresAt;
+}
+
+module.exports = {
+    DEFAULT_REMINDER_DAYS,
+    DEFAULT_GRACE_DAYS,
+    getExpirySettings,
+    sendExpiryReminders,
+    archiveExpiredClients,
+    runExpiryJob,
+    extendClientExpiry
+};
@@ -0,0 +1,155 @@
+// Utility functions for client gallery sections (sub-albums such as Ceremony, Portraits, Reception).
+// Sections belong to one client and are ordered by position; each image sits in at most one section
+// and is ordered by its own position. Images without a section are listed after the named sections.
+//
+// Exports:
+//   - MAX_SECTION_NAME_LENGTH: Maximum length of a section name.
+//   - getClientSections: Lists a client's sections in order, with image counts.
+//   - getClientSection: Retrieves one of a client's sections.
+//   - createClientSection: Adds a section at the end of the list.
+//   - renameClientSection: Renames a section.
+//   - deleteClientSection: Removes a section; its images stay in the gallery without a section.
+//   - saveClientSectionOrder: Saves the order of a client's sections.
+//   - saveClientImageLayout: Saves which section each image is in and the order within sections.
+//   - moveClientImagesToSection: Appends images to the end of a section.
+//   - groupImagesBySection: Groups ordered images under their sections for display.
+
+const { getDb, ready } = require('../db');
+
+const MAX_SECTION_NAME_LENGTH = 60;
+
+function cleanSectionName(name) {
+    const text = String(name || '').replace(/\s+/g, ' ').trim();
+    if (!text) throw new Error('Section name is required');
+    if (text.length > MAX_SECTION_NAME_LENGTH) {
+        throw new Error(`Section name must be at most ${MAX_SECTION_NAME_LENGTH} characters`);
+    }
+    return text;
+}
+
+// Throws when another section of the client already uses the name (case-insensitive)
+function assertUniqueName(db, clientId, name, exceptId = null) {
+    const existing = db.prepare(`
+        SELECT id FROM client_sections WHERE client_id = ? AND name = ? COLLATE NOCASE AND id IS NOT ?
+    `).get(clientId, name, exceptId);
+    if (existing) throw new Error(`A section named "${name}" already exists`);
+}
+
+async function getClientSections(clientId) {
+    await ready;
+    const db = getDb();
+    return db.prepare(`
+        SELECT s.*, (SELECT COUNT(*) FROM client_images ci WHERE ci.section_id = s.id) AS image_count
+        FROM client_sections s
+        WHERE s.client_id = ?
+        ORDER BY s.position ASC, s.id ASC
+    `).all(clientId);
+}
+
+async function getClientSection(clientId, sectionId) {
+    await ready;
+    const db = getDb();
+    return db.prepare('SELECT * FROM client_sections WHERE id = ? AND client_id = ?').get(sectionId, clientId);
+}
+
+// Returns the new section
+async function createClientSection(clientId, name) {
+    await ready;
+    const db = getDb();
+    const text = cleanSectionName(name);
+    assertUniqueName(db, clientId, text);
+    const maxPos = db.prepare('SELECT MAX(position) AS max FROM client_sections WHERE client_id = ?').get(clientId).max;
+    const result = db.prepare('INSERT INTO client_sections (client_id, name, position) VALUES (?, ?, ?)')
+        .run(clientId, text, (maxPos === null ? -1 : maxPos) + 1);
+    return db.prepare('SELECT * FROM client_sections WHERE id = ?').get(result.lastInsertRowid);
+}
+
+async function renameClientSection(clientId, sectionId, name) {
+    await ready;
+    const db = getDb();
+    const text = cleanSectionName(name);
+    assertUniqueName(db, clientId, text, Number(sectionId));
+    const result = db.prepare('UPDATE client_sections SET name = ? WHERE id = ? AND client_id = ?').run(text, sectionId, clientId);
+    return result.changes > 0;
+}
+
+async function deleteClientSection(clientId, sectionId) {
+    await ready;
+    const db = getDb();
+    return db.transaction(() => {
+        db.prepare('UPDATE client_images SET section_id = NULL WHERE section_id = ? AND client_id = ?').run(sectionId, clientId);
+        return db.prepare('DELETE FROM client_sections WHERE id = ? AND client_id = ?').run(sectionId, clientId).changes > 0;
+    })();
+}
+
+// orderArr is an array of section IDs; IDs of other clients are ignored
+async function saveClientSectionOrder(clientId, orderArr) {
+    await ready;
+    const db = getDb();
+    const update = db.prepare('UPDATE client_sections SET position = ? WHERE id = ? AND client_id = ?');
+    db.transaction(() => {
+        orderArr.forEach((sectionId, idx) => update.run(idx, sectionId, clientId));
+    })();
+}
+
+// layout is [{ sectionId, imageIds: [...] }, ...] as shown on the admin page; sectionId null means
+// "no section". Images are numbered in layout order, so positions stay unique across the gallery.
+// Throws when a section or image does not belong to the client.
+async function saveClientImageLayout(clientId, layout) {
+    await ready;
+    const db = getDb();
+    const sectionIds = new Set(db.prepare('SELECT id FROM client_sections WHERE client_id = ?').all(clientId).map(s => s.id));
+    const imageIds = new Set(db.prepare('SELECT id FROM client_images WHERE client_id = ?').all(clientId).map(img => img.id));
+    const update = db.prepare('UPDATE client_images SET section_id = ?, position = ? WHERE id = ? AND client_id = ?');
+    db.transaction(() => {
+        let position = 0;
+        for (const group of layout) {
+            const sectionId = group.sectionId === null || group.sectionId === undefined || group.sectionId === ''
+                ? null
+                : Number(group.sectionId);
+            if (sectionId !== null && !sectionIds.has(sectionId)) throw new Error('Section not found');
+            for (const imageId of group.imageIds || []) {
+                if (!imageIds.has(Number(imageId))) throw new Error('Image not found');
+                update.run(sectionId, position++, imageId, clientId);
+            }
+        }
+    })();
+}
+
+// Move images to the end of a section (null: no section). Returns the number of images moved.
+async function moveClientImagesToSection(clientId, imageIds, sectionId) {
+    await ready;
+    const db = getDb();
+    if (sectionId !== null && !db.prepare('SELECT 1 FROM client_sections WHERE id = ? AND client_id = ?').get(sectionId, clientId)) {
+        throw new Error('Section not found');
+    }
+    const update = db.prepare('UPDATE client_images SET section_id = ?, position = ? WHERE id = ? AND client_id = ?');
+    return db.transaction(() => {
+        let position = db.prepare('SELECT MAX(position) AS max FROM client_images WHERE client_id = ?').get(clientId).max || 0;
+        return imageIds.reduce((moved, imageId) => moved + update.run(sectionId, ++position, imageId, clientId).changes, 0);
+    })();
+}
+
+// Group images (already in gallery order) under their sections: [{ section, images }, ...] in section
+// order, followed by { section: null, images } for images without a section. Empty groups are left
+// out unless includeEmpty is set (the admin page needs them as drop targets).
+function groupImagesBySection(images, sections, includeEmpty = false) {
+    const groups = sections.map(section => ({ section, images: [] }));
+    const byId = new Map(groups.map(group => [group.section.id, group]));
+    const unsorted = { section: null, images: [] };
+    images.forEach(img => (byId.get(img.section_id) || unsorted).images.push(img));
+    return groups.concat(unsorted).filter(group => includeEmpty || group.images.length > 0);
+}
+
+module.exports = {
+    MAX_SECTION_NAME_LENGTH,
+    getClientSections,
+    getClientSection,
+    createClientSection,
+    renameClientSection,
+    deleteClientSection,
+    saveClientSectionOrder,
+    saveClientImageLayout,
+    moveClientImagesToSection,
+    groupImagesBySection
+};
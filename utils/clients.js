@@ -8,14 +8,25 @@
 //   - getClientImages: Retrieves all images for a client.
 //   - addClientImage: Adds a new image record for a client.
 //   - deleteClientImage: Deletes a client's image from both filesystem and database.
-//   - getAllClients: Retrieves all clients with image count and total size.
+//   - getAllClients: Retrieves all clients with image count, total size and proofing status.
 //   - getClientById: Retrieves a single client by ID.
 //   - deleteClient: Deletes a client and all associated images.
+//   - setClientEmail: Sets or clears a client's email address.
+//   - checkClientPassword: Checks a password against a client's stored hash.
 //   - toggleClientStatus: Toggles the active status of a client.
+//   - toggleClientWatermark: Toggles watermarking of a client's proof gallery.
+//   - toggleClientFinal: Toggles whether a client gallery is final (served without watermark).
 //   - incrementDownloadCount: Increments download count for a client and optionally an image.
-//   - createZipArchive: Creates a zip archive of all client images.
-//   - cleanupExpiredClients: Cleans up expired clients.
+//   - sendClientDownload: Sends one client image as a download (the kept original of converted uploads).
+//   - createZipArchive: Creates a zip archive of all client images or one section (watermarked or metadata stripped per policy).
+//   - createSidecarArchive: Creates a zip archive of generated text files (e.g. XMP sidecars) for a client.
+//   - cleanupExpiredClients: Deletes galleries archived for longer than the grace period.
+//   - zipFileName: Builds the download filename of a client ZIP.
+//   - zipEntryFor: Resolves the ZIP entry (name and file or processed data) for one client image.
+//   - appendZipEntry: Adds such an entry to an archive, one image in memory at a time.
+//   - createStoreArchive: Creates a store-only (uncompressed) zip archive for photos.
 //   - CLIENT_UPLOADS_DIR: Directory path for client uploads.
+//   - CLIENT_ARCHIVES_DIR: Directory path for pre-built client download archives.
 
 // Database and utility imports
 const { getDb, ready } = require('../db'); // Use getDb and ready
@@ -24,9 +35,16 @@ const fsAsync = require('fs').promises; // File system module (promise-based)
 const path = require('path'); // Path utilities
 const archiver = require('archiver'); // For zipping files (npm install archiver)
 const bcrypt = require('bcryptjs'); // For password hashing
+const { removeClientImageRenditions, removeClientRenditions } = require('./renditions');
+const { getMetadataPolicy, readStrippedImage } = require('./metadataPolicy');
+const { getClientWatermark, renderWatermarked, sendClientImageFile } = require('./watermark');
+const { withExtensionOf } = require('./imageFormats');
+const { getClientDownloadPolicy, getDownloadableImages, renderWebSize } = require('./downloadPolicy');
 
 // Ensure client uploads directory exists
 const CLIENT_UPLOADS_DIR = path.join(__dirname, '..', 'data', 'client-uploads');
+// Pre-built download archives, one folder per client (see utils/clientArchives.js)
+const CLIENT_ARCHIVES_DIR = path.join(__dirname, '..', 'data', 'client-archives');
 (async () => {
     try {
         await fsAsync.mkdir(CLIENT_UPLOADS_DIR, { recursive: true });
@@ -47,7 +65,7 @@ function generateAccessCode() {
 }
 
 // Create a new client with hashed password and optional expiry
-async function createClient(clientName, shootTitle, password, customExpiry = null) {
+async function createClient(clientName, shootTitle, password, customExpiry = null, watermark = false, email = null, downloadPolicy = 'full') {
     await ready;
     const db = getDb();
     const accessCode = generateAccessCode();
@@ -60,9 +78,9 @@ async function createClient(clientName, shootTitle, password, customExpiry = nul
 
     try {
         const result = db.prepare(`
-            INSERT INTO clients (access_code, password, client_name, shoot_title, expires_at)
-            VALUES (?, ?, ?, ?, ?)
-        `).run(accessCode, hashedPassword, clientName, shootTitle, expiresAt.toISOString());
+            INSERT INTO clients (access_code, password, client_name, shoot_title, expires_at, watermark, email, download_policy)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(accessCode, hashedPassword, clientName, shootTitle, expiresAt.toISOString(), watermark ? 1 : 0, email, downloadPolicy);
 
         // Create client's image directory
         const clientDir = path.join(CLIENT_UPLOADS_DIR, result.lastInsertRowid.toString());
@@ -75,7 +93,7 @@ async function createClient(clientName, shootTitle, password, customExpiry = nul
         return { id: result.lastInsertRowid, accessCode };
     } catch (err) {
         if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-            return createClient(clientName, shootTitle, password, customExpiry);
+            return createClient(clientName, shootTitle, password, customExpiry, watermark, email, downloadPolicy);
         }
         throw err;
     }
@@ -97,52 +115,59 @@ async function verifyClient(accessCode, password) {
     return null;
 }
 
-// Get all images for a client, ordered by upload time
+// Get all images for a client in gallery order (see utils/clientSections.js for grouping by section)
 async function getClientImages(clientId) {
     await ready;
     const db = getDb();
     return db.prepare(`
         SELECT * FROM client_images 
         WHERE client_id = ? 
-        ORDER BY uploaded_at ASC
+        ORDER BY position ASC, id ASC
     `).all(clientId);
 }
 
-// Add a new image record for a client
-function addClientImage(clientId, filename, originalFilename, fileSize) {
+// Add a new image record for a client at the end of the gallery (optionally in a section).
+// sourceFilename names the original upload kept next to a converted (JPEG) delivery file
+function addClientImage(clientId, filename, originalFilename, fileSize, sourceFilename = null, sectionId = null) {
     const db = getDb();
     return db.prepare(`
-        INSERT INTO client_images (client_id, filename, original_filename, file_size)
-        VALUES (?, ?, ?, ?)
-    `).run(clientId, filename, originalFilename, fileSize);
+        INSERT INTO client_images (client_id, filename, original_filename, file_size, source_filename, section_id, position)
+        VALUES (?, ?, ?, ?, ?, ?, COALESCE((SELECT MAX(position) FROM client_images WHERE client_id = ?), 0) + 1)
+    `).run(clientId, filename, originalFilename, fileSize, sourceFilename, sectionId, clientId);
 }
 
 // Delete a client's image from both filesystem and database
 async function deleteClientImage(clientId, imageId) {
     await ready;
     const db = getDb();
-    const image = db.prepare('SELECT filename FROM client_images WHERE id = ? AND client_id = ?').get(imageId, clientId);
+    const image = db.prepare('SELECT filename, source_filename FROM client_images WHERE id = ? AND client_id = ?').get(imageId, clientId);
     if (image) {
-        // Delete file from filesystem
-        const filePath = path.join(CLIENT_UPLOADS_DIR, clientId.toString(), image.filename);
-        try {
-            await fsAsync.unlink(filePath);
-        } catch { }
+        // Delete file (and the kept original of a converted upload) from filesystem
+        for (const filename of [image.filename, image.source_filename].filter(Boolean)) {
+            try {
+                await fsAsync.unlink(path.join(CLIENT_UPLOADS_DIR, clientId.toString(), filename));
+            } catch { }
+        }
 
         // Delete from database
         db.prepare('DELETE FROM client_images WHERE id = ? AND client_id = ?').run(imageId, clientId);
+        await removeClientImageRenditions(clientId, imageId);
         return true;
     }
     return false;
 }
 
-// Get all clients with image count and total size
+// Get all clients with image count, total size, favourite count and selection submission time
 function getAllClients() {
     const db = getDb();
     return db.prepare(`
         SELECT c.*, 
                COUNT(ci.id) as image_count,
-               SUM(ci.file_size) as total_size
+               SUM(ci.file_size) as total_size,
+               (SELECT COUNT(*) FROM client_image_feedback f
+                WHERE f.client_id = c.id AND f.is_favourite = 1) as favourite_count,
+               (SELECT MAX(s.submitted_at) FROM client_selections s
+                WHERE s.client_id = c.id AND s.reopened_at IS NULL) as selection_submitted_at
         FROM clients c
         LEFT JOIN client_images ci ON c.id = ci.client_id
         GROUP BY c.id
@@ -164,18 +189,51 @@ async function deleteClient(clientId) {
     const clientDir = path.join(CLIENT_UPLOADS_DIR, clientId.toString());
     try {
         await fsAsync.rm(clientDir, { recursive: true, force: true });
+        await fsAsync.rm(path.join(CLIENT_ARCHIVES_DIR, clientId.toString()), { recursive: true, force: true });
+        await removeClientRenditions(clientId);
     } catch { }
+    // Drop unfinished resumable uploads too, so none can land in a folder for a client that is gone
+    // (required here because resumableUploads itself requires this module)
+    const { deleteUploadSession } = require('./resumableUploads');
+    const sessions = db.prepare("SELECT id FROM upload_sessions WHERE target = 'client' AND target_key = ?").all(String(clientId));
+    for (const { id } of sessions) await deleteUploadSession(id);
 
     // Delete from database (CASCADE will handle client_images)
     db.prepare('DELETE FROM clients WHERE id = ?').run(clientId);
 }
 
+// Set or clear (null) the email address notifications are sent to
+function setClientEmail(clientId, email) {
+    const db = getDb();
+    db.prepare('UPDATE clients SET email = ? WHERE id = ?').run(email, clientId);
+}
+
+// Check a password against a client's stored hash (e.g. before emailing it to them)
+async function checkClientPassword(clientId, password) {
+    await ready;
+    const db = getDb();
+    const row = db.prepare('SELECT password FROM clients WHERE id = ?').get(clientId);
+    return !!row && bcrypt.compare(password, row.password);
+}
+
 // Toggle the active status of a client
 function toggleClientStatus(clientId) {
     const db = getDb();
     db.prepare('UPDATE clients SET is_active = NOT is_active WHERE id = ?').run(clientId);
 }
 
+// Toggle watermarking of a client's proof gallery
+function toggleClientWatermark(clientId) {
+    const db = getDb();
+    db.prepare('UPDATE clients SET watermark = NOT watermark WHERE id = ?').run(clientId);
+}
+
+// Toggle whether a client gallery is final; final galleries are delivered without a watermark
+function toggleClientFinal(clientId) {
+    const db = getDb();
+    db.prepare('UPDATE clients SET is_final = NOT is_final WHERE id = ?').run(clientId);
+}
+
 // Increment download count for a client and optionally an image
 function incrementDownloadCount(clientId, imageId = null) {
     const db = getDb();
@@ -186,38 +244,146 @@ function incrementDownloadCount(clientId, imageId = null) {
     }
 }
 
-// Create a zip archive of all client images
-function createZipArchive(clientId) {
+// Download name for a client's zip: <client>_<shoot or "Photos">[_<suffix>].zip
+function zipFileName(client, suffix = '') {
+    const safe = text => text.replace(/[^a-zA-Z0-9]/g, '_');
+    const base = `${safe(client.client_name)}_${client.shoot_title ? safe(client.shoot_title) : 'Photos'}`;
+    return `${base}${suffix ? '_' + safe(suffix) : ''}.zip`;
+}
+
+// The kept original of a converted upload (HEIC, TIFF, WebP) with metadata stripped per policy, or null
+// when there is none or this server cannot re-encode it to strip the metadata (e.g. HEIC without HEVC
+// support); the converted JPEG is delivered instead then
+async function readSourceUpload(clientDir, image, policy) {
+    if (!image.source_filename) return null;
+    const sourcePath = path.join(clientDir, image.source_filename);
+    if (!fsSync.existsSync(sourcePath)) return null;
+    try {
+        return await readStrippedImage(sourcePath, policy);
+    } catch {
+        return null;
+    }
+}
+
+// Send a client image by its stored filename as a download. Resolves to false when the client has no
+// such image. Watermarked galleries always get the (watermarked) delivery file; galleries with the 'web'
+// download policy get a web-size copy. Whether the image may be downloaded at all is checked by the caller.
+async function sendClientDownload(res, clientId, filename) {
+    await ready;
     const db = getDb();
-    const client = getClientById(clientId);
-    const images = getClientImages(clientId);
+    const image = db.prepare('SELECT * FROM client_images WHERE client_id = ? AND filename = ?').get(clientId, filename);
     const clientDir = path.join(CLIENT_UPLOADS_DIR, clientId.toString());
+    if (!image || !fsSync.existsSync(path.join(clientDir, image.filename))) return false;
+    const watermark = await getClientWatermark(clientId);
+    if (getClientDownloadPolicy(getClientById(clientId)) === 'web') {
+        res.type('jpg');
+        res.attachment(path.parse(image.original_filename || image.filename).name + '.jpg');
+        res.send(await renderWebSize(path.join(clientDir, image.filename), watermark));
+        return true;
+    }
+    const source = watermark ? null : await readSourceUpload(clientDir, image, await getMetadataPolicy());
+    if (source) {
+        res.type(path.extname(image.source_filename));
+        res.attachment(image.original_filename || image.source_filename);
+        res.send(source);
+        return true;
+    }
+    await sendClientImageFile(res, clientId, path.join(clientDir, image.filename), image.filename);
+    return true;
+}
 
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    const zipName = `${client.client_name.replace(/[^a-zA-Z0-9]/g, '_')}_${client.shoot_title ? client.shoot_title.replace(/[^a-zA-Z0-9]/g, '_') : 'Photos'}.zip`;
-
-    images.forEach(image => {
-        const filePath = path.join(clientDir, image.filename);
-        if (fs.existsSync(filePath)) {
-            archive.file(filePath, {
-                name: image.original_filename || image.filename
-            });
+// The content of one image in a client ZIP: { name, data } for watermarked, metadata-stripped or web-size
+// copies, { name, filePath, size } when the file goes in as it is, or null when the file is missing
+async function zipEntryFor(clientDir, image, policy, watermark, webSize = false) {
+    const filePath = path.join(clientDir, image.filename);
+    if (!fsSync.existsSync(filePath)) return null;
+    const originalName = image.original_filename || image.filename;
+    if (webSize) return { name: path.parse(originalName).name + '.jpg', data: await renderWebSize(filePath, watermark) };
+    const source = watermark ? null : await readSourceUpload(clientDir, image, policy);
+    if (source) return { name: originalName, data: source };
+    // A converted upload delivered as JPEG is named IMG_0001.jpg rather than IMG_0001.HEIC
+    const name = withExtensionOf(originalName, filePath);
+    if (policy === 'keep' && !watermark) return { name, filePath, size: fsSync.statSync(filePath).size };
+    const data = watermark ? await renderWatermarked(filePath, watermark) : await readStrippedImage(filePath, policy);
+    return { name, data };
+}
+
+// Add an entry from zipEntryFor and wait until the archive has taken it, so only one image is held in memory.
+// A file that vanished since zipEntryFor looked only raises a warning on the archive and is left out.
+function appendZipEntry(archive, entry) {
+    return new Promise((resolve, reject) => {
+        const settle = err => {
+            archive.off('entry', onDone);
+            archive.off('warning', onDone);
+            archive.off('error', settle);
+            if (err) reject(err); else resolve();
+        };
+        const onDone = () => settle();
+        archive.on('entry', onDone);
+        archive.on('warning', onDone);
+        archive.on('error', settle);
+        if (entry.filePath) {
+            archive.file(entry.filePath, { name: entry.name });
+        } else {
+            archive.append(entry.data, { name: entry.name });
         }
     });
+}
+
+// Photos are already compressed, so client ZIPs only store them: no CPU spent, and sizes are predictable
+function createStoreArchive() {
+    return archiver('zip', { store: true });
+}
 
-    archive.finalize();
+// Create a zip archive of all client images, or only those in `section` (a client_sections row).
+// Entries are added one at a time (watermarked while proofing, otherwise with metadata stripped per
+// the privacy policy); pipe the returned archive straight away. Only the images the client's download
+// policy allows are included, as web-size copies under the 'web' policy.
+// Prefer the pre-built archives from utils/clientArchives.js for whole-gallery downloads.
+async function createZipArchive(clientId, section = null) {
+    await ready;
+    const client = getClientById(clientId);
+    const downloadPolicy = getClientDownloadPolicy(client);
+    const images = await getDownloadableImages(clientId,
+        (await getClientImages(clientId)).filter(img => !section || img.section_id === section.id), downloadPolicy);
+    const clientDir = path.join(CLIENT_UPLOADS_DIR, clientId.toString());
+    const policy = await getMetadataPolicy();
+    const watermark = await getClientWatermark(clientId);
+
+    const archive = createStoreArchive();
+    const zipName = zipFileName(client, section ? section.name : '');
+
+    (async () => {
+        for (const image of images) {
+            const entry = await zipEntryFor(clientDir, image, policy, watermark, downloadPolicy === 'web');
+            if (entry) await appendZipEntry(archive, entry);
+        }
+        await archive.finalize();
+    })().catch(err => archive.emit('error', err));
 
     return { archive, zipName };
 }
 
-// Clean up expired clients (run this periodically)
-async function cleanupExpiredClients() {
+// Create a zip archive of generated files ({ name, content }) named after the client, e.g. XMP sidecars.
+// The archive is finalized straight away; pipe it to the response.
+function createSidecarArchive(clientId, files, suffix) {
+    const client = getClientById(clientId);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    files.forEach(file => archive.append(file.content, { name: file.name }));
+    // Failures are also emitted as 'error' on the archive, where the caller handles them
+    archive.finalize().catch(() => { });
+    return { archive, zipName: zipFileName(client, suffix) };
+}
+
+// Delete galleries that have been archived (expired) for at least graceDays; see utils/clientExpiry.js,
+// which archives them and runs this periodically
+async function cleanupExpiredClients(graceDays = 0) {
     await ready;
     const db = getDb();
     const expiredClients = db.prepare(`
-        SELECT id FROM clients 
-        WHERE expires_at < datetime('now')
-    `).all();
+        SELECT id FROM clients
+        WHERE archived_at IS NOT NULL AND archived_at <= datetime('now', ?)
+    `).all(`-${graceDays} days`);
 
     for (const client of expiredClients) {
         await deleteClient(client.id);
@@ -235,9 +401,20 @@ module.exports = {
     getAllClients,
     getClientById,
     deleteClient,
+    setClientEmail,
+    checkClientPassword,
     toggleClientStatus,
+    toggleClientWatermark,
+    toggleClientFinal,
     incrementDownloadCount,
+    sendClientDownload,
     createZipArchive,
+    createSidecarArchive,
     cleanupExpiredClients,
-    CLIENT_UPLOADS_DIR
+    zipFileName,
+    zipEntryFor,
+    appendZipEntry,
+    createStoreArchive,
+    CLIENT_UPLOADS_DIR,
+    CLIENT_ARCHIVES_DIR
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Utility functions for cron expressions.
+// Standard five-field expressions (minute hour day-of-month month day-of-week) in server local time, with
+// *, lists, ranges, steps and three-letter month and day names. As in cron, when both day fields are
+// restricted a day matching either one matches.
+//
+// Exports:
+//   - parseCron: Parses an expression, throwing an Error with a readable message if it is invalid.
+//   - nextCronRun: Returns the next matching time after a given date.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Looking further ahead than this means the expression can never match (e.g. 30 February)
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseValue(text, field) {
+    const lower = text.toLowerCase();
+    if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+    if (!/^\d+$/.test(text)) throw new Error(`Invalid ${field.name} "${text}"`);
+    const n = parseInt(text, 10);
+    if (n < field.min || n > field.max) throw new Error(`The ${field.name} must be between ${field.min} and ${field.max}`);
+    return n;
+}
+
+// Set of the values one field matches
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) throw new Error(`Invalid step in "${part}"`);
+        let from, to;
+        if (range === '*') {
+            [from, to] = [field.min, field.max];
+        } else if (range.includes('-')) {
+            [from, to] = range.split('-').map(v => parseValue(v, field));
+            if (from > to) throw new Error(`Invalid ${field.name} range "${range}"`);
+        } else {
+            from = parseValue(range, field);
+            to = stepText === undefined ? from : field.max;
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+// Returns { minutes, hours, days, months, weekdays, anyDay, anyWeekday } for nextCronRun
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) throw new Error('A schedule needs five fields: minute hour day month weekday');
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0); // 7 is Sunday too
+    return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+function dayMatches(cron, date) {
+    const dom = cron.days.has(date.getDate());
+    const dow = cron.weekdays.has(date.getDay());
+    if (cron.anyDay) return dow;
+    if (cron.anyWeekday) return dom;
+    return dom || dow;
+}
+
+// The first time strictly after `after` (a Date) matching the expression, or null if there is none
+function nextCronRun(expression, after = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = after.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!cron.months.has(date.getMonth() + 1) || !dayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    nextCronRun
+};
@@ -0,0 +1,101 @@
+// Utility functions for the per-client download policy.
+// Each client gallery allows full-resolution downloads, web-size copies only, downloads of the selected
+// favourites only, or no downloads at all, so prints and high-resolution packages can be sold separately.
+// Viewing the gallery is never affected; only /client/download, /client/images and the ZIP downloads are.
+//
+// Exports:
+//   - DOWNLOAD_POLICIES: Map of policy key to description.
+//   - DEFAULT_DOWNLOAD_POLICY: Policy of clients that have none set.
+//   - WEB_SIZE_MAX_EDGE: Longest edge in pixels of web-size downloads.
+//   - WEB_SIZE_PRESET: Resize preset (utils/imageDelivery.js) of the web size.
+//   - isWebSizePreset: Whether a resize preset is no larger than the web size.
+//   - getClientDownloadPolicy: Returns the policy of a client row.
+//   - setClientDownloadPolicy: Sets the policy of a client.
+//   - getDownloadableImages: Filters client images down to those the policy lets the client download.
+//   - isImageDownloadable: Whether one image (by stored filename) may be downloaded.
+//   - isFullSizeDownloadable: Whether one image may be downloaded larger than the web size.
+//   - renderWebSize: Renders the web-size JPEG copy of an image.
+
+const sharp = require('sharp');
+const { getDb, ready } = require('../db');
+const { getSelectedImages } = require('./proofing');
+const { applyWatermark } = require('./watermark');
+
+const DOWNLOAD_POLICIES = {
+    full: 'Full resolution',
+    web: 'Web size only',
+    favourites: 'Selected favourites only (full resolution)',
+    disabled: 'No downloads'
+};
+
+const DEFAULT_DOWNLOAD_POLICY = 'full';
+
+const WEB_SIZE_MAX_EDGE = 2048;
+
+const WEB_SIZE_PRESET = { width: WEB_SIZE_MAX_EDGE, height: WEB_SIZE_MAX_EDGE };
+
+// Presets up to the web size are for viewing the gallery; larger ones count as downloads
+function isWebSizePreset(preset) {
+    return Math.max(preset.width, preset.height) <= WEB_SIZE_MAX_EDGE;
+}
+
+function getClientDownloadPolicy(client) {
+    const policy = client && client.download_policy;
+    return Object.prototype.hasOwnProperty.call(DOWNLOAD_POLICIES, policy) ? policy : DEFAULT_DOWNLOAD_POLICY;
+}
+
+// Throws on an unknown policy
+function setClientDownloadPolicy(clientId, policy) {
+    if (!Object.prototype.hasOwnProperty.call(DOWNLOAD_POLICIES, policy)) throw new Error('Unknown download policy');
+    const db = getDb();
+    db.prepare('UPDATE clients SET download_policy = ? WHERE id = ?').run(policy, clientId);
+}
+
+// The images (client_images rows) the client may download under `policy`; 'favourites' keeps the
+// submitted selection, or the hearted images while nothing is submitted
+async function getDownloadableImages(clientId, images, policy) {
+    if (policy === 'disabled') return [];
+    if (policy !== 'favourites') return images;
+    const selected = new Set((await getSelectedImages(clientId)).map(img => img.id));
+    return images.filter(img => selected.has(img.id));
+}
+
+async function isImageDownloadable(client, filename) {
+    await ready;
+    const db = getDb();
+    const image = db.prepare('SELECT * FROM client_images WHERE client_id = ? AND filename = ?').get(client.id, filename);
+    if (!image) return false;
+    const allowed = await getDownloadableImages(client.id, [image], getClientDownloadPolicy(client));
+    return allowed.length > 0;
+}
+
+// Never under the 'web' policy, which only allows web-size copies
+async function isFullSizeDownloadable(client, filename) {
+    if (getClientDownloadPolicy(client) === 'web') return false;
+    return isImageDownloadable(client, filename);
+}
+
+// JPEG no larger than WEB_SIZE_MAX_EDGE on its longest edge, watermarked when `wm` is set.
+// The re-encode drops all metadata, whatever the metadata policy.
+async function renderWebSize(filePath, wm = null) {
+    let pipeline = sharp(filePath).rotate().resize(WEB_SIZE_MAX_EDGE, WEB_SIZE_MAX_EDGE, {
+        fit: 'inside',
+        withoutEnlargement: true
+    });
+    if (wm) pipeline = await applyWatermark(pipeline, wm);
+    return pipeline.jpeg({ quality: 85 }).toBuffer();
+}
+
+module.exports = {
+    DOWNLOAD_POLICIES,
+    DEFAULT_DOWNLOAD_POLICY,
+    WEB_SIZE_MAX_EDGE,
+    WEB_SIZE_PRESET,
+    isWebSizePreset,
+    getClientDownloadPolicy,
+    setClientDownloadPolicy,
+    getDownloadableImages,
+    isImageDownloadable,
+    isFullSizeDownloadable,
+    renderWebSize
+};
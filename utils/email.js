@@ -0,0 +1,219 @@
+// Utility functions for outbound email.
+// Messages are rendered from utils/emailTemplates.js and sent with nodemailer over the SMTP server set
+// under Settings → Email (a local sink such as MailHog or smtp4dev works with security "none").
+// Another nodemailer transport can be plugged in with setMailTransport. Every attempt, sent or failed,
+// is recorded in email_log. The SMTP password is stored encrypted (see utils/secrets.js).
+//
+// Exports:
+//   - SMTP_SECURITY_MODES: Map of SMTP security mode to its label.
+//   - getEmailSettings: Returns the email settings with defaults (the SMTP password is not included).
+//   - saveEmailSettings: Validates and saves email settings from the admin form.
+//   - isEmailConfigured: Whether messages can be sent.
+//   - setMailTransport: Replaces the SMTP transport with another nodemailer transport (null restores SMTP).
+//   - getSiteUrl: Public address of the site used in links, from settings or the current request.
+//   - sendEmail: Renders a template and sends it, throwing when sending fails.
+//   - sendClientEmail: Sends a client template (gallery ready, expiry reminder) to a client.
+//   - notifyAdmin: Sends an admin notification in the background if it is enabled.
+//   - getEmailLog: Lists recent log entries.
+
+const nodemailer = require('nodemailer');
+const validator = require('validator');
+const { getDb, ready } = require('../db');
+const { getAllSettings, setSetting } = require('./settings');
+const { renderEmail } = require('./emailTemplates');
+const { encryptSecret, decryptSecret } = require('./secrets');
+
+const SMTP_SECURITY_MODES = {
+    starttls: 'STARTTLS (port 587)',
+    tls: 'TLS (port 465)',
+    none: 'None (local mail sink or relay)'
+};
+
+// Admin notifications that can be switched off, by template
+const NOTIFICATION_SETTINGS = {
+    selectionSubmitted: 'notifyOnSelection',
+    downloadHappened: 'notifyOnDownload',
+    expiryNotice: 'notifyOnExpiry'
+};
+
+let customTransport = null;
+
+async function getEmailSettings() {
+    const settings = await getAllSettings();
+    const port = parseInt(settings.smtpPort, 10);
+    return {
+        smtpHost: settings.smtpHost || '',
+        smtpPort: Number.isInteger(port) ? port : 587,
+        smtpSecurity: SMTP_SECURITY_MODES[settings.smtpSecurity] ? settings.smtpSecurity : 'starttls',
+        smtpUser: settings.smtpUser || '',
+        hasSmtpPass: !!settings.smtpPass,
+        emailFrom: settings.emailFrom || '',
+        notifyEmail: settings.notifyEmail || '',
+        siteUrl: settings.siteUrl || '',
+        notifyOnSelection: settings.notifyOnSelection !== '0',
+        notifyOnDownload: settings.notifyOnDownload === '1',
+        notifyOnExpiry: settings.notifyOnExpiry !== '0'
+    };
+}
+
+// body is the Settings → Email form; a blank password keeps the saved one. Throws on invalid input.
+async function saveEmailSettings(body) {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const host = text(body.smtpHost);
+    const port = parseInt(body.smtpPort, 10);
+    const from = text(body.emailFrom);
+    const notifyEmail = text(body.notifyEmail);
+    const siteUrl = text(body.siteUrl).replace(/\/+$/, '');
+    if (host && !validator.isFQDN(host, { require_tld: false }) && !validator.isIP(host)) {
+        throw new Error('SMTP host must be a host name or IP address');
+    }
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('SMTP port must be between 1 and 65535');
+    // Accepts "Studio Name <hello@example.com>" as well as a bare address
+    const fromAddress = (/<([^>]+)>\s*$/.exec(from) || [null, from])[1];
+    if (from && !validator.isEmail(fromAddress)) throw new Error('Sender must be an email address');
+    if (notifyEmail && !validator.isEmail(notifyEmail)) throw new Error('Notification address must be an email address');
+    if (siteUrl && !validator.isURL(siteUrl, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+        throw new Error('Site address must start with http:// or https://');
+    }
+
+    await setSetting('smtpHost', host);
+    await setSetting('smtpPort', String(port));
+    await setSetting('smtpSecurity', SMTP_SECURITY_MODES[body.smtpSecurity] ? body.smtpSecurity : 'starttls');
+    await setSetting('smtpUser', text(body.smtpUser));
+    if (body.clearSmtpPass === '1') {
+        await setSetting('smtpPass', '');
+    } else if (typeof body.smtpPass === 'string' && body.smtpPass) {
+        await setSetting('smtpPass', encryptSecret(body.smtpPass));
+    }
+    await setSetting('emailFrom', from);
+    await setSetting('notifyEmail', notifyEmail);
+    await setSetting('siteUrl', siteUrl);
+    await setSetting('notifyOnSelection', body.notifyOnSelection === '1' ? '1' : '0');
+    await setSetting('notifyOnDownload', body.notifyOnDownload === '1' ? '1' : '0');
+    await setSetting('notifyOnExpiry', body.notifyOnExpiry === '1' ? '1' : '0');
+}
+
+async function isEmailConfigured() {
+    const settings = await getEmailSettings();
+    return !!settings.emailFrom && (!!customTransport || !!settings.smtpHost);
+}
+
+function setMailTransport(transport) {
+    customTransport = transport;
+}
+
+async function createTransport() {
+    if (customTransport) return customTransport;
+    const settings = await getAllSettings();
+    const security = SMTP_SECURITY_MODES[settings.smtpSecurity] ? settings.smtpSecurity : 'starttls';
+    return nodemailer.createTransport({
+        host: settings.smtpHost,
+        port: parseInt(settings.smtpPort, 10) || 587,
+        secure: security === 'tls',
+        requireTLS: security === 'starttls',
+        ignoreTLS: security === 'none',
+        auth: settings.smtpUser ? { user: settings.smtpUser, pass: decryptSecret(settings.smtpPass) } : undefined,
+        // Sends happen while a request waits, so an unreachable server must fail quickly
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 20000
+    });
+}
+
+// req is optional; without a saved site address, links use the host the request came in on
+async function getSiteUrl(req = null) {
+    const settings = await getAllSettings();
+    if (settings.siteUrl) return settings.siteUrl;
+    return req ? `${req.protocol}://${req.get('host')}` : null;
+}
+
+function logEmail(db, template, to, subject, clientId, error, messageId = null) {
+    db.prepare(`
+        INSERT INTO email_log (template, recipient, subject, client_id, status, error, message_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(template, to, subject, clientId, error ? 'failed' : 'sent', error, messageId);
+}
+
+// Render `template` with `data` (siteTitle is filled in) and send it to `to`.
+// Resolves with the nodemailer result; throws with a readable message when not configured or sending fails.
+async function sendEmail(template, to, data, { clientId = null } = {}) {
+    await ready;
+    const db = getDb();
+    const settings = await getAllSettings();
+    const message = renderEmail(template, { siteTitle: settings.siteTitle || 'Focal Point', ...data });
+    if (!(await isEmailConfigured())) {
+        logEmail(db, template, to, message.subject, clientId, 'Email is not configured');
+        throw new Error('Email is not configured: set the SMTP server and sender under Settings');
+    }
+    try {
+        const transport = await createTransport();
+        const info = await transport.sendMail({ from: settings.emailFrom, to, ...message });
+        logEmail(db, template, to, message.subject, clientId, null, info.messageId || null);
+        return info;
+    } catch (err) {
+        logEmail(db, template, to, message.subject, clientId, err.message);
+        throw new Error(`Email to ${to} could not be sent: ${err.message}`);
+    }
+}
+
+// Template data shared by every message about a client (names are stored HTML-escaped)
+function clientData(client) {
+    return {
+        clientName: validator.unescape(client.client_name),
+        shootTitle: client.shoot_title ? validator.unescape(client.shoot_title) : '',
+        accessCode: client.access_code,
+        expiresAt: client.expires_at ? new Date(client.expires_at) : null
+    };
+}
+
+// Send a client-facing template to the client's own address. `extra` adds template data such as the
+// password (only known right after the client is created). Throws when the client has no address.
+async function sendClientEmail(template, client, extra = {}, req = null) {
+    if (!client.email) throw new Error('This client has no email address');
+    const siteUrl = await getSiteUrl(req);
+    return sendEmail(template, client.email, {
+        ...clientData(client),
+        loginUrl: siteUrl ? `${siteUrl}/client/login` : null,
+        ...extra
+    }, { clientId: client.id });
+}
+
+// Notify the admin address about a client event. Runs in the background and never throws: the
+// client's request must not wait for or fail because of mail. Failures are in the email log.
+function notifyAdmin(template, client, extra = {}, req = null) {
+    (async () => {
+        const settings = await getEmailSettings();
+        const setting = NOTIFICATION_SETTINGS[template];
+        if (!settings.notifyEmail || (setting && !settings[setting]) || !(await isEmailConfigured())) return;
+        const siteUrl = await getSiteUrl(req);
+        const adminPath = template === 'selectionSubmitted' ? `/admin/clients/${client.id}/selection` : '/admin/clients';
+        await sendEmail(template, settings.notifyEmail, {
+            ...clientData(client),
+            adminUrl: siteUrl ? siteUrl + adminPath : null,
+            ...extra
+        }, { clientId: client.id });
+    })().catch(err => console.error('Error sending notification:', err.message));
+}
+
+async function getEmailLog(limit = 100) {
+    await ready;
+    const db = getDb();
+    return db.prepare(`
+        SELECT email_log.*, clients.client_name
+        FROM email_log LEFT JOIN clients ON email_log.client_id = clients.id
+        ORDER BY email_log.id DESC LIMIT ?
+    `).all(limit);
+}
+
+module.exports = {
+    SMTP_SECURITY_MODES,
+    getEmailSettings,
+    saveEmailSettings,
+    isEmailConfigured,
+    setMailTransport,
+    getSiteUrl,
+    sendEmail,
+    sendClientEmail,
+    notifyAdmin,
+    getEmailLog
+};
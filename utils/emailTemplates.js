@@ -0,0 +1,137 @@
+// Templates for outbound email.
+// Each template turns the data of one event into a subject and a plain-text body; the HTML version is
+// generated from the text, so the two never drift apart. Missing optional fields are left out.
+//
+// Template data (all optional unless noted):
+//   siteTitle (required), clientName, shootTitle, accessCode, password, loginUrl, adminUrl,
+//   expiresAt (Date), imageCount, note, downloadName, clientReminded
+//
+// Exports:
+//   - EMAIL_TEMPLATES: Map of template name to { label, recipient, render }.
+//   - renderEmail: Renders a template to { subject, text, html }.
+
+const escapeHtml = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatDate = date => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const shootName = data => data.shootTitle || 'your photos';
+
+// Lines that are null are skipped; '' keeps a blank line
+const lines = (...items) => items.filter(item => item !== null).join('\n');
+const when = (condition, line) => (condition ? line : null);
+
+// recipient: 'client' (the client's own address) or 'admin' (the notification address in settings)
+const EMAIL_TEMPLATES = {
+    galleryReady: {
+        label: 'Gallery ready',
+        recipient: 'client',
+        render: data => ({
+            subject: `Your gallery is ready: ${shootName(data)}`,
+            text: lines(
+                `Hi ${data.clientName},`,
+                '',
+                `Your gallery "${shootName(data)}" is ready to view and download.`,
+                '',
+                when(data.loginUrl, `Gallery: ${data.loginUrl}`),
+                `Access code: ${data.accessCode}`,
+                data.password ? `Password: ${data.password}` : 'Password: the one you were given with your booking',
+                when(data.expiresAt, ''),
+                data.expiresAt ? `The gallery is available until ${formatDate(data.expiresAt)}.` : null,
+                '',
+                data.siteTitle
+            )
+        })
+    },
+    expiryReminder: {
+        label: 'Expiry reminder',
+        recipient: 'client',
+        render: data => ({
+            subject: `Your gallery closes on ${formatDate(data.expiresAt)}`,
+            text: lines(
+                `Hi ${data.clientName},`,
+                '',
+                `A reminder that your gallery "${shootName(data)}" will no longer be available after ${formatDate(data.expiresAt)}.`,
+                'Please download any photos you want to keep before then.',
+                '',
+                when(data.loginUrl, `Gallery: ${data.loginUrl}`),
+                `Access code: ${data.accessCode}`,
+                '',
+                data.siteTitle
+            )
+        })
+    },
+    selectionSubmitted: {
+        label: 'Selection submitted',
+        recipient: 'admin',
+        render: data => ({
+            subject: `${data.clientName} submitted a selection of ${data.imageCount} photo${data.imageCount !== 1 ? 's' : ''}`,
+            text: lines(
+                `${data.clientName} submitted their selection for "${shootName(data)}": ${data.imageCount} photo${data.imageCount !== 1 ? 's' : ''}.`,
+                when(data.note, ''),
+                when(data.note, `Note from the client:\n${data.note}`),
+                '',
+                when(data.adminUrl, `Review it: ${data.adminUrl}`)
+            )
+        })
+    },
+    downloadHappened: {
+        label: 'Download',
+        recipient: 'admin',
+        render: data => ({
+            subject: `${data.clientName} downloaded ${data.downloadName}`,
+            text: lines(
+                `${data.clientName} started downloading ${data.downloadName} from "${shootName(data)}".`,
+                '',
+                when(data.adminUrl, `Client galleries: ${data.adminUrl}`)
+            )
+        })
+    },
+    expiryNotice: {
+        label: 'Expiry notice',
+        recipient: 'admin',
+        render: data => ({
+            subject: `${data.clientName}'s gallery expires on ${formatDate(data.expiresAt)}`,
+            text: lines(
+                `The gallery "${shootName(data)}" of ${data.clientName} expires on ${formatDate(data.expiresAt)}.`,
+                data.clientReminded
+                    ? 'The client has been sent a reminder.'
+                    : 'No reminder could be sent to the client, as they have no email address.',
+                'After it expires the gallery is archived, then deleted once the grace period is over.',
+                '',
+                when(data.adminUrl, `Extend it: ${data.adminUrl}`)
+            )
+        })
+    },
+    test: {
+        label: 'Test message',
+        recipient: 'admin',
+        render: data => ({
+            subject: `Test email from ${data.siteTitle}`,
+            text: lines(
+                `This is a test message from ${data.siteTitle}.`,
+                'If you can read it, outgoing email is set up correctly.'
+            )
+        })
+    }
+};
+
+// Throws when the template does not exist
+function renderEmail(name, data) {
+    const template = EMAIL_TEMPLATES[name];
+    if (!template) throw new Error(`Unknown email template: ${name}`);
+    const { subject, text } = template.render(data);
+    const paragraphs = text.split(/\n{2,}/)
+        .map(block => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`)
+        .join('\n');
+    const html = `<!DOCTYPE html>\n<html><body style="font-family: sans-serif; line-height: 1.5;">\n${paragraphs}\n</body></html>`;
+    return { subject, text, html };
+}
+
+module.exports = {
+    EMAIL_TEMPLATES,
+    renderEmail
+};
@@ -0,0 +1,149 @@
+// Utility functions for the size-capped LRU disk cache used by on-the-fly image processing.
+// Entries live under data/cache/images; an in-memory index keeps them in least-recently-used order
+// and the oldest entries are evicted whenever the total size exceeds the configured limit.
+//
+// Exports:
+//   - IMAGE_CACHE_DIR: Directory path for cached processed images.
+//   - DEFAULT_CACHE_MAX_MB: Cache size limit used when the imageCacheMaxMb setting is unset.
+//   - getCacheMaxBytes: Returns the configured cache size limit in bytes.
+//   - getCachedImage: Looks up a cache entry and marks it as recently used.
+//   - storeCachedImage: Writes a new cache entry and evicts old ones to stay under the limit.
+//   - clearImageCache: Deletes every cache entry.
+//   - getImageCacheStats: Returns size, entry count, hit/miss and eviction statistics.
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getSetting } = require('./settings');
+
+const IMAGE_CACHE_DIR = path.join(__dirname, '..', 'data', 'cache', 'images');
+const DEFAULT_CACHE_MAX_MB = 512;
+
+// Map of relative path -> size in bytes; insertion order is least- to most-recently used
+let index = null;
+let totalBytes = 0;
+const stats = { hits: 0, misses: 0, evictions: 0, evictedBytes: 0, since: new Date() };
+
+// Build the index from disk on first use, least recently used first (hits bump the mtime)
+function loadIndex() {
+    if (index) return index;
+    index = new Map();
+    totalBytes = 0;
+    const entries = [];
+    const walk = (dir) => {
+        let names;
+        try {
+            names = fs.readdirSync(dir, { withFileTypes: true });
+        } catch {
+            return;
+        }
+        names.forEach(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) return walk(fullPath);
+            // Leftover temp files from an interrupted write
+            if (entry.name.startsWith('.')) return fs.rmSync(fullPath, { force: true });
+            const stat = fs.statSync(fullPath);
+            entries.push({ rel: path.relative(IMAGE_CACHE_DIR, fullPath), size: stat.size, used: stat.mtimeMs });
+        });
+    };
+    walk(IMAGE_CACHE_DIR);
+    entries.sort((a, b) => a.used - b.used).forEach(e => {
+        index.set(e.rel, e.size);
+        totalBytes += e.size;
+    });
+    return index;
+}
+
+async function getCacheMaxBytes() {
+    const mb = parseInt(await getSetting('imageCacheMaxMb'), 10);
+    return (Number.isInteger(mb) && mb > 0 ? mb : DEFAULT_CACHE_MAX_MB) * 1024 * 1024;
+}
+
+// Return the absolute path of a cached entry, or null on a miss
+function getCachedImage(relPath) {
+    const idx = loadIndex();
+    if (!idx.has(relPath)) {
+        stats.misses++;
+        return null;
+    }
+    const fullPath = path.join(IMAGE_CACHE_DIR, relPath);
+    if (!fs.existsSync(fullPath)) {
+        totalBytes -= idx.get(relPath);
+        idx.delete(relPath);
+        stats.misses++;
+        return null;
+    }
+    // Move to the most-recently-used end
+    const size = idx.get(relPath);
+    idx.delete(relPath);
+    idx.set(relPath, size);
+    const now = new Date();
+    fs.utimes(fullPath, now, now, () => { });
+    stats.hits++;
+    return fullPath;
+}
+
+// Remove least-recently-used entries until the cache fits, never evicting keepRel
+function evict(maxBytes, keepRel) {
+    const idx = loadIndex();
+    for (const [rel, size] of idx) {
+        if (totalBytes <= maxBytes) break;
+        if (rel === keepRel) continue;
+        fs.rmSync(path.join(IMAGE_CACHE_DIR, rel), { force: true });
+        idx.delete(rel);
+        totalBytes -= size;
+        stats.evictions++;
+        stats.evictedBytes += size;
+    }
+}
+
+// Create a cache entry: write(tmpPath) must produce the file. Returns the absolute path.
+// The temporary name keeps the extension so sharp can infer the output format from it.
+async function storeCachedImage(relPath, write) {
+    const idx = loadIndex();
+    const fullPath = path.join(IMAGE_CACHE_DIR, relPath);
+    const dir = path.dirname(fullPath);
+    fs.mkdirSync(dir, { recursive: true });
+    // Write to a temporary name first so concurrent requests never see a half-written file
+    const tmpPath = path.join(dir, `.${uuidv4()}${path.extname(relPath)}`);
+    try {
+        await write(tmpPath);
+        fs.renameSync(tmpPath, fullPath);
+    } catch (err) {
+        fs.rmSync(tmpPath, { force: true });
+        throw err;
+    }
+    const size = fs.statSync(fullPath).size;
+    if (idx.has(relPath)) totalBytes -= idx.get(relPath);
+    idx.delete(relPath);
+    idx.set(relPath, size);
+    totalBytes += size;
+    evict(await getCacheMaxBytes(), relPath);
+    return fullPath;
+}
+
+function clearImageCache() {
+    fs.rmSync(IMAGE_CACHE_DIR, { recursive: true, force: true });
+    index = new Map();
+    totalBytes = 0;
+}
+
+async function getImageCacheStats() {
+    loadIndex();
+    return {
+        entries: index.size,
+        totalBytes,
+        maxBytes: await getCacheMaxBytes(),
+        ...stats
+    };
+}
+
+module.exports = {
+    IMAGE_CACHE_DIR,
+    DEFAULT_CACHE_MAX_MB,
+    getCacheMaxBytes,
+    getCachedImage,
+    storeCachedImage,
+    clearImageCache,
+    getImageCacheStats
+};
@@ -0,0 +1,182 @@
+// Utility functions for serving gallery images with sharp.
+// Handles resizing to named presets (configured in site settings) and picks AVIF or WebP when the
+// browser's Accept header allows it. Processed variants are kept in the LRU disk cache (utils/imageCache.js).
+// Re-encoded images never carry metadata; full-size originals follow the metadata privacy policy.
+// Watermarks (utils/watermark.js) are composited onto every size, including the full-size image.
+//
+// Exports:
+//   - DEFAULT_RESIZE_PRESETS: Built-in presets, always available unless overridden.
+//   - MAX_RESIZE_PRESETS: Maximum number of presets that can be configured.
+//   - parseResizePresets: Parses "name=WxH" preset text into a preset map.
+//   - formatResizePresets: Formats a preset map back into editable text.
+//   - getResizePresets: Returns the configured presets merged with the defaults.
+//   - resolvePreset: Maps ?preset= or ?w= / ?h= query parameters to a configured preset.
+//   - negotiateFormat: Picks the best output format for a request and source file.
+//   - sendImage: Sends an original image, resized and/or converted as requested.
+
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const { getSetting } = require('./settings');
+const { getCachedImage, storeCachedImage } = require('./imageCache');
+const { getMetadataPolicy, readStrippedImage } = require('./metadataPolicy');
+const { applyWatermark } = require('./watermark');
+
+// Width/height of 0 means "unconstrained"; images always fit inside the box and are never enlarged
+const DEFAULT_RESIZE_PRESETS = {
+    thumb: { width: 150, height: 0 },
+    small: { width: 300, height: 0 },
+    medium: { width: 900, height: 0 },
+    large: { width: 1800, height: 0 }
+};
+
+const MAX_RESIZE_PRESETS = 20;
+const MAX_PRESET_DIMENSION = 4000;
+
+// Only lossy-friendly still formats are converted; GIFs keep their animation
+const CONVERTIBLE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+// Preferred first: AVIF is the smallest, WebP is the most widely supported fallback
+const NEGOTIATED_FORMATS = [
+    { format: 'avif', mime: 'image/avif', ext: '.avif', options: { quality: 55 } },
+    { format: 'webp', mime: 'image/webp', ext: '.webp', options: { quality: 80 } }
+];
+
+const CACHE_CONTROL = 'public, max-age=2592000, immutable';
+const WATERMARKED_CACHE_CONTROL = 'public, max-age=3600';
+
+// Parse preset text such as "thumb=150, square=600x600, tall=x1200".
+// Throws with a user-facing message when an entry is malformed.
+function parseResizePresets(text) {
+    const presets = {};
+    const entries = String(text || '').split(/[,\n]/).map(e => e.trim()).filter(Boolean);
+    if (entries.length > MAX_RESIZE_PRESETS) {
+        throw new Error(`At most ${MAX_RESIZE_PRESETS} presets are allowed`);
+    }
+    entries.forEach(entry => {
+        const match = /^([a-z0-9-]{1,20})\s*=\s*(\d*)\s*(?:x\s*(\d*))?$/i.exec(entry);
+        if (!match) throw new Error(`Invalid preset "${entry}" (expected name=WIDTH or name=WIDTHxHEIGHT)`);
+        const width = parseInt(match[2], 10) || 0;
+        const height = parseInt(match[3], 10) || 0;
+        if ((!width && !height) || width > MAX_PRESET_DIMENSION || height > MAX_PRESET_DIMENSION) {
+            throw new Error(`Preset "${match[1]}" must be between 1 and ${MAX_PRESET_DIMENSION} pixels`);
+        }
+        presets[match[1].toLowerCase()] = { width, height };
+    });
+    return presets;
+}
+
+function formatResizePresets(presets) {
+    return Object.entries(presets)
+        .map(([name, p]) => `${name}=${p.width || ''}${p.height ? 'x' + p.height : ''}`)
+        .join(', ');
+}
+
+// Defaults first so the gallery templates can always rely on thumb/small/medium/large
+async function getResizePresets() {
+    let configured = {};
+    try {
+        configured = parseResizePresets(await getSetting('imageResizePresets'));
+    } catch {
+        // Saved settings are validated, so this only happens if the database was edited by hand
+    }
+    return { ...DEFAULT_RESIZE_PRESETS, ...configured };
+}
+
+// Returns { preset } for a valid request (preset is null when no resize was asked for)
+// or { error } when the size is not whitelisted.
+function resolvePreset(query, presets) {
+    if (query.preset !== undefined) {
+        const preset = presets[String(query.preset).toLowerCase()];
+        return preset ? { preset } : { error: 'Unknown image preset' };
+    }
+    if (query.w === undefined && query.h === undefined) return { preset: null };
+    const width = query.w === undefined ? 0 : Number(query.w);
+    const height = query.h === undefined ? 0 : Number(query.h);
+    const preset = Object.values(presets).find(p => p.width === width && p.height === height);
+    return preset ? { preset } : { error: 'Unsupported image size' };
+}
+
+// Mime types explicitly listed in the Accept header with a non-zero q value.
+// Wildcards are ignored: browsers that can decode AVIF/WebP list them by name.
+function acceptedTypes(req) {
+    const header = req.get('Accept') || '';
+    const accepted = new Set();
+    header.split(',').forEach(part => {
+        const [type, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+        if (q && !(parseFloat(q.slice(2)) > 0)) return;
+        if (type) accepted.add(type.trim());
+    });
+    return accepted;
+}
+
+// Returns the negotiated format entry, or null to keep the source format
+function negotiateFormat(req, filename) {
+    if (!CONVERTIBLE_EXTENSIONS.includes(path.extname(filename).toLowerCase())) return null;
+    const accepted = acceptedTypes(req);
+    return NEGOTIATED_FORMATS.find(f => accepted.has(f.mime)) || null;
+}
+
+// Send origPath, resized to the requested preset and converted to AVIF/WebP when negotiated.
+// cacheSubdir namespaces the cache (e.g. portfolio/<category> or client/<clientId>).
+// Options:
+//   - stripMetadata: false sends unmodified originals (admin views).
+//   - watermark: settings from utils/watermark.js to composite onto every size, or null.
+//   - cacheControl: overrides the Cache-Control header.
+//   - defaultPreset: size sent when the request asks for none, instead of the full-size image.
+async function sendImage(req, res, origPath, cacheSubdir, { stripMetadata = true, watermark = null, cacheControl = null, defaultPreset = null } = {}) {
+    const resolved = resolvePreset(req.query, await getResizePresets());
+    if (resolved.error) return res.status(400).send(resolved.error);
+    const preset = resolved.preset || defaultPreset;
+    const filename = path.basename(origPath);
+    const negotiated = negotiateFormat(req, filename);
+
+    // The response body depends on Accept for convertible files, so caches must key on it
+    if (CONVERTIBLE_EXTENSIONS.includes(path.extname(filename).toLowerCase())) {
+        res.setHeader('Vary', 'Accept');
+    }
+    // Watermarked images can change when the watermark or gallery state changes, so they are not immutable
+    res.setHeader('Cache-Control', cacheControl || (watermark ? WATERMARKED_CACHE_CONTROL : CACHE_CONTROL));
+
+    if (!preset && !negotiated && !watermark) {
+        const policy = stripMetadata ? await getMetadataPolicy() : 'keep';
+        if (policy === 'keep') return res.sendFile(origPath);
+        // Stripped originals are cached per policy, so changing the setting takes effect immediately
+        const strippedRel = path.join(cacheSubdir, `${path.parse(filename).name}_${policy}${path.extname(filename)}`);
+        const stripped = getCachedImage(strippedRel) || await storeCachedImage(strippedRel,
+            async tmpPath => fs.writeFile(tmpPath, await readStrippedImage(origPath, policy)));
+        return res.sendFile(stripped);
+    }
+
+    const ext = negotiated ? negotiated.ext : path.extname(filename);
+    const size = preset ? `${preset.width || ''}x${preset.height || ''}` : 'full';
+    const wmTag = watermark ? `_wm${watermark.version}` : '';
+    const cacheRel = path.join(cacheSubdir, `${path.parse(filename).name}_${size}${wmTag}${ext}`);
+    const cached = getCachedImage(cacheRel);
+    if (cached) {
+        return res.sendFile(cached);
+    }
+
+    const fullPath = await storeCachedImage(cacheRel, async tmpPath => {
+        let transformer = sharp(origPath).rotate();
+        if (preset) {
+            transformer = transformer.resize(preset.width || null, preset.height || null, { fit: 'inside', withoutEnlargement: true });
+        }
+        if (watermark) transformer = await applyWatermark(transformer, watermark);
+        if (negotiated) transformer = transformer.toFormat(negotiated.format, negotiated.options);
+        return transformer.toFile(tmpPath);
+    });
+    return res.sendFile(fullPath);
+}
+
+module.exports = {
+    DEFAULT_RESIZE_PRESETS,
+    MAX_RESIZE_PRESETS,
+    parseResizePresets,
+    formatResizePresets,
+    getResizePresets,
+    resolvePreset,
+    negotiateFormat,
+    sendImage
+};
@@ -0,0 +1,114 @@
+// Utility functions for the image formats accepted on upload.
+// JPEG, PNG and GIF are stored and served as they are. HEIC/HEIF, TIFF and WebP uploads are converted
+// to a JPEG delivery file with sharp; the untouched original is kept alongside for client downloads.
+// The prebuilt sharp binaries cannot decode HEVC, which is what iPhones write, so HEIC/HEIF falls back to
+// heic-decode (libheif compiled to WebAssembly) when sharp cannot read the file.
+// Camera RAW files are not supported and are rejected like any other non-image.
+//
+// Exports:
+//   - WEB_SAFE_TYPES: Map of MIME type to extension for formats served without conversion.
+//   - CONVERTIBLE_TYPES: Map of MIME type to extension for formats converted to JPEG.
+//   - UPLOAD_ACCEPT: Value for the `accept` attribute of upload inputs.
+//   - hasUploadExtension: Checks a filename against the accepted upload extensions.
+//   - isAcceptedUploadFile: multer-style check on a file's reported MIME type or extension.
+//   - detectFileType: Reads a file's real type from its contents.
+//   - prepareUploadedImage: Validates an uploaded file and converts it to JPEG when needed.
+//   - withExtensionOf: Swaps a download name's extension for the one of the file actually sent.
+
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const heicDecode = require('heic-decode');
+
+const WEB_SAFE_TYPES = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif'
+};
+
+const CONVERTIBLE_TYPES = {
+    'image/heic': '.heic',
+    'image/heif': '.heif',
+    'image/tiff': '.tif',
+    'image/webp': '.webp'
+};
+
+const UPLOAD_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.heic', '.heif', '.tif', '.tiff', '.webp'];
+
+const UPLOAD_ACCEPT = 'image/jpeg,image/png,image/gif,image/heic,image/heif,image/tiff,image/webp,' +
+    UPLOAD_EXTENSIONS.join(',');
+
+function hasUploadExtension(filename) {
+    return UPLOAD_EXTENSIONS.includes(path.extname(String(filename)).toLowerCase());
+}
+
+// Browsers often report HEIC files with an empty or generic MIME type, so the extension counts too
+function isAcceptedUploadFile(file) {
+    return file.mimetype.startsWith('image/') || hasUploadExtension(file.originalname);
+}
+
+// file-type is ESM-only, so it is imported when first needed
+async function detectFileType(filePath) {
+    const { fileTypeFromFile } = await import('file-type');
+    return fileTypeFromFile(filePath);
+}
+
+// Check the real type of an uploaded file and make it web-safe.
+// Returns null when the file is not a supported image, else { path, ext, sourcePath } where `path` is
+// the file to store and serve (a new .jpg next to the upload for converted formats), `ext` the extension
+// matching its real type and `sourcePath` the original upload, or null when no conversion was needed.
+// Throws with a user-facing message when a supported format cannot be decoded.
+async function prepareUploadedImage(filePath, displayName = path.basename(filePath)) {
+    const type = await detectFileType(filePath);
+    if (!type) return null;
+    if (WEB_SAFE_TYPES[type.mime]) return { path: filePath, ext: WEB_SAFE_TYPES[type.mime], sourcePath: null };
+    if (!CONVERTIBLE_TYPES[type.mime]) return null;
+
+    // Give the original its real extension so it never collides with the converted .jpg
+    const { dir, name } = path.parse(filePath);
+    const sourcePath = path.join(dir, name + CONVERTIBLE_TYPES[type.mime]);
+    if (sourcePath !== filePath) await fs.rename(filePath, sourcePath);
+    const jpegPath = path.join(dir, name + '.jpg');
+    try {
+        await convertToJpeg(sourcePath, type.mime, jpegPath);
+    } catch (err) {
+        await fs.rm(jpegPath, { force: true });
+        await fs.rm(sourcePath, { force: true });
+        const format = CONVERTIBLE_TYPES[type.mime].slice(1).toUpperCase();
+        throw new Error(`${displayName} could not be converted: it is not a readable ${format} image (${err.message})`);
+    }
+    return { path: jpegPath, ext: '.jpg', sourcePath };
+}
+
+async function convertToJpeg(sourcePath, mime, jpegPath) {
+    const jpegOptions = { quality: 92, mozjpeg: true };
+    try {
+        // rotate() bakes in the EXIF orientation; the rest of the EXIF is kept for camera info
+        await sharp(sourcePath).rotate().keepExif().jpeg(jpegOptions).toFile(jpegPath);
+        return;
+    } catch (err) {
+        if (mime !== 'image/heic' && mime !== 'image/heif') throw err;
+    }
+    // libheif applies the HEIF rotation itself; the EXIF is not carried over on this path
+    const { width, height, data } = await heicDecode({ buffer: await fs.readFile(sourcePath) });
+    await sharp(data, { raw: { width, height, channels: 4 } }).jpeg(jpegOptions).toFile(jpegPath);
+}
+
+// "IMG_0001.HEIC" sent as a converted JPEG downloads as "IMG_0001.jpg"
+function withExtensionOf(downloadName, sentPath) {
+    const normalize = ext => ext.toLowerCase().replace('.jpeg', '.jpg');
+    const ext = path.extname(sentPath);
+    if (normalize(path.extname(downloadName)) === normalize(ext)) return downloadName;
+    return path.parse(downloadName).name + ext;
+}
+
+module.exports = {
+    WEB_SAFE_TYPES,
+    CONVERTIBLE_TYPES,
+    UPLOAD_ACCEPT,
+    hasUploadExtension,
+    isAcceptedUploadFile,
+    detectFileType,
+    prepareUploadedImage,
+    withExtensionOf
+};
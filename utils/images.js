@@ -6,11 +6,19 @@
 //   - saveImageOrder: Save the order of images in a category.
 //   - setCategoryThumbnail: Set a specific image as the category thumbnail.
 //   - updateAltText: Update the alt text for an image.
-//   - addImage: Add a new image to a category.
-//   - deleteImage: Delete an image from a category.
+//   - addImage: Add a new image to a category, returning its ID.
+//   - deleteImage: Delete an image and its renditions from a category.
 //   - getMaxImagePosition: Get the max position value for images in a category.
+//   - getImageById: Get a single image with its category name.
+//   - moveImage: Move an image to another category, keeping its ID and alt text.
+//   - IMAGES_DIR: Directory path for portfolio images.
 
+const path = require('path');
 const { getDb, ready } = require('../db');
+const { removeImageRenditions } = require('./renditions');
+
+// Portfolio images live in data/images/<category>/<filename>
+const IMAGES_DIR = path.join(__dirname, '..', 'data', 'images');
 
 // Get all images in a category, ordered by position
 async function getOrderedImages(categoryName) {
@@ -18,7 +26,7 @@ async function getOrderedImages(categoryName) {
     const db = getDb();
     const cat = db.prepare('SELECT id FROM categories WHERE name = ?').get(categoryName);
     if (!cat) return [];
-    return db.prepare('SELECT id, filename, alt_text FROM images WHERE category_id = ? ORDER BY position ASC').all(cat.id);
+    return db.prepare('SELECT id, filename, alt_text, is_thumbnail FROM images WHERE category_id = ? ORDER BY position ASC').all(cat.id);
 }
 
 // Save the order of images in a category
@@ -49,23 +57,27 @@ async function updateAltText(imageId, altText) {
     db.prepare('UPDATE images SET alt_text = ? WHERE id = ?').run(altText, imageId);
 }
 
-// Add a new image to a category with optional alt text
+// Add a new image to a category with optional alt text, returns the new image ID
 async function addImage(categoryName, filename, position, altText = '') {
     await ready;
     const db = getDb();
     const cat = db.prepare('SELECT id FROM categories WHERE name = ?').get(categoryName);
     if (!cat) return;
-    db.prepare('INSERT INTO images (category_id, filename, position, alt_text) VALUES (?, ?, ?, ?)')
+    const result = db.prepare('INSERT INTO images (category_id, filename, position, alt_text) VALUES (?, ?, ?, ?)')
         .run(cat.id, filename, position, altText);
+    return result.lastInsertRowid;
 }
 
-// Delete an image from a category by filename
+// Delete an image (and its renditions) from a category by filename
 async function deleteImage(category, filename) {
     await ready;
     const db = getDb();
     const cat = db.prepare('SELECT id FROM categories WHERE name = ?').get(category);
     if (!cat) return;
-    db.prepare('DELETE FROM images WHERE category_id = ? AND filename = ?').run(cat.id, filename);
+    const image = db.prepare('SELECT id FROM images WHERE category_id = ? AND filename = ?').get(cat.id, filename);
+    if (!image) return;
+    db.prepare('DELETE FROM images WHERE id = ?').run(image.id);
+    await removeImageRenditions(image.id);
 }
 
 // Get the maximum position value for images in a category
@@ -77,6 +89,30 @@ async function getMaxImagePosition(categoryName) {
     return db.prepare('SELECT MAX(position) as max FROM images WHERE category_id = ?').get(cat.id).max || 0;
 }
 
+// Get a single image by its ID, including the name of its category
+async function getImageById(imageId) {
+    await ready;
+    const db = getDb();
+    return db.prepare(`
+        SELECT i.id, i.filename, i.position, i.is_thumbnail, i.alt_text, c.name AS category
+        FROM images i
+        JOIN categories c ON c.id = i.category_id
+        WHERE i.id = ?
+    `).get(imageId);
+}
+
+// Move an image to the end of another category, keeping its ID and alt text
+async function moveImage(imageId, toCategory) {
+    await ready;
+    const db = getDb();
+    const cat = db.prepare('SELECT id FROM categories WHERE name = ?').get(toCategory);
+    if (!cat) return false;
+    const maxPos = db.prepare('SELECT MAX(position) as max FROM images WHERE category_id = ?').get(cat.id).max || 0;
+    db.prepare('UPDATE images SET category_id = ?, position = ?, is_thumbnail = 0 WHERE id = ?')
+        .run(cat.id, maxPos + 1, imageId);
+    return true;
+}
+
 module.exports = {
     getOrderedImages,
     saveImageOrder,
@@ -84,5 +120,8 @@ module.exports = {
     updateAltText,
     addImage,
     deleteImage,
-    getMaxImagePosition
+    getMaxImagePosition,
+    getImageById,
+    moveImage,
+    IMAGES_DIR
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// Utility functions for ingesting uploaded images into the portfolio and client galleries.
+// Moves a validated upload into place, records it in the database and pre-generates its renditions.
+// Portfolio images also get their EXIF camera info extracted.
+//
+// Exports:
+//   - ingestPortfolioImage: Stores an uploaded file in a category, extracts metadata and generates renditions.
+//   - ingestClientImage: Records an uploaded client file and generates renditions.
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { addImage, IMAGES_DIR } = require('./images');
+const { addClientImage, CLIENT_UPLOADS_DIR } = require('./clients');
+const { createImageRenditions, createClientImageRenditions } = require('./renditions');
+const { extractImageMetadata, saveImageMetadata } = require('./metadata');
+
+// Move a multer temp file into data/images/<category>, add it at `position`, record its EXIF and build its renditions.
+// Returns the new image ID.
+async function ingestPortfolioImage(file, category, position) {
+    const destDir = path.join(IMAGES_DIR, category);
+    await fs.mkdir(destDir, { recursive: true });
+    const destPath = path.join(destDir, file.filename);
+    await fs.rename(file.path, destPath);
+    const imageId = await addImage(category, file.filename, position, '');
+    try {
+        await saveImageMetadata(imageId, await extractImageMetadata(destPath));
+    } catch (err) {
+        logger.error(`Failed to extract metadata for image ${imageId}: ${err.message}`);
+    }
+    try {
+        await createImageRenditions(imageId, destPath);
+    } catch (err) {
+        // The original is still served (and resized on demand) without renditions
+        logger.error(`Failed to generate renditions for image ${imageId}: ${err.message}`);
+    }
+    return imageId;
+}
+
+// Record a file multer already stored in data/client-uploads/<clientId> and build its renditions.
+// file.sourceFilename names the original kept next to a converted upload, if any; file.sectionId puts
+// the image into a gallery section.
+// Returns the new client image ID.
+async function ingestClientImage(clientId, file) {
+    const result = addClientImage(clientId, file.filename, file.originalname, file.size,
+        file.sourceFilename || null, file.sectionId || null);
+    const clientImageId = result.lastInsertRowid;
+    const filePath = path.join(CLIENT_UPLOADS_DIR, String(clientId), file.filename);
+    try {
+        await createClientImageRenditions(clientId, clientImageId, filePath);
+    } catch (err) {
+        logger.error(`Failed to generate renditions for client image ${clientImageId}: ${err.message}`);
+    }
+    return clientImageId;
+}
+
+module.exports = {
+    ingestPortfolioImage,
+    ingestClientImage
+};
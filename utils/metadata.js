@@ -0,0 +1,166 @@
+// Utility functions for portfolio image metadata (camera info read from EXIF).
+// Metadata is extracted once at upload time and stored in the image_metadata table.
+//
+// Exports:
+//   - extractImageMetadata: Reads camera, lens, exposure, capture date and dimensions from a file.
+//   - saveImageMetadata: Stores extracted metadata for an image.
+//   - getImageMetadata: Retrieves stored metadata for one image.
+//   - withMetadata: Attaches metadata and a formatted camera caption to a list of image rows.
+//   - formatCameraInfo: Builds a one-line caption such as "Canon EOS R5 · 50mm · f/2.8 · 1/250s · ISO 400".
+//   - backfillImageMetadata: Extracts metadata for existing images that have none yet.
+
+const path = require('path');
+const exifr = require('exifr');
+const sharp = require('sharp');
+const { getDb, ready } = require('../db');
+const logger = require('./logger');
+const { IMAGES_DIR } = require('./images');
+
+const EXIF_TAGS = [
+    'Make', 'Model', 'LensModel', 'FocalLength', 'FNumber', 'ExposureTime', 'ISO', 'DateTimeOriginal', 'Orientation'
+];
+
+function cleanText(value) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, 100) : null;
+}
+
+function cleanNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0 ? value : null;
+}
+
+// Read metadata from an image file. Files without EXIF still get their dimensions.
+async function extractImageMetadata(filePath) {
+    let exif = {};
+    try {
+        // Keep dates as the raw "YYYY:MM:DD HH:MM:SS" string: EXIF has no timezone
+        exif = (await exifr.parse(filePath, { pick: EXIF_TAGS, reviveValues: false, translateValues: false })) || {};
+    } catch {
+        // Formats exifr cannot read (e.g. GIF) simply have no EXIF
+    }
+    const { width, height } = await sharp(filePath).metadata();
+    // Orientations 5-8 are rotated by 90 degrees, so the displayed image is portrait/landscape swapped
+    const rotated = exif.Orientation >= 5 && exif.Orientation <= 8;
+    const captured = typeof exif.DateTimeOriginal === 'string'
+        ? exif.DateTimeOriginal.replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3').trim()
+        : null;
+    return {
+        cameraMake: cleanText(exif.Make),
+        cameraModel: cleanText(exif.Model),
+        lens: cleanText(exif.LensModel),
+        focalLength: cleanNumber(exif.FocalLength),
+        aperture: cleanNumber(exif.FNumber),
+        exposureTime: cleanNumber(exif.ExposureTime),
+        iso: cleanNumber(exif.ISO),
+        capturedAt: captured && /^\d{4}-\d{2}-\d{2}/.test(captured) ? captured : null,
+        width: (rotated ? height : width) || null,
+        height: (rotated ? width : height) || null
+    };
+}
+
+async function saveImageMetadata(imageId, meta) {
+    await ready;
+    const db = getDb();
+    db.prepare(`
+        INSERT OR REPLACE INTO image_metadata
+            (image_id, camera_make, camera_model, lens, focal_length, aperture, exposure_time, iso, captured_at, width, height)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        imageId, meta.cameraMake, meta.cameraModel, meta.lens, meta.focalLength, meta.aperture,
+        meta.exposureTime, meta.iso, meta.capturedAt, meta.width, meta.height
+    );
+}
+
+// Convert a database row to the camelCase shape used by extractImageMetadata
+function rowToMetadata(row) {
+    return {
+        cameraMake: row.camera_make,
+        cameraModel: row.camera_model,
+        lens: row.lens,
+        focalLength: row.focal_length,
+        aperture: row.aperture,
+        exposureTime: row.exposure_time,
+        iso: row.iso,
+        capturedAt: row.captured_at,
+        width: row.width,
+        height: row.height
+    };
+}
+
+async function getImageMetadata(imageId) {
+    await ready;
+    const db = getDb();
+    const row = db.prepare('SELECT * FROM image_metadata WHERE image_id = ?').get(imageId);
+    return row ? rowToMetadata(row) : null;
+}
+
+function formatExposure(seconds) {
+    if (seconds >= 1) return `${Math.round(seconds * 10) / 10}s`;
+    return `1/${Math.round(1 / seconds)}s`;
+}
+
+// One-line caption from the camera fields; returns '' when there is nothing to show
+function formatCameraInfo(meta) {
+    if (!meta) return '';
+    const parts = [];
+    const { cameraMake: make, cameraModel: model } = meta;
+    // Most cameras repeat the make in the model name ("Canon" + "Canon EOS R5")
+    if (model) {
+        parts.push(make && !model.toLowerCase().startsWith(make.toLowerCase().split(' ')[0]) ? `${make} ${model}` : model);
+    } else if (make) {
+        parts.push(make);
+    }
+    if (meta.lens) parts.push(meta.lens);
+    if (meta.focalLength) parts.push(`${Math.round(meta.focalLength)}mm`);
+    if (meta.aperture) parts.push(`f/${Math.round(meta.aperture * 10) / 10}`);
+    if (meta.exposureTime) parts.push(formatExposure(meta.exposureTime));
+    if (meta.iso) parts.push(`ISO ${meta.iso}`);
+    return parts.join(' · ');
+}
+
+// Attach `metadata` and `cameraInfo` to each image row (null / '' when none is stored)
+async function withMetadata(images) {
+    await ready;
+    const db = getDb();
+    if (!images || !images.length) return images || [];
+    const ids = images.map(img => img.id);
+    const rows = db.prepare(`
+        SELECT * FROM image_metadata WHERE image_id IN (${ids.map(() => '?').join(',')})
+    `).all(...ids);
+    const byId = new Map(rows.map(row => [row.image_id, rowToMetadata(row)]));
+    return images.map(img => {
+        const metadata = byId.get(img.id) || null;
+        return { ...img, metadata, cameraInfo: formatCameraInfo(metadata) };
+    });
+}
+
+// Extract metadata for images uploaded before metadata extraction existed. Returns the number processed.
+async function backfillImageMetadata() {
+    await ready;
+    const db = getDb();
+    const missing = db.prepare(`
+        SELECT images.id, images.filename, categories.name AS category
+        FROM images
+        JOIN categories ON images.category_id = categories.id
+        LEFT JOIN image_metadata ON image_metadata.image_id = images.id
+        WHERE image_metadata.image_id IS NULL
+    `).all();
+    let processed = 0;
+    for (const img of missing) {
+        try {
+            await saveImageMetadata(img.id, await extractImageMetadata(path.join(IMAGES_DIR, img.category, img.filename)));
+            processed++;
+        } catch (err) {
+            logger.error(`Failed to extract metadata for image ${img.id}: ${err.message}`);
+        }
+    }
+    return processed;
+}
+
+module.exports = {
+    extractImageMetadata,
+    saveImageMetadata,
+    getImageMetadata,
+    withMetadata,
+    formatCameraInfo,
+    backfillImageMetadata
+};
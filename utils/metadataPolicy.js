@@ -0,0 +1,222 @@
+// Utility functions for the metadata privacy policy applied when original images are served.
+// Originals on disk are never modified (the photographer keeps the full EXIF); copies sent to
+// visitors and clients have EXIF/XMP/IPTC removed according to the metadataPolicy setting.
+// JPEG and PNG are stripped losslessly by editing their segments/chunks; other formats are re-encoded.
+//
+// Exports:
+//   - METADATA_POLICIES: Map of policy key to description.
+//   - DEFAULT_METADATA_POLICY: Policy used when the setting is unset.
+//   - getMetadataPolicy: Returns the configured policy.
+//   - stripImageMetadata: Returns a copy of an image buffer with metadata removed per policy.
+//   - readStrippedImage: Reads a file and strips its metadata per policy.
+//   - sendStrippedFile: Sends (or downloads) a file with metadata stripped per the current policy.
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { getSetting } = require('./settings');
+
+const METADATA_POLICIES = {
+    'strip-all': 'Strip all metadata (EXIF, XMP, IPTC)',
+    'strip-gps': 'Strip GPS location only',
+    keep: 'Keep all metadata'
+};
+
+const DEFAULT_METADATA_POLICY = 'strip-gps';
+
+async function getMetadataPolicy() {
+    const policy = await getSetting('metadataPolicy');
+    return Object.prototype.hasOwnProperty.call(METADATA_POLICIES, policy) ? policy : DEFAULT_METADATA_POLICY;
+}
+
+// --- TIFF (EXIF) helpers --- //
+
+// Byte sizes of TIFF field types
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const TAG_ORIENTATION = 0x0112;
+const TAG_GPS_IFD = 0x8825;
+
+// Read/write helpers for a TIFF block in either byte order
+function tiffView(tiff) {
+    const le = tiff.toString('binary', 0, 2) === 'II';
+    if (!le && tiff.toString('binary', 0, 2) !== 'MM') throw new Error('Invalid TIFF header');
+    return {
+        u16: o => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o)),
+        u32: o => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o)),
+        w16: (v, o) => (le ? tiff.writeUInt16LE(v, o) : tiff.writeUInt16BE(v, o))
+    };
+}
+
+// Offset of the IFD0 entry with the given tag, or -1
+function findIfd0Entry(view, tag) {
+    const ifd0 = view.u32(4);
+    const count = view.u16(ifd0);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        if (view.u16(entry) === tag) return entry;
+    }
+    return -1;
+}
+
+function readOrientation(tiff) {
+    const view = tiffView(tiff);
+    const entry = findIfd0Entry(view, TAG_ORIENTATION);
+    return entry === -1 ? null : view.u16(entry + 8);
+}
+
+// Zero every GPS value in place and empty the GPS IFD (the pointer stays valid)
+function wipeGps(tiff) {
+    const view = tiffView(tiff);
+    const entry = findIfd0Entry(view, TAG_GPS_IFD);
+    if (entry === -1) return;
+    const gpsIfd = view.u32(entry + 8);
+    const count = view.u16(gpsIfd);
+    for (let i = 0; i < count; i++) {
+        const e = gpsIfd + 2 + i * 12;
+        const size = (TIFF_TYPE_SIZES[view.u16(e + 2)] || 1) * view.u32(e + 4);
+        // Values larger than 4 bytes live elsewhere in the block
+        if (size > 4) {
+            const offset = view.u32(e + 8);
+            if (offset + size > tiff.length) throw new Error('Invalid GPS value offset');
+            tiff.fill(0, offset, offset + size);
+        }
+    }
+    tiff.fill(0, gpsIfd + 2, gpsIfd + 2 + count * 12);
+    view.w16(0, gpsIfd);
+}
+
+// APP1 segment holding only an Orientation tag, so stripped photos still display upright
+function orientationOnlyExif(orientation) {
+    const seg = Buffer.alloc(36);
+    seg.writeUInt16BE(0xFFE1, 0);
+    seg.writeUInt16BE(34, 2);
+    seg.write('Exif\0\0', 4, 'binary');
+    seg.write('MM', 10, 'binary');
+    seg.writeUInt16BE(0x002A, 12);
+    seg.writeUInt32BE(8, 14);
+    seg.writeUInt16BE(1, 18);
+    seg.writeUInt16BE(TAG_ORIENTATION, 20);
+    seg.writeUInt16BE(3, 22);
+    seg.writeUInt32BE(1, 24);
+    seg.writeUInt16BE(orientation, 28);
+    seg.writeUInt32BE(0, 32);
+    return seg;
+}
+
+// --- Format-specific strippers --- //
+
+function stripJpeg(buf, policy) {
+    const out = [buf.subarray(0, 2)];
+    let pos = 2;
+    let orientation = null;
+    while (pos < buf.length) {
+        if (buf[pos] !== 0xFF) throw new Error('Invalid JPEG marker');
+        const marker = buf[pos + 1];
+        if (marker === 0xFF) { pos++; continue; }
+        // Start of scan / end of image: the rest is image data
+        if (marker === 0xDA || marker === 0xD9) {
+            out.push(buf.subarray(pos));
+            break;
+        }
+        const length = buf.readUInt16BE(pos + 2);
+        const segment = buf.subarray(pos, pos + 2 + length);
+        pos += 2 + length;
+        const isExif = marker === 0xE1 && segment.toString('binary', 4, 10) === 'Exif\0\0';
+        if (isExif) {
+            if (policy === 'strip-all') {
+                orientation = readOrientation(segment.subarray(10));
+            } else {
+                const copy = Buffer.from(segment);
+                wipeGps(copy.subarray(10));
+                out.push(copy);
+            }
+            continue;
+        }
+        // XMP (other APP1) and IPTC (APP13) can both embed location, so neither policy keeps them
+        if (marker === 0xE1 || marker === 0xED) continue;
+        out.push(segment);
+    }
+    if (orientation && orientation !== 1) out.splice(1, 0, orientationOnlyExif(orientation));
+    return Buffer.concat(out);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const PNG_TEXT_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+function pngChunk(type, data) {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'binary');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return Buffer.concat([header, data, crc]);
+}
+
+function stripPng(buf, policy) {
+    const out = [PNG_SIGNATURE];
+    let pos = 8;
+    while (pos < buf.length) {
+        const length = buf.readUInt32BE(pos);
+        const type = buf.toString('binary', pos + 4, pos + 8);
+        const chunk = buf.subarray(pos, pos + 12 + length);
+        const data = chunk.subarray(8, 8 + length);
+        pos += 12 + length;
+        if (type === 'eXIf') {
+            if (policy !== 'strip-all') {
+                const copy = Buffer.from(data);
+                wipeGps(copy);
+                out.push(pngChunk(type, copy));
+            }
+            continue;
+        }
+        if (PNG_TEXT_CHUNKS.includes(type)) {
+            if (policy === 'strip-all') continue;
+            // XMP packets can carry GPS coordinates
+            if (type === 'iTXt' && data.toString('binary', 0, 18) === 'XML:com.adobe.xmp\0') continue;
+        }
+        out.push(chunk);
+        if (type === 'IEND') break;
+    }
+    return Buffer.concat(out);
+}
+
+// Return a copy of an image buffer with metadata removed according to policy
+async function stripImageMetadata(buf, policy) {
+    if (policy === 'keep') return buf;
+    try {
+        if (buf[0] === 0xFF && buf[1] === 0xD8) return stripJpeg(buf, policy);
+        if (buf.subarray(0, 8).equals(PNG_SIGNATURE)) return stripPng(buf, policy);
+        // GIFs have no EXIF block
+        if (buf.toString('binary', 0, 3) === 'GIF') return buf;
+    } catch {
+        // Malformed structure: fall through to a full re-encode below
+    }
+    // sharp drops all metadata when re-encoding; rotate() bakes in the EXIF orientation
+    return sharp(buf, { animated: true }).rotate().toBuffer();
+}
+
+async function readStrippedImage(filePath, policy) {
+    return stripImageMetadata(await fs.readFile(filePath), policy);
+}
+
+// Send filePath with its metadata stripped; pass downloadName to send it as an attachment
+async function sendStrippedFile(res, filePath, downloadName = null) {
+    const policy = await getMetadataPolicy();
+    if (policy === 'keep') {
+        return downloadName ? res.download(filePath, downloadName) : res.sendFile(filePath);
+    }
+    const buf = await readStrippedImage(filePath, policy);
+    res.type(path.extname(filePath));
+    if (downloadName) res.attachment(downloadName);
+    res.send(buf);
+}
+
+module.exports = {
+    METADATA_POLICIES,
+    DEFAULT_METADATA_POLICY,
+    getMetadataPolicy,
+    stripImageMetadata,
+    readStrippedImage,
+    sendStrippedFile
+};
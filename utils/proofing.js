@@ -0,0 +1,191 @@
+// Utility functions for client proofing: favourites, comments and selection submission.
+// Clients heart and comment on images in their gallery, then submit the hearted images as their
+// selection. A submitted selection is locked until the photographer reopens it.
+//
+// Exports:
+//   - MAX_COMMENT_LENGTH: Maximum length of a client comment.
+//   - withFeedback: Attaches `isFavourite` and `comment` to a list of client image rows.
+//   - getSelectionState: Returns favourite count, limit and the active submission for a client.
+//   - setFavourite: Hearts or un-hearts an image.
+//   - setComment: Sets or clears the comment on an image.
+//   - submitSelection: Submits the current favourites as the client's selection.
+//   - reopenSelection: Unlocks a submitted selection so the client can change it.
+//   - setSelectionLimit: Sets (or removes) the maximum number of images a client may pick.
+//   - getSelectedImages: Returns the submitted (or currently hearted) images with comments.
+//   - getCommentedImages: Returns every image the client has commented on.
+
+const { getDb, ready } = require('../db');
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// The latest submission that has not been reopened, or undefined
+function activeSelection(db, clientId) {
+    return db.prepare(`
+        SELECT * FROM client_selections
+        WHERE client_id = ? AND reopened_at IS NULL
+        ORDER BY id DESC LIMIT 1
+    `).get(clientId);
+}
+
+function favouriteCount(db, clientId) {
+    return db.prepare('SELECT COUNT(*) AS n FROM client_image_feedback WHERE client_id = ? AND is_favourite = 1')
+        .get(clientId).n;
+}
+
+// Throws unless the image belongs to the client and the selection can still be edited
+function assertEditable(db, clientId, imageId) {
+    const image = db.prepare('SELECT id FROM client_images WHERE id = ? AND client_id = ?').get(imageId, clientId);
+    if (!image) throw new Error('Image not found');
+    if (activeSelection(db, clientId)) {
+        throw new Error('Your selection has been submitted. Ask your photographer to reopen it to make changes.');
+    }
+}
+
+async function withFeedback(images, clientId) {
+    await ready;
+    const db = getDb();
+    const rows = db.prepare('SELECT * FROM client_image_feedback WHERE client_id = ?').all(clientId);
+    const byImage = new Map(rows.map(row => [row.client_image_id, row]));
+    return images.map(img => {
+        const feedback = byImage.get(img.id);
+        return {
+            ...img,
+            isFavourite: !!(feedback && feedback.is_favourite),
+            comment: (feedback && feedback.comment) || ''
+        };
+    });
+}
+
+async function getSelectionState(clientId) {
+    await ready;
+    const db = getDb();
+    const client = db.prepare('SELECT selection_limit FROM clients WHERE id = ?').get(clientId);
+    return {
+        count: favouriteCount(db, clientId),
+        limit: client ? client.selection_limit : null,
+        submitted: activeSelection(db, clientId) || null
+    };
+}
+
+// Heart or un-heart an image; returns the new favourite count.
+// Throws with a user-facing message when the limit is reached or the selection is locked.
+async function setFavourite(clientId, imageId, favourite) {
+    await ready;
+    const db = getDb();
+    assertEditable(db, clientId, imageId);
+    if (favourite) {
+        const { limit, count } = await getSelectionState(clientId);
+        const current = db.prepare('SELECT is_favourite FROM client_image_feedback WHERE client_image_id = ?').get(imageId);
+        if (limit && count >= limit && !(current && current.is_favourite)) {
+            throw new Error(`You can select up to ${limit} photos`);
+        }
+    }
+    db.prepare(`
+        INSERT INTO client_image_feedback (client_image_id, client_id, is_favourite, favourited_at)
+        VALUES (?, ?, ?, CASE WHEN ? THEN CURRENT_TIMESTAMP END)
+        ON CONFLICT(client_image_id) DO UPDATE SET
+            is_favourite = excluded.is_favourite,
+            favourited_at = CASE WHEN excluded.is_favourite THEN COALESCE(
+                CASE WHEN client_image_feedback.is_favourite THEN client_image_feedback.favourited_at END,
+                CURRENT_TIMESTAMP) END
+    `).run(imageId, clientId, favourite ? 1 : 0, favourite ? 1 : 0);
+    return favouriteCount(db, clientId);
+}
+
+// Set the comment on an image (an empty comment clears it)
+async function setComment(clientId, imageId, comment) {
+    await ready;
+    const db = getDb();
+    assertEditable(db, clientId, imageId);
+    const text = String(comment || '').trim().slice(0, MAX_COMMENT_LENGTH) || null;
+    db.prepare(`
+        INSERT INTO client_image_feedback (client_image_id, client_id, comment, commented_at)
+        VALUES (?, ?, ?, CASE WHEN ? IS NOT NULL THEN CURRENT_TIMESTAMP END)
+        ON CONFLICT(client_image_id) DO UPDATE SET
+            comment = excluded.comment,
+            commented_at = excluded.commented_at
+    `).run(imageId, clientId, text, text);
+    return text || '';
+}
+
+// Record the hearted images as the client's selection. Returns the submission row.
+async function submitSelection(clientId, note = '') {
+    await ready;
+    const db = getDb();
+    const { limit, count, submitted } = await getSelectionState(clientId);
+    if (submitted) throw new Error('Your selection has already been submitted');
+    if (count === 0) throw new Error('Select at least one photo before submitting');
+    if (limit && count > limit) throw new Error(`You can select up to ${limit} photos`);
+    const text = String(note || '').trim().slice(0, MAX_COMMENT_LENGTH) || null;
+    const selectionId = db.transaction(() => {
+        const result = db.prepare('INSERT INTO client_selections (client_id, note, image_count) VALUES (?, ?, ?)')
+            .run(clientId, text, count);
+        db.prepare(`
+            INSERT INTO client_selection_images (selection_id, client_image_id)
+            SELECT ?, client_image_id FROM client_image_feedback WHERE client_id = ? AND is_favourite = 1
+        `).run(result.lastInsertRowid, clientId);
+        return result.lastInsertRowid;
+    })();
+    return db.prepare('SELECT * FROM client_selections WHERE id = ?').get(selectionId);
+}
+
+// Unlock the client's submitted selection; returns false when there was nothing to reopen
+async function reopenSelection(clientId) {
+    await ready;
+    const db = getDb();
+    const result = db.prepare(`
+        UPDATE client_selections SET reopened_at = CURRENT_TIMESTAMP
+        WHERE client_id = ? AND reopened_at IS NULL
+    `).run(clientId);
+    return result.changes > 0;
+}
+
+// Pass null (or 0) to remove the limit
+async function setSelectionLimit(clientId, limit) {
+    await ready;
+    const db = getDb();
+    db.prepare('UPDATE clients SET selection_limit = ? WHERE id = ?').run(limit || null, clientId);
+}
+
+// Images in the active submission, or the currently hearted images when nothing is submitted,
+// in upload order with their comments and timestamps
+async function getSelectedImages(clientId) {
+    await ready;
+    const db = getDb();
+    const submitted = activeSelection(db, clientId);
+    const filter = submitted
+        ? 'ci.id IN (SELECT client_image_id FROM client_selection_images WHERE selection_id = ?)'
+        : 'f.is_favourite = 1 AND ci.client_id = ?';
+    return db.prepare(`
+        SELECT ci.*, f.comment, f.favourited_at, f.commented_at
+        FROM client_images ci
+        LEFT JOIN client_image_feedback f ON f.client_image_id = ci.id
+        WHERE ${filter}
+        ORDER BY ci.uploaded_at ASC, ci.id ASC
+    `).all(submitted ? submitted.id : clientId);
+}
+
+async function getCommentedImages(clientId) {
+    await ready;
+    const db = getDb();
+    return db.prepare(`
+        SELECT ci.*, f.comment, f.commented_at, f.is_favourite
+        FROM client_images ci
+        JOIN client_image_feedback f ON f.client_image_id = ci.id
+        WHERE ci.client_id = ? AND f.comment IS NOT NULL
+        ORDER BY ci.uploaded_at ASC, ci.id ASC
+    `).all(clientId);
+}
+
+module.exports = {
+    MAX_COMMENT_LENGTH,
+    withFeedback,
+    getSelectionState,
+    setFavourite,
+    setComment,
+    submitSelection,
+    reopenSelection,
+    setSelectionLimit,
+    getSelectedImages,
+    getCommentedImages
+};
@@ -0,0 +1,212 @@
+// Utility functions for pre-generated responsive image renditions.
+// At upload time each image is resized to a fixed set of sizes and encoded as JPEG, WebP and AVIF.
+// Renditions are stored under data/renditions and recorded in the image_renditions table.
+//
+// Exports:
+//   - RENDITIONS_DIR: Directory path for rendition files (served at /renditions).
+//   - RENDITION_SIZES: Map of variant name to maximum width/height in pixels.
+//   - RENDITION_FORMATS: Output formats generated for every variant.
+//   - createImageRenditions: Generates and records renditions for a portfolio image.
+//   - createClientImageRenditions: Generates and records renditions for a client image.
+//   - withRenditions: Attaches srcset data to a list of image rows.
+//   - removeImageRenditions: Deletes rendition files for portfolio images.
+//   - removeClientImageRenditions: Deletes rendition files for a client image.
+//   - removeClientRenditions: Deletes all rendition files for a client.
+//   - rebuildRenditions: Regenerates the renditions of every image from its original (after a restore).
+
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const logger = require('./logger');
+const { getDb, ready } = require('../db');
+
+const RENDITIONS_DIR = path.join(__dirname, '..', 'data', 'renditions');
+const IMAGES_DIR = path.join(__dirname, '..', 'data', 'images');
+const CLIENT_UPLOADS_DIR = path.join(__dirname, '..', 'data', 'client-uploads');
+
+const RENDITION_SIZES = {
+    thumbnail: 300,
+    medium: 900,
+    large: 1800
+};
+
+const RENDITION_FORMATS = ['jpeg', 'webp', 'avif'];
+
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', webp: 'webp', avif: 'avif' };
+
+const FORMAT_OPTIONS = {
+    jpeg: { quality: 82, mozjpeg: true },
+    webp: { quality: 80 },
+    avif: { quality: 55 }
+};
+
+// Resize and encode every variant/format pair of srcPath into destDir (relative to RENDITIONS_DIR)
+async function generateRenditions(srcPath, relDir) {
+    const destDir = path.join(RENDITIONS_DIR, relDir);
+    await fs.mkdir(destDir, { recursive: true });
+    const renditions = [];
+    for (const [variant, size] of Object.entries(RENDITION_SIZES)) {
+        for (const format of RENDITION_FORMATS) {
+            const relPath = path.posix.join(relDir, `${variant}.${FORMAT_EXTENSIONS[format]}`);
+            const info = await sharp(srcPath)
+                .rotate() // respect EXIF orientation before resizing
+                .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+                .flatten({ background: '#ffffff' })
+                .toFormat(format, FORMAT_OPTIONS[format])
+                .toFile(path.join(RENDITIONS_DIR, relPath));
+            renditions.push({ variant, format, width: info.width, height: info.height, path: relPath, size: info.size });
+        }
+    }
+    return renditions;
+}
+
+// Insert rendition rows for either a portfolio image or a client image
+function recordRenditions(column, id, renditions) {
+    const db = getDb();
+    const insert = db.prepare(`
+        INSERT INTO image_renditions (${column}, variant, format, width, height, path, file_size)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+        db.prepare(`DELETE FROM image_renditions WHERE ${column} = ?`).run(id);
+        renditions.forEach(r => insert.run(id, r.variant, r.format, r.width, r.height, r.path, r.size));
+    })();
+}
+
+// Generate renditions for a portfolio image (stored under images/<imageId>/)
+async function createImageRenditions(imageId, srcPath) {
+    await ready;
+    const renditions = await generateRenditions(srcPath, path.posix.join('images', String(imageId)));
+    recordRenditions('image_id', imageId, renditions);
+    return renditions;
+}
+
+// Generate renditions for a client image (stored under clients/<clientId>/<clientImageId>/)
+async function createClientImageRenditions(clientId, clientImageId, srcPath) {
+    await ready;
+    const relDir = path.posix.join('clients', String(clientId), String(clientImageId));
+    const renditions = await generateRenditions(srcPath, relDir);
+    recordRenditions('client_image_id', clientImageId, renditions);
+    return renditions;
+}
+
+// Attach a `renditions` property ({ srcset: { avif, webp, jpeg }, src, large, width, height })
+// to each image row. kind is 'image' for portfolio images or 'client' for client images.
+// Images uploaded before renditions existed get `renditions: null`.
+async function withRenditions(images, kind = 'image') {
+    await ready;
+    const db = getDb();
+    if (!images || !images.length) return images || [];
+    const column = kind === 'client' ? 'client_image_id' : 'image_id';
+    const ids = images.map(img => img.id);
+    const rows = db.prepare(`
+        SELECT ${column} AS owner_id, variant, format, width, height, path
+        FROM image_renditions
+        WHERE ${column} IN (${ids.map(() => '?').join(',')})
+        ORDER BY width ASC
+    `).all(...ids);
+    const byOwner = new Map();
+    rows.forEach(row => {
+        if (!byOwner.has(row.owner_id)) byOwner.set(row.owner_id, []);
+        byOwner.get(row.owner_id).push(row);
+    });
+    return images.map(img => {
+        const list = byOwner.get(img.id);
+        if (!list) return { ...img, renditions: null };
+        const srcset = {};
+        RENDITION_FORMATS.forEach(format => {
+            // Small originals produce several renditions of the same width; list each width once
+            const seen = new Set();
+            srcset[format] = list
+                .filter(r => r.format === format && !seen.has(r.width) && seen.add(r.width))
+                .map(r => `/renditions/${r.path} ${r.width}w`)
+                .join(', ');
+        });
+        const jpegs = list.filter(r => r.format === 'jpeg');
+        const medium = jpegs.find(r => r.variant === 'medium') || jpegs[0];
+        const large = jpegs.find(r => r.variant === 'large') || medium;
+        return {
+            ...img,
+            renditions: {
+                srcset,
+                src: `/renditions/${medium.path}`,
+                large: `/renditions/${large.path}`,
+                width: medium.width,
+                height: medium.height
+            }
+        };
+    });
+}
+
+// Delete the rendition files of one or more portfolio images (rows cascade with the image)
+async function removeImageRenditions(imageIds) {
+    const ids = Array.isArray(imageIds) ? imageIds : [imageIds];
+    for (const id of ids) {
+        await fs.rm(path.join(RENDITIONS_DIR, 'images', String(id)), { recursive: true, force: true });
+    }
+}
+
+// Delete the rendition files of a single client image
+async function removeClientImageRenditions(clientId, clientImageId) {
+    await fs.rm(path.join(RENDITIONS_DIR, 'clients', String(clientId), String(clientImageId)), { recursive: true, force: true });
+}
+
+// Delete all rendition files belonging to a client
+async function removeClientRenditions(clientId) {
+    await fs.rm(path.join(RENDITIONS_DIR, 'clients', String(clientId)), { recursive: true, force: true });
+}
+
+// Bumped by every rebuild, so a rebuild still running from an earlier restore stops
+let rebuildGeneration = 0;
+
+// After a restore the rendition rows and files no longer match the restored images (backups leave
+// renditions out), so all of them are dropped and generated again from the originals. The rows go first,
+// so galleries resize on demand until an image's renditions are back. Images whose original is missing
+// are skipped. Resolves with the number of images rebuilt.
+async function rebuildRenditions() {
+    await ready;
+    const db = getDb();
+    const generation = ++rebuildGeneration;
+    db.prepare('DELETE FROM image_renditions').run();
+    await fs.rm(RENDITIONS_DIR, { recursive: true, force: true });
+    const images = db.prepare(`
+        SELECT images.id, images.filename, categories.name AS category
+        FROM images JOIN categories ON images.category_id = categories.id
+    `).all();
+    const clientImages = db.prepare('SELECT id, client_id, filename FROM client_images').all();
+    const jobs = [
+        ...images.map(img => [path.join(IMAGES_DIR, img.category, img.filename),
+            src => createImageRenditions(img.id, src)]),
+        ...clientImages.map(img => [path.join(CLIENT_UPLOADS_DIR, String(img.client_id), img.filename),
+            src => createClientImageRenditions(img.client_id, img.id, src)])
+    ];
+    let rebuilt = 0;
+    for (const [src, create] of jobs) {
+        if (generation !== rebuildGeneration) break;
+        try {
+            await fs.access(src);
+        } catch {
+            continue;
+        }
+        try {
+            await create(src);
+            rebuilt++;
+        } catch (err) {
+            logger.error(`Failed to rebuild renditions for ${src}: ${err.message}`);
+        }
+    }
+    return rebuilt;
+}
+
+module.exports = {
+    RENDITIONS_DIR,
+    RENDITION_SIZES,
+    RENDITION_FORMATS,
+    createImageRenditions,
+    createClientImageRenditions,
+    withRenditions,
+    removeImageRenditions,
+    removeClientImageRenditions,
+    removeClientRenditions,
+    rebuildRenditions
+};
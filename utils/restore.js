@@ -0,0 +1,442 @@
+// Utility functions for validated restores of site backups (see utils/backup.js for the backup format).
+// A restore runs in stages, and nothing live is touched until all of them pass:
+//   1. Validate the archive: every entry must be a plain file or folder inside a known component folder
+//      (no absolute paths, "..", backslashes or symlinks), and the manifest must list exactly the files of
+//      the components being restored. Incremental backups hold only the database; the files the manifest
+//      lists (whose paths are checked the same way) must all be in the backup store.
+//   2. Stage: each component is extracted or copied from the store next to where it lives (same disk, so
+//      the swap is a rename), checking every file's size and checksum against the manifest as it is written.
+//   3. Check the database: PRAGMA integrity_check must pass and the backup must not contain migrations
+//      this version does not know; older databases are migrated on the staged copy.
+// A dry run stops here and reports what would change. A real restore then takes a full backup of the
+// current site, swaps the staged components in one by one and, if any step fails, moves the previous
+// ones back. Image renditions are then regenerated from the restored originals in the background.
+//
+// Exports:
+//   - previewRestore: Validates a backup and reports what restoring it would change, without changing anything.
+//   - restoreBackup: Validates a backup, snapshots the current site and restores all or some components.
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const unzipper = require('unzipper');
+const { getDb, ready, DB_PATH, listMigrations, runMigrations, replaceDatabase, revertDatabase } = require('../db');
+const {
+    BACKUP_COMPONENTS,
+    COMPONENT_PATHS,
+    BACKUP_FORMAT,
+    MANIFEST_NAME,
+    PRE_RESTORE_PREFIX,
+    withBackupLock,
+    createBackup,
+    readBackupManifest,
+    objectPath,
+    listFiles,
+    digestStream
+} = require('./backup');
+const { invalidateCategoryCache } = require('./categoryCache');
+const { rebuildRenditions } = require('./renditions');
+
+// File names listed per component in a dry-run report
+const DIFF_SAMPLE_SIZE = 20;
+// Tables left out of the dry-run row counts
+const INTERNAL_TABLES = ['migrations'];
+
+// Component an archive entry belongs to, or null if it is outside every component
+function componentOf(entryPath) {
+    for (const [component, where] of Object.entries(COMPONENT_PATHS)) {
+        if (component === 'database') {
+            if (entryPath === where.archive) return component;
+        } else if (entryPath.startsWith(`${where.archive}/`)) {
+            const rel = entryPath.slice(where.archive.length + 1);
+            // Branding is only the loose files directly in data/
+            if (where.topLevelOnly && rel.replace(/\/$/, '').includes('/')) return null;
+            return component;
+        }
+    }
+    return null;
+}
+
+function isSymlink(entry) {
+    return ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+}
+
+// Throws unless the entry name is a relative path that stays inside the extraction folder
+function checkEntryPath(name) {
+    const trimmed = name.replace(/\/$/, '');
+    const segments = trimmed.split('/');
+    if (!trimmed || name.includes('\\') || name.includes('\0') || name.startsWith('/') || /^[a-zA-Z]:/.test(name)
+        || segments.some(s => s === '' || s === '.' || s === '..')) {
+        throw new Error(`The backup contains an unsafe path: ${name}`);
+    }
+}
+
+// Validates the archive and manifest for the chosen components (all the backup holds when none are
+// given). Resolves with { manifest, selected, sources: { component: [files] } }, where each file is
+// { path, limit, open } and open() returns a stream of its contents.
+async function openBackup(backupPath, components) {
+    let directory;
+    try {
+        directory = await unzipper.Open.file(backupPath);
+    } catch {
+        throw new Error('This file is not a ZIP archive');
+    }
+    const manifest = await readBackupManifest(backupPath);
+    if (!Number.isInteger(manifest.format) || manifest.format > BACKUP_FORMAT) {
+        throw new Error('This backup was made by a newer version of Focal Point');
+    }
+    if (manifest.format >= 2 && (!Array.isArray(manifest.files) || !manifest.components || typeof manifest.components !== 'object')) {
+        throw new Error('The backup manifest is incomplete');
+    }
+    // Which files the ZIP itself holds; in incremental backups the rest are in the store
+    const inArchive = component => manifest.format < BACKUP_FORMAT || component === 'database';
+
+    const available = Object.keys(manifest.components).filter(c => BACKUP_COMPONENTS[c]);
+    const selected = components.length ? [...new Set(components)] : available;
+    for (const component of selected) {
+        if (!BACKUP_COMPONENTS[component]) throw new Error(`Unknown backup component: ${component}`);
+        if (!available.includes(component)) throw new Error(`This backup does not contain: ${BACKUP_COMPONENTS[component]}`);
+    }
+    if (!selected.length) throw new Error('This backup contains nothing to restore');
+
+    const sources = Object.fromEntries(selected.map(c => [c, []]));
+    const seen = new Set();
+    for (const entry of directory.files) {
+        checkEntryPath(entry.path);
+        if (isSymlink(entry)) throw new Error(`The backup contains a symbolic link: ${entry.path}`);
+        if (entry.path === MANIFEST_NAME) continue;
+        const component = componentOf(entry.path);
+        if (!component || !inArchive(component)) throw new Error(`The backup contains an unexpected file: ${entry.path}`);
+        if (entry.type !== 'File') continue;
+        if (seen.has(entry.path)) throw new Error(`The backup contains ${entry.path} twice`);
+        seen.add(entry.path);
+        if (sources[component]) {
+            sources[component].push({ path: entry.path, limit: entry.uncompressedSize, open: () => entry.stream() });
+        }
+    }
+
+    if (manifest.files) {
+        const listed = new Map();
+        for (const file of manifest.files) {
+            if (!file || typeof file.path !== 'string' || componentOf(file.path) !== file.component
+                || !Number.isInteger(file.size) || !/^[0-9a-f]{64}$/.test(file.sha256)) {
+                throw new Error('The backup manifest is damaged');
+            }
+            checkEntryPath(file.path);
+            if (listed.has(file.path)) throw new Error(`The backup lists ${file.path} twice`);
+            listed.set(file.path, file);
+        }
+        for (const component of selected) {
+            for (const source of sources[component]) {
+                if (!listed.has(source.path)) throw new Error(`The backup contains a file missing from its manifest: ${source.path}`);
+            }
+            for (const file of manifest.files.filter(f => f.component === component)) {
+                if (inArchive(component)) {
+                    if (!seen.has(file.path)) throw new Error(`The backup is damaged: ${file.path} is missing`);
+                    continue;
+                }
+                const stored = objectPath(file.sha256);
+                try {
+                    await fs.access(stored);
+                } catch {
+                    throw new Error(`The backup is damaged: ${file.path} is missing from the backup store`);
+                }
+                sources[component].push({ path: file.path, limit: file.size, open: () => fsSync.createReadStream(stored) });
+            }
+        }
+        manifest.fileIndex = listed;
+    }
+    return { manifest, selected, sources };
+}
+
+// Where a component is staged: beside its live location, so swapping it in is a rename on the same disk
+function stagingPath(component, id) {
+    const live = COMPONENT_PATHS[component].source;
+    if (component === 'branding') return path.join(live, `.restore-${id}-branding`);
+    return path.join(path.dirname(live), `.restore-${id}-${path.basename(live)}`);
+}
+
+// Write one component's files into its staging path, verifying each file as it is written
+async function stageComponent(component, files, manifest, target) {
+    const root = component === 'database' ? path.dirname(target) : target;
+    if (component !== 'database') await fs.mkdir(target, { recursive: true });
+    const archiveDir = COMPONENT_PATHS[component].archive;
+    for (const file of files) {
+        const dest = component === 'database'
+            ? target
+            : path.resolve(target, file.path.slice(archiveDir.length + 1));
+        if (!dest.startsWith(root + path.sep)) throw new Error(`The backup contains an unsafe path: ${file.path}`);
+        await fs.mkdir(path.dirname(dest), { recursive: true });
+        const expected = manifest.fileIndex ? manifest.fileIndex.get(file.path) : null;
+        // Never write more than the archive or manifest declares, so a forged size cannot fill the disk
+        const limit = expected ? expected.size : file.limit;
+        await new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            let size = 0;
+            const input = file.open();
+            const output = fsSync.createWriteStream(dest);
+            input.on('data', chunk => {
+                size += chunk.length;
+                if (size > limit) {
+                    input.destroy();
+                    output.destroy();
+                    reject(new Error(`The backup is damaged: ${file.path} is larger than recorded`));
+                    return;
+                }
+                hash.update(chunk);
+            });
+            input.on('error', () => reject(new Error(`The backup is damaged: ${file.path} cannot be read`)));
+            output.on('error', reject);
+            output.on('finish', () => {
+                if (expected && (size !== expected.size || hash.digest('hex') !== expected.sha256)) {
+                    reject(new Error(`The backup is damaged: ${file.path} does not match its checksum`));
+                } else {
+                    resolve();
+                }
+            });
+            input.pipe(output);
+        });
+    }
+}
+
+// Check the staged database and bring it up to this version's schema. Resolves with
+// { schemaVersion, applied: [migration names run on the copy] }.
+async function checkStagedDatabase(dbPath) {
+    let staged;
+    try {
+        staged = new Database(dbPath, { fileMustExist: true });
+        const integrity = staged.pragma('integrity_check', { simple: true });
+        if (integrity !== 'ok') throw new Error(`The backup database is corrupt (${integrity})`);
+    } catch (err) {
+        if (staged) staged.close();
+        if (/^The backup/.test(err.message)) throw err;
+        throw new Error('The backup database is not a readable SQLite database');
+    }
+    try {
+        const hasMigrations = staged.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'migrations'").get();
+        if (!hasMigrations) throw new Error('The backup database has no migration history and cannot be restored by this version');
+        const known = listMigrations();
+        const executed = staged.prepare('SELECT name FROM migrations ORDER BY name').all().map(row => row.name);
+        const unknown = executed.filter(name => !known.includes(name));
+        if (unknown.length) {
+            throw new Error(`The backup database was made by a newer version of Focal Point (unknown migration ${unknown[unknown.length - 1]})`);
+        }
+        const schemaVersion = executed[executed.length - 1] || null;
+        staged.pragma('foreign_keys = ON');
+        const applied = (await runMigrations(staged)).map(m => m.name);
+        return { schemaVersion, applied };
+    } finally {
+        staged.close();
+    }
+}
+
+// Validate and stage the chosen components. Resolves with { manifest, selected, staged: { component:
+// path }, database } and leaves the staged files for the caller to swap in or remove.
+async function stageBackup(backupPath, components, id) {
+    const { manifest, selected, sources } = await openBackup(backupPath, components);
+    const staged = {};
+    let database = null;
+    try {
+        for (const component of selected) {
+            staged[component] = stagingPath(component, id);
+            await stageComponent(component, sources[component], manifest, staged[component]);
+        }
+        if (staged.database) database = await checkStagedDatabase(staged.database);
+    } catch (err) {
+        await removeStaged(staged);
+        throw err;
+    }
+    return { manifest, selected, staged, database };
+}
+
+async function removeStaged(staged) {
+    for (const target of Object.values(staged)) {
+        await fs.rm(target, { recursive: true, force: true });
+    }
+}
+
+// { rel: size } of the files in a folder (top level only for branding)
+async function fileSizes(dir, topLevelOnly) {
+    const sizes = {};
+    for (const rel of await listFiles(dir, topLevelOnly)) {
+        if (topLevelOnly && (rel.startsWith('.') || /^gallery\.db/.test(rel))) continue;
+        sizes[rel] = (await fs.stat(path.join(dir, rel))).size;
+    }
+    return sizes;
+}
+
+async function sha256Of(file) {
+    return (await digestStream(fsSync.createReadStream(file))).sha256;
+}
+
+// Files the restore would add, remove and replace in one folder component
+async function diffFiles(component, stagedDir) {
+    const where = COMPONENT_PATHS[component];
+    const current = await fileSizes(where.source, where.topLevelOnly);
+    const incoming = await fileSizes(stagedDir, false);
+    const added = [], changed = [], removed = [];
+    let unchanged = 0;
+    for (const [rel, size] of Object.entries(incoming)) {
+        if (!(rel in current)) added.push(rel);
+        else if (current[rel] !== size || await sha256Of(path.join(where.source, rel)) !== await sha256Of(path.join(stagedDir, rel))) changed.push(rel);
+        else unchanged++;
+    }
+    // Loose branding files not in the backup are left in place
+    if (component !== 'branding') {
+        for (const rel of Object.keys(current)) if (!(rel in incoming)) removed.push(rel);
+    }
+    const sample = list => ({ count: list.length, files: list.slice(0, DIFF_SAMPLE_SIZE) });
+    return { added: sample(added), changed: sample(changed), removed: sample(removed), unchanged };
+}
+
+// Row counts per table, current against backup
+function diffTables(stagedPath) {
+    const countRows = database => Object.fromEntries(
+        database.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all()
+            .filter(t => !INTERNAL_TABLES.includes(t.name))
+            .map(t => [t.name, database.prepare(`SELECT COUNT(*) AS n FROM "${t.name}"`).get().n])
+    );
+    const current = countRows(getDb());
+    const staged = new Database(stagedPath, { readonly: true, fileMustExist: true });
+    let incoming;
+    try {
+        incoming = countRows(staged);
+    } finally {
+        staged.close();
+    }
+    return [...new Set([...Object.keys(current), ...Object.keys(incoming)])].sort().map(table => ({
+        table,
+        current: current[table] ?? null,
+        backup: incoming[table] ?? null
+    }));
+}
+
+// Dry run: validate and stage the backup, report the differences, then discard the staged copy.
+// Resolves with { manifest, components: [{ component, label, tables?, files? }], database }.
+// Throws with a readable message if the backup would be refused.
+async function previewRestore(backupPath, { components = [] } = {}) {
+    await ready;
+    return withBackupLock('restore', async () => {
+        const id = `preview-${Date.now()}`;
+        const { manifest, selected, staged, database } = await stageBackup(backupPath, components, id);
+        try {
+            const report = [];
+            for (const component of selected) {
+                const item = { component, label: BACKUP_COMPONENTS[component] };
+                if (component === 'database') item.tables = diffTables(staged.database);
+                else item.files = await diffFiles(component, staged[component]);
+                report.push(item);
+            }
+            const current = getDb().prepare('SELECT name FROM migrations ORDER BY name DESC LIMIT 1').get();
+            delete manifest.fileIndex;
+            return {
+                manifest,
+                components: report,
+                database: database && { ...database, currentSchemaVersion: current ? current.name : null }
+            };
+        } finally {
+            await removeStaged(staged);
+        }
+    });
+}
+
+// Swap one staged component in. Resolves with { undo, cleanup }: undo puts the previous state back,
+// cleanup deletes it once the whole restore has succeeded.
+async function swapComponent(component, stagedPath, id) {
+    const live = COMPONENT_PATHS[component].source;
+    if (component === 'database') {
+        const previous = path.join(path.dirname(DB_PATH), `.restore-${id}-previous.db`);
+        replaceDatabase(stagedPath, previous);
+        return {
+            undo: async () => revertDatabase(previous),
+            cleanup: () => fs.rm(previous, { force: true })
+        };
+    }
+    if (component === 'branding') {
+        // Loose files are swapped one by one; the ones they replace are kept until the restore succeeds
+        const previousDir = path.join(live, `.restore-${id}-previous-branding`);
+        await fs.mkdir(previousDir, { recursive: true });
+        const swapped = [];
+        const undo = async () => {
+            for (const { rel, hadPrevious } of swapped.reverse()) {
+                if (hadPrevious) await fs.rename(path.join(previousDir, rel), path.join(live, rel));
+                else await fs.rm(path.join(live, rel), { force: true });
+            }
+        };
+        try {
+            for (const rel of await listFiles(stagedPath, true)) {
+                const hadPrevious = fsSync.existsSync(path.join(live, rel));
+                if (hadPrevious) await fs.rename(path.join(live, rel), path.join(previousDir, rel));
+                swapped.push({ rel, hadPrevious });
+                await fs.rename(path.join(stagedPath, rel), path.join(live, rel));
+            }
+        } catch (err) {
+            await undo();
+            throw err;
+        }
+        return { undo, cleanup: () => fs.rm(previousDir, { recursive: true, force: true }) };
+    }
+    const previous = path.join(path.dirname(live), `.restore-${id}-previous-${path.basename(live)}`);
+    const hadPrevious = fsSync.existsSync(live);
+    if (hadPrevious) await fs.rename(live, previous);
+    try {
+        await fs.rename(stagedPath, live);
+    } catch (err) {
+        if (hadPrevious) await fs.rename(previous, live);
+        throw err;
+    }
+    return {
+        undo: async () => {
+            await fs.rm(live, { recursive: true, force: true });
+            if (hadPrevious) await fs.rename(previous, live);
+        },
+        cleanup: () => fs.rm(previous, { recursive: true, force: true })
+    };
+}
+
+// Restores a backup. components is a list of BACKUP_COMPONENTS keys (all the backup holds when empty).
+// Resolves with { restored: [component keys], snapshot: filename of the pre-restore backup, manifest }.
+// If anything fails after the swap has started, every component already swapped is put back.
+async function restoreBackup(backupPath, { components = [] } = {}) {
+    await ready;
+    return withBackupLock('restore', async () => {
+        const id = Date.now();
+        const { manifest, selected, staged } = await stageBackup(backupPath, components, id);
+        const swaps = [];
+        try {
+            const snapshot = await createBackup({ prefix: PRE_RESTORE_PREFIX });
+            try {
+                for (const component of selected) {
+                    swaps.push(await swapComponent(component, staged[component], id));
+                }
+            } catch (err) {
+                for (const swap of swaps.reverse()) {
+                    try {
+                        await swap.undo();
+                    } catch (undoErr) {
+                        console.error('Error rolling back restore:', undoErr);
+                        throw new Error(`Restore failed (${err.message}) and could not be fully rolled back; restore ${snapshot} to recover`);
+                    }
+                }
+                throw new Error(`Restore failed and was rolled back: ${err.message}`);
+            }
+            for (const swap of swaps) await swap.cleanup().catch(() => { });
+            invalidateCategoryCache();
+            // Backups leave renditions out, so they are regenerated for the restored images in the background
+            if (selected.some(c => ['database', 'images', 'clientUploads'].includes(c))) {
+                rebuildRenditions().catch(err => console.error('Error rebuilding renditions after a restore:', err));
+            }
+            delete manifest.fileIndex;
+            return { restored: selected, snapshot, manifest };
+        } finally {
+            await removeStaged(staged);
+        }
+    });
+}
+
+module.exports = {
+    previewRestore,
+    restoreBackup
+};
@@ -0,0 +1,248 @@
+// Utility functions for resumable chunked uploads (a tus-style protocol).
+// A session is created with the file's name and size, then its bytes are appended in chunks at an
+// explicit offset. Sessions and their partial files are kept in the database and data/upload-sessions,
+// so an upload can carry on after a page reload, a dropped connection or a server restart.
+// Once every byte has arrived the file is validated and ingested like a regular upload.
+//
+// Errors thrown here carry a `code` so routes can map them to HTTP statuses:
+//   UPLOAD_BUSY, UPLOAD_OFFSET_MISMATCH, UPLOAD_TOO_LARGE, UPLOAD_INCOMPLETE, UPLOAD_INVALID_TYPE,
+//   UPLOAD_TARGET_MISSING.
+//
+// Exports:
+//   - UPLOAD_SESSIONS_DIR: Directory path for partial upload files.
+//   - UPLOAD_TARGETS: Map of upload target to its maximum file size in bytes.
+//   - STALE_UPLOAD_MS: Idle time after which unfinished uploads are removed.
+//   - createUploadSession: Starts an upload, or returns the unfinished one for the same file.
+//   - getUploadSession: Retrieves a session by ID.
+//   - listPendingUploads: Lists unfinished uploads for a category or client.
+//   - writeChunk: Appends a chunk read from a stream at the given offset.
+//   - completeUpload: Validates and ingests a fully received upload.
+//   - deleteUploadSession: Cancels an upload and removes its partial file.
+//   - cleanupStaleUploads: Removes uploads that have been idle for too long.
+
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { getDb, ready } = require('../db');
+const { getCategoryIdAndMaxPosition } = require('./categories');
+const { CLIENT_UPLOADS_DIR, getClientById } = require('./clients');
+const { ingestPortfolioImage, ingestClientImage } = require('./ingest');
+const { prepareUploadedImage } = require('./imageFormats');
+
+const UPLOAD_SESSIONS_DIR = path.join(__dirname, '..', 'data', 'upload-sessions');
+
+const UPLOAD_TARGETS = {
+    portfolio: 10 * 1024 * 1024,
+    client: 50 * 1024 * 1024
+};
+
+const STALE_UPLOAD_MS = 24 * 60 * 60 * 1000;
+
+// Sessions currently receiving a chunk or being ingested
+const busy = new Set();
+
+function uploadError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function partPath(id) {
+    return path.join(UPLOAD_SESSIONS_DIR, `${id}.part`);
+}
+
+// Start an upload. A session for the same file (fingerprint) and destination that is still unfinished
+// is returned instead, so re-selecting a file after a reload resumes it.
+// sectionId puts a client upload into a gallery section.
+async function createUploadSession(target, targetKey, { filename, size, fingerprint = null, sectionId = null }) {
+    await ready;
+    const db = getDb();
+    if (fingerprint) {
+        const existing = db.prepare(`
+            SELECT * FROM upload_sessions WHERE target = ? AND target_key = ? AND fingerprint = ?
+        `).get(target, String(targetKey), fingerprint);
+        if (existing && fs.existsSync(partPath(existing.id))) return existing;
+        if (existing) db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(existing.id);
+    }
+    const id = uuidv4();
+    fs.mkdirSync(UPLOAD_SESSIONS_DIR, { recursive: true });
+    fs.writeFileSync(partPath(id), '');
+    db.prepare(`
+        INSERT INTO upload_sessions (id, target, target_key, original_filename, size, fingerprint, section_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, target, String(targetKey), path.basename(filename).slice(0, 255), size, fingerprint, sectionId);
+    return db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id);
+}
+
+// Returns the session, or null when it does not exist or its partial file is gone
+async function getUploadSession(id) {
+    await ready;
+    const db = getDb();
+    const session = db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(id);
+    if (!session) return null;
+    if (!fs.existsSync(partPath(id))) {
+        db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(id);
+        return null;
+    }
+    return session;
+}
+
+// Unfinished uploads for a target, optionally narrowed to one category or client
+async function listPendingUploads(target, targetKey = null) {
+    await ready;
+    const db = getDb();
+    if (targetKey === null) {
+        return db.prepare('SELECT * FROM upload_sessions WHERE target = ? ORDER BY created_at ASC').all(target);
+    }
+    return db.prepare(`
+        SELECT * FROM upload_sessions WHERE target = ? AND target_key = ? ORDER BY created_at ASC
+    `).all(target, String(targetKey));
+}
+
+// Append the bytes of `stream` at `offset`, which must equal the bytes received so far.
+// Progress is saved even when the stream is cut short, so the client can resume from the new offset.
+// Returns the updated session.
+async function writeChunk(session, offset, stream) {
+    if (busy.has(session.id)) throw uploadError('UPLOAD_BUSY', 'A chunk for this upload is already being received');
+    if (offset !== session.bytes_received) {
+        throw uploadError('UPLOAD_OFFSET_MISMATCH', `Expected offset ${session.bytes_received}`);
+    }
+    busy.add(session.id);
+    try {
+        const remaining = session.size - offset;
+        let received = 0;
+        let tooLarge = false;
+        // Bytes past the declared size are dropped rather than failing the stream, so the request is
+        // still read to the end and can be answered
+        const limit = new Transform({
+            transform(chunk, encoding, cb) {
+                const allowed = Math.max(0, Math.min(chunk.length, remaining - received));
+                received += chunk.length;
+                if (allowed < chunk.length) tooLarge = true;
+                cb(null, allowed > 0 ? chunk.subarray(0, allowed) : undefined);
+            }
+        });
+        const out = fs.createWriteStream(partPath(session.id), { flags: 'r+', start: offset });
+        let streamError = null;
+        try {
+            await pipeline(stream, limit, out);
+        } catch (err) {
+            streamError = err;
+        }
+        await ready;
+        const db = getDb();
+        db.prepare(`
+            UPDATE upload_sessions SET bytes_received = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(offset + out.bytesWritten, session.id);
+        if (tooLarge) throw uploadError('UPLOAD_TOO_LARGE', 'Chunk exceeds the upload length');
+        if (streamError) throw streamError;
+        return db.prepare('SELECT * FROM upload_sessions WHERE id = ?').get(session.id);
+    } finally {
+        busy.delete(session.id);
+    }
+}
+
+// Validate the received file and ingest it into its category or client gallery.
+// HEIC/HEIF, TIFF and WebP are converted to JPEG; client galleries keep the original for downloads.
+// Returns the new image ID; the session is removed either way once validation has run.
+async function completeUpload(session) {
+    if (session.bytes_received < session.size) throw uploadError('UPLOAD_INCOMPLETE', 'Upload is not complete');
+    if (busy.has(session.id)) throw uploadError('UPLOAD_BUSY', 'Upload is already being processed');
+    busy.add(session.id);
+    const filePath = partPath(session.id);
+    let prepared = null;
+    try {
+        // An interrupted chunk can leave bytes past the recorded end; drop them
+        await fs.promises.truncate(filePath, session.size);
+        try {
+            prepared = await prepareUploadedImage(filePath, session.original_filename);
+        } catch (err) {
+            throw uploadError('UPLOAD_INVALID_TYPE', err.message);
+        }
+        if (!prepared) {
+            throw uploadError('UPLOAD_INVALID_TYPE', `${session.original_filename} is not a supported image`);
+        }
+
+        if (session.target === 'portfolio') {
+            const catInfo = await getCategoryIdAndMaxPosition(session.target_key);
+            if (!catInfo) throw uploadError('UPLOAD_TARGET_MISSING', 'Category no longer exists');
+            const file = { path: prepared.path, filename: uuidv4() + prepared.ext };
+            return await ingestPortfolioImage(file, session.target_key, catInfo.maxPos + 1);
+        }
+        if (!getClientById(session.target_key)) throw uploadError('UPLOAD_TARGET_MISSING', 'Client no longer exists');
+        const baseName = `${Date.now()}-${uuidv4()}`;
+        const clientDir = path.join(CLIENT_UPLOADS_DIR, session.target_key);
+        await fs.promises.mkdir(clientDir, { recursive: true });
+        await fs.promises.rename(prepared.path, path.join(clientDir, baseName + prepared.ext));
+        let sourceFilename = null;
+        if (prepared.sourcePath) {
+            sourceFilename = baseName + path.extname(prepared.sourcePath);
+            await fs.promises.rename(prepared.sourcePath, path.join(clientDir, sourceFilename));
+        }
+        // The section may have been deleted while the upload was paused
+        const sectionId = session.section_id && getDb().prepare('SELECT id FROM client_sections WHERE id = ? AND client_id = ?')
+            .get(session.section_id, session.target_key) ? session.section_id : null;
+        return await ingestClientImage(session.target_key, {
+            filename: baseName + prepared.ext,
+            originalname: session.original_filename,
+            size: session.size,
+            sourceFilename,
+            sectionId
+        });
+    } finally {
+        busy.delete(session.id);
+        await deleteUploadSession(session.id);
+        // Files that were not moved into place (e.g. the dropped original of a converted portfolio image)
+        if (prepared) {
+            await fs.promises.rm(prepared.path, { force: true });
+            if (prepared.sourcePath) await fs.promises.rm(prepared.sourcePath, { force: true });
+        }
+    }
+}
+
+async function deleteUploadSession(id) {
+    await ready;
+    const db = getDb();
+    db.prepare('DELETE FROM upload_sessions WHERE id = ?').run(id);
+    await fs.promises.rm(partPath(id), { force: true });
+}
+
+// Remove sessions idle for longer than maxAgeMs and partial files without a session.
+// Returns the number of sessions removed.
+async function cleanupStaleUploads(maxAgeMs = STALE_UPLOAD_MS) {
+    await ready;
+    const db = getDb();
+    const cutoff = new Date(Date.now() - maxAgeMs).toISOString().replace('T', ' ').slice(0, 19);
+    const stale = db.prepare('SELECT id FROM upload_sessions WHERE updated_at < ?').all(cutoff);
+    for (const { id } of stale) {
+        if (!busy.has(id)) await deleteUploadSession(id);
+    }
+    let files = [];
+    try {
+        files = await fs.promises.readdir(UPLOAD_SESSIONS_DIR);
+    } catch {
+        return stale.length;
+    }
+    // Read after listing the directory so a session created meanwhile is never treated as orphaned.
+    // Files are matched by session ID, which also covers the converted copies made while completing.
+    const known = new Set(db.prepare('SELECT id FROM upload_sessions').all().map(row => row.id));
+    for (const file of files) {
+        if (!known.has(path.parse(file).name)) await fs.promises.rm(path.join(UPLOAD_SESSIONS_DIR, file), { force: true });
+    }
+    return stale.length;
+}
+
+module.exports = {
+    UPLOAD_SESSIONS_DIR,
+    UPLOAD_TARGETS,
+    STALE_UPLOAD_MS,
+    createUploadSession,
+    getUploadSession,
+    listPendingUploads,
+    writeChunk,
+    completeUpload,
+    deleteUploadSession,
+    cleanupStaleUploads
+};
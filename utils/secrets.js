@@ -0,0 +1,51 @@
+// Utility functions for encrypting passwords and keys kept in the database (off-site backup targets,
+// the SMTP password). They are encrypted with AES-256-GCM under a key derived from SESSION_SECRET, which
+// lives in the environment rather than in data/, so a copy of the database or a backup does not give
+// them away. Changing SESSION_SECRET (or restoring on a server with another one) makes them unreadable;
+// they then have to be entered again.
+//
+// Exports:
+//   - isEncryptedSecret: Whether a stored value is encrypted.
+//   - encryptSecret: Encrypts a value for storage (empty values stay empty).
+//   - decryptSecret: Decrypts a stored value; values saved before encryption are returned as they are.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+function secretKey() {
+    if (!process.env.SESSION_SECRET) throw new Error('SESSION_SECRET is not set, so saved passwords cannot be encrypted');
+    return Buffer.from(crypto.hkdfSync('sha256', process.env.SESSION_SECRET, 'focal-point', 'stored-secrets', 32));
+}
+
+function isEncryptedSecret(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// enc:v1:<iv>:<auth tag>:<ciphertext>, all base64
+function encryptSecret(value) {
+    if (!value || isEncryptedSecret(value)) return value || '';
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+    const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return PREFIX + [iv, cipher.getAuthTag(), data].map(buf => buf.toString('base64')).join(':');
+}
+
+// Throws with a user-facing message when the value was encrypted under another SESSION_SECRET
+function decryptSecret(value) {
+    if (!isEncryptedSecret(value)) return value || '';
+    try {
+        const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    } catch {
+        throw new Error('A saved password could not be decrypted (was SESSION_SECRET changed?); enter it again');
+    }
+}
+
+module.exports = {
+    isEncryptedSecret,
+    encryptSecret,
+    decryptSecret
+};
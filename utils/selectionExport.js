@@ -0,0 +1,77 @@
+// Utility functions for exporting a client's proofing selection back into an editing workflow.
+// Works on the rows returned by getSelectedImages (utils/proofing.js).
+//
+// Exports:
+//   - toLightroomFilter: Comma-separated filename list for Lightroom's Library Filter.
+//   - toSelectionCsv: CSV of the selected files with comments and timestamps.
+//   - toXmpSidecar: XMP sidecar document carrying a star rating.
+//   - toXmpSidecars: Sidecar files (name + content) for every selected image.
+
+const path = require('path');
+
+function originalName(img) {
+    return img.original_filename || img.filename;
+}
+
+// Filenames without extension, so the filter also matches the RAW files in the catalog
+function toLightroomFilter(images) {
+    const names = images.map(img => path.parse(originalName(img)).name);
+    return [...new Set(names)].join(', ');
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function isoTimestamp(value) {
+    return value ? value.replace(' ', 'T') + 'Z' : '';
+}
+
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    // Stop spreadsheet apps from evaluating client-supplied text as a formula
+    if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toSelectionCsv(images, submittedAt = null) {
+    const rows = [['original_filename', 'stored_filename', 'comment', 'selected_at', 'commented_at', 'submitted_at']];
+    images.forEach(img => {
+        rows.push([
+            originalName(img),
+            img.filename,
+            img.comment || '',
+            isoTimestamp(img.favourited_at),
+            isoTimestamp(img.commented_at),
+            isoTimestamp(submittedAt)
+        ]);
+    });
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function toXmpSidecar(rating) {
+    return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmp:Rating="${rating}"/>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>
+`;
+}
+
+// One <basename>.xmp per image; Lightroom reads sidecars that share the photo's base name
+function toXmpSidecars(images, rating) {
+    const seen = new Set();
+    const content = toXmpSidecar(rating);
+    return images
+        .map(img => `${path.parse(originalName(img)).name.replace(/[\\/:*?"<>|]/g, '_')}.xmp`)
+        .filter(name => !seen.has(name) && seen.add(name))
+        .map(name => ({ name, content }));
+}
+
+module.exports = {
+    toLightroomFilter,
+    toSelectionCsv,
+    toXmpSidecar,
+    toXmpSidecars
+};
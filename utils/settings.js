@@ -6,6 +6,7 @@
 //   - setSetting: Set or update a setting value.
 //   - getAllSettings: Retrieve all settings as an object.
 //   - getSettingsWithDefaults: Retrieve all settings with defaults.
+//   - getBrandingFiles: Names of the branding files in data/ the settings point at.
 
 const { getDb, ready } = require('../db');
 
@@ -46,9 +47,20 @@ async function getSettingsWithDefaults() {
     return settings;
 }
 
+// The favicon (and the manifest icons derived from its name), header image and watermark logo. data/ also
+// holds the database, originals and renditions, so /branding serves these files and nothing else.
+async function getBrandingFiles() {
+    const settings = await getAllSettings();
+    const favicon = String(settings.favicon || '').replace(/^\/branding\//, '');
+    const iconBase = favicon.startsWith('favicon-') ? favicon.replace(/-32\.png$/, '') : 'favicon';
+    const names = [favicon, settings.headerImage, settings.watermarkImage, `${iconBase}-192.png`, `${iconBase}-512.png`];
+    return new Set(names.filter(name => name && /^[\w-][\w.-]*$/.test(name) && !/^gallery\.db/.test(name)));
+}
+
 module.exports = {
     getSetting,
     setSetting,
     getAllSettings,
-    getSettingsWithDefaults
+    getSettingsWithDefaults,
+    getBrandingFiles
 };
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Utility functions for client gallery share links.
+// A share link opens a client gallery without the access code: /client/s/<token>, where the token is
+// the link ID plus an HMAC (keyed with SESSION_SECRET) over the ID and a random nonce, so links cannot
+// be guessed or altered. 'client' links give the client's full access; 'guest' links are view-only
+// (no downloads or proofing) for sharing with family. Links can ask for a password, expire, and are
+// refused once revoked or when the gallery itself is inactive, expired or archived.
+// Changing SESSION_SECRET invalidates every share link.
+//
+// Exports:
+//   - SHARE_LINK_KINDS: Map of link kind to its label.
+//   - createShareLink: Creates a link for a client and returns it with its token.
+//   - listShareLinks: Lists a client's links with their tokens.
+//   - revokeShareLink: Revokes one of a client's links.
+//   - resolveShareToken: Resolves a token to its usable link and client.
+//   - isShareLinkUsable: Re-checks a link for a session that was opened with it.
+//   - checkShareLinkPassword: Checks the password of a password-protected link.
+//   - recordShareLinkUse: Counts a visit through a link.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const validator = require('validator');
+const { getDb, ready } = require('../db');
+
+const SHARE_LINK_KINDS = {
+    client: 'Client (full access)',
+    guest: 'Guest (view only, no downloads)'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sign(link) {
+    return crypto.createHmac('sha256', process.env.SESSION_SECRET)
+        .update(`share-link:${link.id}:${link.nonce}`)
+        .digest('base64url')
+        .slice(0, 32);
+}
+
+function tokenFor(link) {
+    return `${link.id}.${sign(link)}`;
+}
+
+// Creates a link; `days` (1-365) limits how long it works, otherwise it lasts as long as the gallery.
+// Returns the link row with its `token`. Throws on invalid input.
+async function createShareLink(clientId, { kind, days = null, password = '', label = '' }) {
+    await ready;
+    const db = getDb();
+    if (!SHARE_LINK_KINDS[kind]) throw new Error('Unknown link type');
+    let expiresAt = null;
+    if (days !== null && days !== '') {
+        const n = parseInt(days, 10);
+        if (!Number.isInteger(n) || n < 1 || n > 365) throw new Error('Links can last from 1 to 365 days');
+        expiresAt = new Date(Date.now() + n * DAY_MS).toISOString();
+    }
+    const text = typeof label === 'string' ? validator.escape(validator.trim(label)).slice(0, 60) : '';
+    const secret = typeof password === 'string' ? validator.stripLow(password, true).slice(0, 64) : '';
+    if (secret && secret.length < 4) throw new Error('Link passwords need at least 4 characters');
+    const result = db.prepare(`
+        INSERT INTO client_share_links (client_id, kind, nonce, label, password_hash, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(clientId, kind, crypto.randomBytes(16).toString('hex'), text || null,
+        secret ? await bcrypt.hash(secret, 10) : null, expiresAt);
+    const link = db.prepare('SELECT * FROM client_share_links WHERE id = ?').get(result.lastInsertRowid);
+    return { ...link, token: tokenFor(link) };
+}
+
+// Newest first; revoked and expired links are included (flagged) so the admin sees their history
+async function listShareLinks(clientId) {
+    await ready;
+    const db = getDb();
+    const now = new Date().toISOString();
+    return db.prepare('SELECT * FROM client_share_links WHERE client_id = ? ORDER BY id DESC').all(clientId)
+        .map(link => ({
+            ...link,
+            token: tokenFor(link),
+            hasPassword: !!link.password_hash,
+            isExpired: !!link.expires_at && link.expires_at <= now
+        }));
+}
+
+async function revokeShareLink(clientId, linkId) {
+    await ready;
+    const db = getDb();
+    return db.prepare(`
+        UPDATE client_share_links SET revoked_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND client_id = ? AND revoked_at IS NULL
+    `).run(linkId, clientId).changes > 0;
+}
+
+// The link and client if the link can be used right now, else null
+function usableLink(db, linkId) {
+    const link = db.prepare('SELECT * FROM client_share_links WHERE id = ? AND revoked_at IS NULL').get(linkId);
+    const now = new Date().toISOString();
+    if (!link || (link.expires_at && link.expires_at <= now)) return null;
+    const client = db.prepare(`
+        SELECT * FROM clients WHERE id = ? AND is_active = 1 AND archived_at IS NULL AND expires_at > ?
+    `).get(link.client_id, now);
+    return client ? { link, client } : null;
+}
+
+// Resolves { link, client } for a valid token, or null for a forged, revoked or expired one
+async function resolveShareToken(token) {
+    await ready;
+    const db = getDb();
+    const match = /^(\d+)\.([\w-]{32})$/.exec(String(token));
+    if (!match) return null;
+    const found = usableLink(db, match[1]);
+    if (!found) return null;
+    const expected = Buffer.from(sign(found.link));
+    const given = Buffer.from(match[2]);
+    return crypto.timingSafeEqual(expected, given) ? found : null;
+}
+
+async function isShareLinkUsable(linkId) {
+    await ready;
+    return !!usableLink(getDb(), linkId);
+}
+
+async function checkShareLinkPassword(link, password) {
+    if (!link.password_hash) return true;
+    return typeof password === 'string' && bcrypt.compare(password, link.password_hash);
+}
+
+async function recordShareLinkUse(linkId) {
+    await ready;
+    const db = getDb();
+    db.prepare(`
+        UPDATE client_share_links SET use_count = use_count + 1, last_used_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(linkId);
+}
+
+module.exports = {
+    SHARE_LINK_KINDS,
+    createShareLink,
+    listShareLinks,
+    revokeShareLink,
+    resolveShareToken,
+    isShareLinkUsable,
+    checkShareLinkPassword,
+    recordShareLinkUse
+};
@@ -0,0 +1,202 @@
+// Utility functions for first-party visitor analytics of the public site.
+// Page views, category views, photos opened in the lightbox, referring sites and device types are
+// counted per day in site_daily_stats; nothing about individual visitors is stored and no cookie is set.
+// Unique visitors are counted with a hash of IP address and User-Agent under a random salt that only
+// lives in memory and changes every day, so visitors cannot be followed across days (a restart starts
+// the day's count afresh). Visitors sending Do Not Track or Global Privacy Control, crawlers and logged-in
+// admins are not counted. Rows older than the retention period are deleted once a day.
+//
+// Exports:
+//   - DEFAULT_ANALYTICS_RETENTION_DAYS: Retention used when the analyticsRetentionDays setting is unset.
+//   - MAX_KEYS_PER_DAY: Distinct pages, photos or referrers kept per day; the rest count as "(other)".
+//   - ANALYTICS_REPORT_PERIODS: Report periods (in days) offered on the analytics page.
+//   - getAnalyticsSettings: Returns whether analytics are enabled and the retention period.
+//   - saveAnalyticsSettings: Validates and saves the analytics settings.
+//   - recordPageView: Counts a public page view.
+//   - recordImageOpen: Counts a portfolio photo opened in the lightbox.
+//   - pruneSiteStats: Deletes counters older than the retention period.
+//   - getSiteAnalyticsReport: Totals, daily series and top lists for a period.
+
+const crypto = require('crypto');
+const { getDb, ready } = require('../db');
+const { getSetting, setSetting } = require('./settings');
+const { deviceType } = require('./accessEvents');
+
+const DEFAULT_ANALYTICS_RETENTION_DAYS = 365;
+const MAX_KEYS_PER_DAY = 200;
+const ANALYTICS_REPORT_PERIODS = [7, 30, 90, 365];
+const OTHER_KEY = '(other)';
+
+// Today's salt and the visitor hashes seen today; both are replaced when the day changes
+let currentDay = null;
+let daySalt = null;
+let seenVisitors = new Set();
+
+async function getAnalyticsSettings() {
+    const retention = parseInt(await getSetting('analyticsRetentionDays'), 10);
+    return {
+        enabled: (await getSetting('analyticsEnabled')) !== '0',
+        retentionDays: Number.isInteger(retention) && retention > 0 ? retention : DEFAULT_ANALYTICS_RETENTION_DAYS
+    };
+}
+
+// body is the analytics settings form. Throws on invalid input.
+async function saveAnalyticsSettings(body) {
+    const retention = parseInt(body.analyticsRetentionDays, 10);
+    if (!Number.isInteger(retention) || retention < 7 || retention > 1825) {
+        throw new Error('Keep statistics for 7 to 1825 days');
+    }
+    await setSetting('analyticsEnabled', body.analyticsEnabled === '1' ? '1' : '0');
+    await setSetting('analyticsRetentionDays', String(retention));
+    await pruneSiteStats();
+}
+
+// Start a new day: fresh salt, forget yesterday's visitors and drop expired counters
+function rollDay(today) {
+    if (currentDay === today) return;
+    currentDay = today;
+    daySalt = crypto.randomBytes(16);
+    seenVisitors = new Set();
+    pruneSiteStats().catch(err => console.error('Error pruning site statistics:', err.message));
+}
+
+// Add one to a counter. A new key on a day that already has MAX_KEYS_PER_DAY keys for the metric is
+// counted under OTHER_KEY instead, so junk referrers or URLs cannot grow the table without bound.
+function increment(db, day, metric, key) {
+    const bump = db.prepare('UPDATE site_daily_stats SET count = count + 1 WHERE day = ? AND metric = ? AND key = ?');
+    if (bump.run(day, metric, key).changes > 0) return;
+    const keys = db.prepare('SELECT COUNT(*) AS n FROM site_daily_stats WHERE day = ? AND metric = ?').get(day, metric).n;
+    db.prepare(`
+        INSERT INTO site_daily_stats (day, metric, key, count) VALUES (?, ?, ?, 1)
+        ON CONFLICT (day, metric, key) DO UPDATE SET count = count + 1
+    `).run(day, metric, keys < MAX_KEYS_PER_DAY ? key : OTHER_KEY);
+}
+
+// Whether the request should be counted at all
+async function isCountable(req) {
+    if (req.session && req.session.loggedIn) return false;
+    if (req.get('dnt') === '1' || req.get('sec-gpc') === '1') return false;
+    if (deviceType(req.get('user-agent')) === 'bot') return false;
+    return (await getAnalyticsSettings()).enabled;
+}
+
+// Host of an external referrer, or null for direct visits and links within the site
+function referrerHost(req) {
+    try {
+        const host = new URL(req.get('referer')).hostname.replace(/^www\./, '');
+        return host && host !== req.hostname.replace(/^www\./, '') ? host.slice(0, 100) : null;
+    } catch {
+        return null;
+    }
+}
+
+// Count a view of a public page; pass the category for /gallery/:category. Never throws.
+async function recordPageView(req, { category = null } = {}) {
+    try {
+        if (!(await isCountable(req))) return;
+        await ready;
+        const db = getDb();
+        const day = new Date().toISOString().slice(0, 10);
+        rollDay(day);
+        const visitor = crypto.createHash('sha256')
+            .update(daySalt).update(req.ip || '').update(req.get('user-agent') || '')
+            .digest('hex');
+        db.transaction(() => {
+            increment(db, day, 'pageview', 'total');
+            if (!seenVisitors.has(visitor)) {
+                seenVisitors.add(visitor);
+                increment(db, day, 'visitor', 'total');
+            }
+            increment(db, day, 'page', req.path.slice(0, 200));
+            if (category) increment(db, day, 'category', category);
+            increment(db, day, 'device', deviceType(req.get('user-agent')));
+            const referrer = referrerHost(req);
+            if (referrer) increment(db, day, 'referrer', referrer);
+        })();
+    } catch (err) {
+        console.error('Error recording page view:', err.message);
+    }
+}
+
+// Count a portfolio photo opened in the lightbox. Never throws.
+async function recordImageOpen(req, category, filename) {
+    try {
+        if (!(await isCountable(req))) return;
+        await ready;
+        const day = new Date().toISOString().slice(0, 10);
+        rollDay(day);
+        increment(getDb(), day, 'image', `${category}/${filename}`);
+    } catch (err) {
+        console.error('Error recording photo view:', err.message);
+    }
+}
+
+async function pruneSiteStats() {
+    await ready;
+    const db = getDb();
+    const { retentionDays } = await getAnalyticsSettings();
+    db.prepare("DELETE FROM site_daily_stats WHERE day < date('now', ?)").run(`-${retentionDays} days`);
+}
+
+// Report for the last `days` days: { totals, daily, pages, categories, images, referrers, devices }.
+// daily has an entry for every day (oldest first) shaped for the access chart partial.
+async function getSiteAnalyticsReport(days = 30) {
+    await ready;
+    const db = getDb();
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const top = (metric, limit = 20) => db.prepare(`
+        SELECT key, SUM(count) AS n FROM site_daily_stats
+        WHERE metric = ? AND day >= ?
+        GROUP BY key ORDER BY n DESC LIMIT ?
+    `).all(metric, since, limit);
+
+    const byDay = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+        const day = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        byDay.set(day, { day, counts: {}, total: 0, visitors: 0 });
+    }
+    db.prepare(`
+        SELECT day, metric, count FROM site_daily_stats
+        WHERE metric IN ('pageview', 'visitor') AND day >= ?
+    `).all(since).forEach(row => {
+        const entry = byDay.get(row.day);
+        if (!entry) return;
+        if (row.metric === 'visitor') {
+            entry.visitors = row.count;
+        } else {
+            entry.counts.page_view = row.count;
+            entry.total = row.count;
+        }
+    });
+    const daily = [...byDay.values()];
+
+    return {
+        totals: {
+            views: daily.reduce((sum, d) => sum + d.total, 0),
+            // Visitors are unique per day only, so this is the sum of daily visitors
+            visitors: daily.reduce((sum, d) => sum + d.visitors, 0),
+            imageOpens: top('image', 1000000).reduce((sum, row) => sum + row.n, 0)
+        },
+        daily,
+        pages: top('page'),
+        categories: top('category'),
+        images: top('image').map(row => {
+            const slash = row.key.indexOf('/');
+            return slash > 0 ? { ...row, category: row.key.slice(0, slash), filename: row.key.slice(slash + 1) } : row;
+        }),
+        referrers: top('referrer'),
+        devices: top('device').map(row => ({ device: row.key, n: row.n }))
+    };
+}
+
+module.exports = {
+    DEFAULT_ANALYTICS_RETENTION_DAYS,
+    MAX_KEYS_PER_DAY,
+    ANALYTICS_REPORT_PERIODS,
+    getAnalyticsSettings,
+    saveAnalyticsSettings,
+    recordPageView,
+    recordImageOpen,
+    pruneSiteStats,
+    getSiteAnalyticsReport
+};
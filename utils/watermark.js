@@ -0,0 +1,186 @@
+// Utility functions for the watermark engine.
+// A single site-wide watermark (logo PNG or text) is configured in site settings and applied by the
+// sharp pipeline to categories and client galleries that have watermarking switched on.
+// Client galleries marked "final" are served without a watermark.
+//
+// Exports:
+//   - WATERMARK_POSITIONS: Map of position key to label.
+//   - getWatermarkSettings: Returns the configured watermark (with `enabled`).
+//   - getCategoryWatermark: Returns the watermark to apply to a category, or null.
+//   - getClientWatermark: Returns the watermark to apply to a client gallery, or null.
+//   - isRenditionWatermarked: Whether a pre-generated rendition belongs to a watermarked gallery.
+//   - applyWatermark: Composites the watermark onto a sharp pipeline.
+//   - renderWatermarked: Returns a full-size watermarked copy of a file in its original format.
+//   - renderWatermarkPreview: Renders the watermark on a sample background (admin preview).
+//   - sendClientImageFile: Sends a client original, watermarked unless the gallery is final.
+
+const path = require('path');
+const sharp = require('sharp');
+const { getDb, ready } = require('../db');
+const { getAllSettings } = require('./settings');
+const { sendStrippedFile } = require('./metadataPolicy');
+
+const BRANDING_DIR = path.join(__dirname, '..', 'data');
+
+const WATERMARK_POSITIONS = {
+    'bottom-right': 'Bottom right',
+    'bottom-left': 'Bottom left',
+    'top-right': 'Top right',
+    'top-left': 'Top left',
+    center: 'Centre'
+};
+
+function clampInt(value, min, max, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isInteger(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+async function getWatermarkSettings() {
+    const settings = await getAllSettings();
+    const type = ['image', 'text'].includes(settings.watermarkType) ? settings.watermarkType : 'none';
+    const wm = {
+        type,
+        text: settings.watermarkText || '',
+        image: settings.watermarkImage || '',
+        position: WATERMARK_POSITIONS[settings.watermarkPosition] ? settings.watermarkPosition : 'bottom-right',
+        opacity: clampInt(settings.watermarkOpacity, 5, 100, 50),
+        scale: clampInt(settings.watermarkScale, 5, 100, 20),
+        // Bumped on every change so cached watermarked images are regenerated
+        version: settings.watermarkVersion || '0'
+    };
+    wm.enabled = (type === 'image' && !!wm.image) || (type === 'text' && !!wm.text.trim());
+    return wm;
+}
+
+async function getCategoryWatermark(category) {
+    await ready;
+    const db = getDb();
+    const row = db.prepare('SELECT watermark FROM categories WHERE name = ?').get(category);
+    if (!row || !row.watermark) return null;
+    const wm = await getWatermarkSettings();
+    return wm.enabled ? wm : null;
+}
+
+async function getClientWatermark(clientId) {
+    await ready;
+    const db = getDb();
+    const row = db.prepare('SELECT watermark, is_final FROM clients WHERE id = ?').get(clientId);
+    if (!row || !row.watermark || row.is_final) return null;
+    const wm = await getWatermarkSettings();
+    return wm.enabled ? wm : null;
+}
+
+// Renditions are generated without a watermark, so galleries that need one must not expose them.
+// relPath is relative to the renditions directory: images/<imageId>/... or clients/<clientId>/...
+async function isRenditionWatermarked(relPath) {
+    const [kind, id] = relPath.replace(/^\/+/, '').split('/');
+    if (!/^\d+$/.test(id || '')) return false;
+    if (kind === 'clients') return !!(await getClientWatermark(id));
+    if (kind !== 'images') return false;
+    await ready;
+    const db = getDb();
+    const row = db.prepare(`
+        SELECT categories.name FROM images JOIN categories ON images.category_id = categories.id WHERE images.id = ?
+    `).get(id);
+    return !!row && !!(await getCategoryWatermark(row.name));
+}
+
+function escapeXml(text) {
+    return text.replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+// Render the watermark as a PNG sized for a width x height image
+async function buildOverlay(wm, width, height) {
+    const targetWidth = Math.max(1, Math.round(width * wm.scale / 100));
+    const opacity = wm.opacity / 100;
+    if (wm.type === 'image') {
+        return sharp(path.join(BRANDING_DIR, wm.image))
+            .resize({ width: targetWidth, height, fit: 'inside' })
+            .ensureAlpha()
+            .linear([1, 1, 1, opacity], [0, 0, 0, 0])
+            .png()
+            .toBuffer({ resolveWithObject: true });
+    }
+    // Font size chosen so the text roughly fills the target width
+    const text = wm.text.trim();
+    const fontSize = Math.max(10, Math.floor(targetWidth / (text.length * 0.6)));
+    const boxHeight = Math.min(height, Math.ceil(fontSize * 1.4));
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${targetWidth}" height="${boxHeight}">
+        <text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif"
+            font-size="${fontSize}" font-weight="bold" fill="#ffffff" fill-opacity="${opacity}"
+            stroke="#000000" stroke-opacity="${opacity / 2}" stroke-width="${Math.max(1, fontSize / 30)}">${escapeXml(text)}</text>
+    </svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer({ resolveWithObject: true });
+}
+
+// Top/left offsets for an overlay inside the image, with a margin of 3% of the shorter side
+function overlayOffsets(position, width, height, overlayWidth, overlayHeight) {
+    const margin = Math.round(Math.min(width, height) * 0.03);
+    const right = Math.max(0, width - overlayWidth - margin);
+    const bottom = Math.max(0, height - overlayHeight - margin);
+    switch (position) {
+        case 'top-left': return { left: Math.min(margin, right), top: Math.min(margin, bottom) };
+        case 'top-right': return { left: right, top: Math.min(margin, bottom) };
+        case 'bottom-left': return { left: Math.min(margin, right), top: bottom };
+        case 'center': return {
+            left: Math.max(0, Math.round((width - overlayWidth) / 2)),
+            top: Math.max(0, Math.round((height - overlayHeight) / 2))
+        };
+        default: return { left: right, top: bottom };
+    }
+}
+
+// Flatten the pipeline so far and composite the watermark on top. Returns a new sharp pipeline.
+async function applyWatermark(pipeline, wm) {
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    const { data: overlay, info: overlayInfo } = await buildOverlay(wm, info.width, info.height);
+    const { left, top } = overlayOffsets(wm.position, info.width, info.height, overlayInfo.width, overlayInfo.height);
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+        .composite([{ input: overlay, left, top }]);
+}
+
+// Full-size watermarked copy in the file's own format (metadata is dropped by the re-encode)
+async function renderWatermarked(filePath, wm) {
+    const ext = path.extname(filePath).toLowerCase().replace('.', '');
+    const format = ext === 'jpg' ? 'jpeg' : ext;
+    const watermarked = await applyWatermark(sharp(filePath).rotate(), wm);
+    return watermarked.toFormat(format, format === 'jpeg' ? { quality: 90 } : {}).toBuffer();
+}
+
+// Sample landscape gradient with the watermark, for the settings page
+async function renderWatermarkPreview(wm) {
+    const width = 900;
+    const height = 600;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+        <defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="#5b7fa3"/><stop offset="1" stop-color="#d9b38c"/>
+        </linearGradient></defs>
+        <rect width="100%" height="100%" fill="url(#g)"/>
+    </svg>`;
+    const base = sharp(Buffer.from(svg));
+    const pipeline = wm.enabled ? await applyWatermark(base, wm) : base;
+    return pipeline.jpeg({ quality: 85 }).toBuffer();
+}
+
+// Send a client's original (or download it): watermarked while the gallery is proofing,
+// otherwise with metadata stripped per the privacy policy
+async function sendClientImageFile(res, clientId, filePath, downloadName = null) {
+    const wm = await getClientWatermark(clientId);
+    if (!wm) return sendStrippedFile(res, filePath, downloadName);
+    const buf = await renderWatermarked(filePath, wm);
+    res.type(path.extname(filePath));
+    if (downloadName) res.attachment(downloadName);
+    res.send(buf);
+}
+
+module.exports = {
+    WATERMARK_POSITIONS,
+    getWatermarkSettings,
+    getCategoryWatermark,
+    getClientWatermark,
+    isRenditionWatermarked,
+    applyWatermark,
+    renderWatermarked,
+    renderWatermarkPreview,
+    sendClientImageFile
+};